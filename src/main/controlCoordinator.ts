@@ -0,0 +1,818 @@
+import { Instruction, InstructionInfo } from "solarnetwork-api-core/lib/domain";
+import { Logger as log } from "solarnetwork-api-core/lib/util";
+import type { ControlTogglerEventListenerOptions } from "./controlTogglerEvents.js";
+import {
+	ControlAbortError,
+	ControlSupersededError,
+	ControlTimeoutError,
+	InstructionDeclinedError,
+} from "./errors.js";
+import { requirePositive } from "./validation.js";
+
+/**
+ * A broadcast channel used by a {@link ControlCoordinator} to communicate with the
+ * coordinators in other browser tabs.
+ *
+ * This is a subset of the `BroadcastChannel` API, which is used by default.
+ */
+export interface ControlCoordinatorChannel {
+	/** A handler for messages posted to the channel by other participants. */
+	onmessage: ((event: { data: unknown }) => void) | null;
+
+	/**
+	 * Post a message to all other participants.
+	 *
+	 * @param message the message to post
+	 */
+	postMessage(message: unknown): void;
+
+	/** Close the channel. */
+	close(): void;
+}
+
+/**
+ * Options for the {@link ControlCoordinator} class.
+ */
+export interface ControlCoordinatorOptions {
+	/**
+	 * The time, in milliseconds, between heartbeat messages sent by the leader. Must be
+	 * positive. Defaults to 1 second.
+	 */
+	heartbeatMs?: number;
+
+	/**
+	 * The time, in milliseconds, without a heartbeat message after which the leader is assumed
+	 * to be gone, and a new leader is elected. Must be greater than `heartbeatMs`. Defaults to 3
+	 * seconds.
+	 */
+	leaderTimeoutMs?: number;
+
+	/**
+	 * The maximum time, in milliseconds, to wait for the response to a request sent to the
+	 * leader, including any time waiting for a leader to be elected. Must be positive. Defaults
+	 * to 60 seconds.
+	 */
+	requestTimeoutMs?: number;
+
+	/**
+	 * A function to create the channel with. Defaults to creating a `BroadcastChannel`.
+	 *
+	 * @param name the channel name
+	 * @returns the channel
+	 */
+	channelFactory?: (name: string) => ControlCoordinatorChannel;
+}
+
+/**
+ * A message exchanged by coordinators.
+ * @private
+ */
+interface CoordinatorMessage {
+	readonly type:
+		| "query"
+		| "heartbeat"
+		| "claim"
+		| "resign"
+		| "data"
+		| "request"
+		| "response";
+	readonly from: string;
+	readonly to?: string;
+	readonly requestId?: number;
+	readonly data?: unknown;
+	readonly error?: CoordinatorError;
+}
+
+/**
+ * An error returned by the leader, in a form supported by the structured clone algorithm.
+ * @private
+ */
+interface CoordinatorError {
+	readonly name: string;
+	readonly message: string;
+
+	/** The value of a {@link ControlSupersededError}. */
+	readonly value?: unknown;
+
+	/** The instruction of an {@link InstructionDeclinedError}. */
+	readonly instruction?: InstructionInfo;
+}
+
+/**
+ * A request waiting for a response from the leader.
+ * @private
+ */
+interface PendingRequest {
+	readonly data: unknown;
+	readonly resolve: (result: unknown) => void;
+	readonly reject: (error: Error) => void;
+	readonly timer: any;
+
+	/** Flag set once the request has been sent to, or handled as, the leader. */
+	sent: boolean;
+}
+
+/**
+ * Convert an error into a form that can be posted to another coordinator.
+ *
+ * @param error the error
+ * @returns the error data
+ * @private
+ */
+function encodeError(error: any): CoordinatorError {
+	const result: CoordinatorError = {
+		name: String(error?.name ?? "Error"),
+		message: String(error?.message ?? error),
+	};
+	if (error instanceof ControlSupersededError) {
+		return { ...result, value: error.value };
+	} else if (error instanceof InstructionDeclinedError) {
+		const instr = error.instruction;
+		return {
+			...result,
+			instruction: {
+				id: instr.id,
+				created: instr.created,
+				nodeId: instr.nodeId,
+				topic: instr.topic,
+				instructionDate: instr.instructionDate,
+				state: instr.state,
+				statusDate: instr.statusDate,
+				parameters: instr.parameters,
+				resultParameters: instr.resultParameters,
+			},
+		};
+	}
+	return result;
+}
+
+/**
+ * Recreate an error posted by another coordinator, using the error class matching its name.
+ *
+ * @param data the error data
+ * @returns the error
+ * @private
+ */
+function decodeError(data: CoordinatorError): Error {
+	switch (data.name) {
+		case "TimeoutError":
+			return new ControlTimeoutError(data.message);
+
+		case "AbortError":
+			return new ControlAbortError(data.message);
+
+		case "SupersededError":
+			return new ControlSupersededError(data.message, data.value);
+
+		case "InstructionDeclinedError":
+			if (data.instruction) {
+				return new InstructionDeclinedError(
+					new Instruction(data.instruction)
+				);
+			}
+			break;
+
+		case "TypeError":
+			return new TypeError(data.message);
+
+		case "RangeError":
+			return new RangeError(data.message);
+	}
+	const error = new Error(data.message);
+	error.name = data.name;
+	return error;
+}
+
+/**
+ * A function that handles requests sent to the leader.
+ *
+ * @param data the request data
+ * @returns the response data, or a promise of the response data
+ */
+export type ControlCoordinatorRequestHandler = (data: unknown) => unknown;
+
+/**
+ * Event dispatched when the leader changes.
+ */
+export class ControlCoordinatorLeaderEvent extends Event {
+	/** `true` if this coordinator is the leader. */
+	readonly leader: boolean;
+
+	/** The ID of the leader, if known. */
+	readonly leaderId?: string;
+
+	/**
+	 * Constructor.
+	 * @param leader `true` if this coordinator is the leader
+	 * @param leaderId the ID of the leader, if known
+	 */
+	constructor(leader: boolean, leaderId?: string) {
+		super("leaderchange");
+		this.leader = leader;
+		this.leaderId = leaderId;
+	}
+}
+
+/**
+ * Event dispatched when data is broadcast by another coordinator.
+ */
+export class ControlCoordinatorDataEvent extends Event {
+	/** The data. */
+	readonly data: unknown;
+
+	/**
+	 * Constructor.
+	 * @param data the data
+	 */
+	constructor(data: unknown) {
+		super("data");
+		this.data = data;
+	}
+}
+
+/**
+ * Mapping of control coordinator event types to associated event classes.
+ */
+export interface ControlCoordinatorEventMap {
+	/** The leader changed. */
+	leaderchange: ControlCoordinatorLeaderEvent;
+
+	/** Data was broadcast by another coordinator. */
+	data: ControlCoordinatorDataEvent;
+}
+
+/**
+ * A control coordinator event type.
+ */
+export type ControlCoordinatorEventType = keyof ControlCoordinatorEventMap;
+
+/**
+ * A control coordinator event listener function.
+ */
+export type ControlCoordinatorEventListener<
+	K extends ControlCoordinatorEventType,
+> = (
+	/** The control coordinator dispatching the event. */
+	this: ControlCoordinator,
+
+	/** The event. */
+	event: ControlCoordinatorEventMap[K]
+) => void;
+
+/**
+ * Create a `BroadcastChannel`.
+ *
+ * @param name the channel name
+ * @returns the channel
+ * @throws Error if `BroadcastChannel` is not supported
+ * @private
+ */
+function broadcastChannel(name: string): ControlCoordinatorChannel {
+	if (typeof globalThis.BroadcastChannel !== "function") {
+		throw new Error("BroadcastChannel is not supported.");
+	}
+	return new globalThis.BroadcastChannel(
+		name
+	) as unknown as ControlCoordinatorChannel;
+}
+
+/**
+ * Coordinate work across browser tabs, by electing one tab as the leader.
+ *
+ * Coordinators with the same channel name communicate over a `BroadcastChannel`. One of them
+ * is elected the leader, which sends heartbeat messages while it runs. If the leader stops,
+ * or no heartbeat is received within {@link ControlCoordinator#leaderTimeoutMs}, for example
+ * because the leader tab was closed, a new leader is elected. When several coordinators
+ * compete, the one running the longest wins.
+ *
+ * Followers can broadcast data to all coordinators, and send requests to the leader.
+ *
+ * @example
+ * const coordinator = new ControlCoordinator('my-channel');
+ * coordinator.addEventListener('leaderchange', (event) => {
+ *   console.log(event.leader ? 'Leading' : 'Following');
+ * });
+ * coordinator.start();
+ */
+class ControlCoordinator extends EventTarget {
+	/** The channel name. */
+	readonly name: string;
+
+	/** The unique ID of this coordinator. */
+	readonly id: string;
+
+	/** The time between heartbeat messages sent by the leader, in milliseconds. */
+	readonly heartbeatMs: number;
+
+	/** The time without a heartbeat after which a new leader is elected, in milliseconds. */
+	readonly leaderTimeoutMs: number;
+
+	/** The maximum time to wait for the response to a request, in milliseconds. */
+	readonly requestTimeoutMs: number;
+
+	/** A function to handle requests sent to the leader. */
+	requestHandler?: ControlCoordinatorRequestHandler;
+
+	readonly #channelFactory: (name: string) => ControlCoordinatorChannel;
+	#channel?: ControlCoordinatorChannel;
+	#leaderId?: string;
+	#lastHeartbeat = 0;
+	#candidate = false;
+	#timer?: any;
+	#claimTimer?: any;
+	#requestId = 0;
+	readonly #requests = new Map<number, PendingRequest>();
+
+	/**
+	 * Constructor.
+	 * @param name the channel name
+	 * @param options the options
+	 * @throws RangeError if a timing option is not valid
+	 */
+	constructor(name: string, options?: ControlCoordinatorOptions) {
+		super();
+		this.name = name;
+		this.id =
+			Date.now().toString(36).padStart(10, "0") +
+			"-" +
+			Math.random().toString(36).substring(2, 10);
+		this.heartbeatMs = requirePositive(
+			"heartbeatMs",
+			options?.heartbeatMs ?? 1000
+		);
+		this.leaderTimeoutMs = requirePositive(
+			"leaderTimeoutMs",
+			options?.leaderTimeoutMs ?? Math.max(3000, this.heartbeatMs * 3)
+		);
+		if (this.leaderTimeoutMs <= this.heartbeatMs) {
+			throw new RangeError(
+				"The leaderTimeoutMs value must be greater than heartbeatMs."
+			);
+		}
+		this.requestTimeoutMs = requirePositive(
+			"requestTimeoutMs",
+			options?.requestTimeoutMs ?? 60000
+		);
+		this.#channelFactory = options?.channelFactory ?? broadcastChannel;
+	}
+
+	addEventListener<K extends ControlCoordinatorEventType>(
+		type: K,
+		listener: ControlCoordinatorEventListener<K>,
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	addEventListener(
+		type: string,
+		listener: Parameters<EventTarget["addEventListener"]>[1],
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	addEventListener(
+		type: string,
+		listener: any,
+		options?: ControlTogglerEventListenerOptions
+	): void {
+		super.addEventListener(type, listener, options);
+	}
+
+	removeEventListener<K extends ControlCoordinatorEventType>(
+		type: K,
+		listener: ControlCoordinatorEventListener<K>,
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	removeEventListener(
+		type: string,
+		listener: Parameters<EventTarget["removeEventListener"]>[1],
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	removeEventListener(
+		type: string,
+		listener: any,
+		options?: ControlTogglerEventListenerOptions
+	): void {
+		super.removeEventListener(type, listener, options);
+	}
+
+	/**
+	 * Test if the coordinator is running.
+	 */
+	get running(): boolean {
+		return this.#channel !== undefined;
+	}
+
+	/**
+	 * Test if this coordinator is the leader.
+	 */
+	get leader(): boolean {
+		return this.#channel !== undefined && this.#leaderId === this.id;
+	}
+
+	/**
+	 * Get the ID of the leader.
+	 *
+	 * @returns the leader ID, or `undefined` if not known
+	 */
+	get leaderId(): string | undefined {
+		return this.#leaderId;
+	}
+
+	/**
+	 * Start participating in the election of a leader.
+	 *
+	 * If no leader responds within {@link ControlCoordinator#heartbeatMs}, this coordinator
+	 * tries to become the leader.
+	 *
+	 * @returns this object
+	 * @throws Error if the channel cannot be created
+	 */
+	start(): this {
+		if (this.#channel) {
+			return this;
+		}
+		const channel = this.#channelFactory(this.name);
+		channel.onmessage = (event) => {
+			this.#handleMessage(event.data as CoordinatorMessage);
+		};
+		this.#channel = channel;
+		this.#lastHeartbeat = Date.now();
+		this.#timer = setInterval(() => this.#tick(), this.heartbeatMs);
+		this.#post({ type: "query" });
+		this.#claimTimer = setTimeout(() => {
+			this.#claimTimer = undefined;
+			if (!this.#leaderId) {
+				this.#claim();
+			}
+		}, this.heartbeatMs);
+		return this;
+	}
+
+	/**
+	 * Stop participating, resigning as the leader if this coordinator is the leader.
+	 *
+	 * Any requests waiting for a response are rejected.
+	 *
+	 * @returns this object
+	 */
+	stop(): this {
+		const channel = this.#channel;
+		if (!channel) {
+			return this;
+		}
+		const wasLeader = this.leader;
+		if (wasLeader) {
+			this.#post({ type: "resign" });
+		}
+		clearInterval(this.#timer);
+		clearTimeout(this.#claimTimer);
+		this.#timer = undefined;
+		this.#claimTimer = undefined;
+		this.#candidate = false;
+		this.#leaderId = undefined;
+		this.#channel = undefined;
+		channel.onmessage = null;
+		channel.close();
+		for (const [requestId, req] of this.#requests) {
+			clearTimeout(req.timer);
+			req.reject(new Error(`Coordinator ${this.name} stopped.`));
+			this.#requests.delete(requestId);
+		}
+		if (wasLeader) {
+			this.dispatchEvent(new ControlCoordinatorLeaderEvent(false));
+		}
+		return this;
+	}
+
+	/**
+	 * Broadcast data to all other coordinators.
+	 *
+	 * @param data the data to broadcast; must be supported by the structured clone algorithm
+	 */
+	broadcast(data: unknown): void {
+		this.#post({ type: "data", data: data });
+	}
+
+	/**
+	 * Send a request to the leader.
+	 *
+	 * If no leader has been elected yet, the request is sent once one is. Aborting the signal
+	 * stops waiting for the response, but does not stop the leader from handling the request.
+	 *
+	 * @param data the request data; must be supported by the structured clone algorithm
+	 * @param signal an optional signal to stop waiting for the response with
+	 * @returns a promise that resolves to the response data; the promise is rejected with a
+	 *          {@link ControlTimeoutError} if no response is received within
+	 *          {@link ControlCoordinator#requestTimeoutMs}, with a {@link ControlAbortError} if
+	 *          the signal is aborted, or with the error the leader fails to handle the request
+	 *          with
+	 */
+	request(data: unknown, signal?: AbortSignal): Promise<unknown> {
+		if (!this.#channel) {
+			return Promise.reject(
+				new Error(`Coordinator ${this.name} not started.`)
+			);
+		}
+		if (signal?.aborted) {
+			return Promise.reject(new ControlAbortError("Request aborted"));
+		}
+		const requestId = ++this.#requestId;
+		return new Promise((resolve, reject) => {
+			const abort = () => {
+				const req = this.#requests.get(requestId);
+				if (req) {
+					this.#requests.delete(requestId);
+					clearTimeout(req.timer);
+					reject(new ControlAbortError("Request aborted"));
+				}
+			};
+			const timer = setTimeout(() => {
+				this.#requests.delete(requestId);
+				signal?.removeEventListener("abort", abort);
+				reject(
+					new ControlTimeoutError(
+						`No response from leader of ${this.name} within ${this.requestTimeoutMs}ms.`
+					)
+				);
+			}, this.requestTimeoutMs);
+			this.#requests.set(requestId, {
+				data: data,
+				resolve: (result) => {
+					signal?.removeEventListener("abort", abort);
+					resolve(result);
+				},
+				reject: (error) => {
+					signal?.removeEventListener("abort", abort);
+					reject(error);
+				},
+				timer: timer,
+				sent: false,
+			});
+			signal?.addEventListener("abort", abort, { once: true });
+			this.#sendRequests();
+		});
+	}
+
+	/**
+	 * Send all requests not sent yet to the leader, if there is one.
+	 * @private
+	 */
+	#sendRequests() {
+		if (!this.#leaderId) {
+			return;
+		}
+		for (const [requestId, req] of this.#requests) {
+			if (req.sent) {
+				continue;
+			}
+			req.sent = true;
+			if (this.leader) {
+				this.#handleRequest(req.data).then(
+					(result) => this.#settle(requestId, result),
+					(error) => this.#settle(requestId, undefined, error)
+				);
+			} else {
+				this.#post({
+					type: "request",
+					to: this.#leaderId,
+					requestId: requestId,
+					data: req.data,
+				});
+			}
+		}
+	}
+
+	/**
+	 * Post a message to the channel.
+	 *
+	 * @param message the message, without the `from` property
+	 * @private
+	 */
+	#post(message: Omit<CoordinatorMessage, "from">) {
+		try {
+			this.#channel?.postMessage({ ...message, from: this.id });
+		} catch (error) {
+			log.error(
+				"Error posting %s message to channel %s: %s",
+				message.type,
+				this.name,
+				error
+			);
+		}
+	}
+
+	/**
+	 * Send a heartbeat as the leader, or check the leader is still alive as a follower.
+	 * @private
+	 */
+	#tick() {
+		if (this.leader) {
+			this.#post({ type: "heartbeat" });
+		} else if (
+			!this.#candidate &&
+			Date.now() - this.#lastHeartbeat > this.leaderTimeoutMs
+		) {
+			if (this.#leaderId) {
+				log.info(
+					"Leader %s of channel %s timed out",
+					this.#leaderId,
+					this.name
+				);
+				this.#setLeader(undefined);
+			}
+			this.#claim();
+		}
+	}
+
+	/**
+	 * Try to become the leader.
+	 *
+	 * The claim succeeds if no other coordinator with a lower ID claims leadership, and no
+	 * leader responds, within {@link ControlCoordinator#heartbeatMs}.
+	 * @private
+	 */
+	#claim() {
+		if (this.#candidate || !this.#channel) {
+			return;
+		}
+		this.#candidate = true;
+		this.#post({ type: "claim" });
+		clearTimeout(this.#claimTimer);
+		this.#claimTimer = setTimeout(() => {
+			this.#claimTimer = undefined;
+			if (this.#candidate) {
+				this.#candidate = false;
+				this.#setLeader(this.id);
+				this.#post({ type: "heartbeat" });
+			}
+		}, this.heartbeatMs);
+	}
+
+	/**
+	 * Withdraw a claim to become the leader.
+	 * @private
+	 */
+	#withdraw() {
+		this.#candidate = false;
+		clearTimeout(this.#claimTimer);
+		this.#claimTimer = undefined;
+	}
+
+	/**
+	 * Update the leader, dispatching a `leaderchange` event if it changed.
+	 *
+	 * @param leaderId the ID of the leader
+	 * @private
+	 */
+	#setLeader(leaderId: string | undefined) {
+		if (this.#leaderId === leaderId) {
+			return;
+		}
+		const wasLeader = this.leader;
+		this.#leaderId = leaderId;
+		if (leaderId === this.id || wasLeader) {
+			log.info(
+				"Channel %s coordinator %s %s leader",
+				this.name,
+				this.id,
+				leaderId === this.id ? "became" : "is no longer"
+			);
+		}
+		this.dispatchEvent(
+			new ControlCoordinatorLeaderEvent(leaderId === this.id, leaderId)
+		);
+		this.#sendRequests();
+	}
+
+	/**
+	 * Handle a message from another coordinator.
+	 *
+	 * @param msg the message
+	 * @private
+	 */
+	#handleMessage(msg: CoordinatorMessage) {
+		if (!msg?.from || msg.from === this.id) {
+			return;
+		}
+		switch (msg.type) {
+			case "query":
+				if (this.leader) {
+					this.#post({ type: "heartbeat" });
+				}
+				break;
+
+			case "heartbeat":
+				if (this.leader && msg.from > this.id) {
+					// two leaders: the longest running one stays the leader
+					this.#post({ type: "heartbeat" });
+					break;
+				}
+				this.#lastHeartbeat = Date.now();
+				this.#withdraw();
+				this.#setLeader(msg.from);
+				break;
+
+			case "claim":
+				if (this.leader) {
+					this.#post({ type: "heartbeat" });
+				} else if (msg.from < this.id) {
+					this.#withdraw();
+					this.#lastHeartbeat = Date.now();
+				} else if (
+					Date.now() - this.#lastHeartbeat >
+					this.leaderTimeoutMs
+				) {
+					this.#claim();
+				}
+				break;
+
+			case "resign":
+				if (this.#leaderId === msg.from) {
+					this.#setLeader(undefined);
+					this.#claim();
+				}
+				break;
+
+			case "data":
+				this.dispatchEvent(new ControlCoordinatorDataEvent(msg.data));
+				break;
+
+			case "request":
+				if (this.leader) {
+					this.#handleRequest(msg.data).then(
+						(result) => {
+							this.#post({
+								type: "response",
+								to: msg.from,
+								requestId: msg.requestId,
+								data: result,
+							});
+						},
+						(error) => {
+							this.#post({
+								type: "response",
+								to: msg.from,
+								requestId: msg.requestId,
+								error: encodeError(error),
+							});
+						}
+					);
+				}
+				break;
+
+			case "response":
+				if (msg.to === this.id && msg.requestId !== undefined) {
+					this.#settle(
+						msg.requestId,
+						msg.data,
+						msg.error !== undefined
+							? decodeError(msg.error)
+							: undefined
+					);
+				}
+				break;
+		}
+	}
+
+	/**
+	 * Complete a pending request, if it is still waiting for a response.
+	 *
+	 * @param requestId the ID of the request to complete
+	 * @param result the response data
+	 * @param error the error to reject the request with
+	 * @private
+	 */
+	#settle(requestId: number, result: unknown, error?: Error) {
+		const req = this.#requests.get(requestId);
+		if (!req) {
+			return;
+		}
+		this.#requests.delete(requestId);
+		clearTimeout(req.timer);
+		if (error !== undefined) {
+			req.reject(error);
+		} else {
+			req.resolve(result);
+		}
+	}
+
+	/**
+	 * Handle a request as the leader.
+	 *
+	 * @param data the request data
+	 * @returns promise of the response data
+	 * @private
+	 */
+	#handleRequest(data: unknown): Promise<unknown> {
+		const handler = this.requestHandler;
+		if (!handler) {
+			return Promise.reject(
+				new Error(`No request handler for ${this.name}.`)
+			);
+		}
+		try {
+			return Promise.resolve(handler(data));
+		} catch (error) {
+			return Promise.reject(error);
+		}
+	}
+}
+
+export default ControlCoordinator;
@@ -0,0 +1,327 @@
+import { Logger as log } from "solarnetwork-api-core/lib/util";
+import type { ControlTogglerEventListenerOptions } from "./controlTogglerEvents.js";
+import { requireNonNegative } from "./validation.js";
+
+/**
+ * Event dispatched by a {@link ControlPollingPolicy} when the conditions that affect polling
+ * change.
+ */
+export class ControlPollingChangeEvent extends Event {
+	/** `true` if polling should run at the normal rate. */
+	readonly active: boolean;
+
+	/**
+	 * `true` if polling changed from inactive to active, for example because the page became
+	 * visible again, so the state should be refreshed immediately.
+	 */
+	readonly resumed: boolean;
+
+	/**
+	 * Constructor.
+	 * @param active `true` if polling should run at the normal rate
+	 * @param resumed `true` if polling changed from inactive to active
+	 */
+	constructor(active: boolean, resumed: boolean) {
+		super("change");
+		this.active = active;
+		this.resumed = resumed;
+	}
+}
+
+/**
+ * API for adapting the automatic updates of a {@link ControlToggler} to the environment.
+ *
+ * A policy determines the delay before each automatic update, and dispatches a `change`
+ * {@link ControlPollingChangeEvent} when that delay should be re-evaluated.
+ */
+export interface ControlPollingPolicy extends EventTarget {
+	/**
+	 * Get the delay to use before the next automatic update.
+	 *
+	 * @param refreshMs the delay the toggler would use, in milliseconds
+	 * @returns the delay to use, in milliseconds, or `undefined` to pause automatic updates
+	 *          until the policy dispatches a `change` event
+	 */
+	delay(refreshMs: number): number | undefined;
+}
+
+/**
+ * Options for the {@link EnvironmentPollingPolicy} class.
+ */
+export interface EnvironmentPollingPolicyOptions {
+	/**
+	 * The delay, in milliseconds, between automatic updates while the page is hidden, or `0` to
+	 * pause updates. Defaults to `0`.
+	 */
+	hiddenRefreshMs?: number;
+
+	/**
+	 * The delay, in milliseconds, between automatic updates while offline, or `0` to pause
+	 * updates. Defaults to `0`.
+	 */
+	offlineRefreshMs?: number;
+
+	/**
+	 * `true` to watch the document visibility and `navigator.onLine` status, when available.
+	 * Defaults to `true`.
+	 */
+	watch?: boolean;
+}
+
+/**
+ * Mapping of polling policy event types to associated event classes.
+ */
+export interface ControlPollingPolicyEventMap {
+	/** The conditions that affect polling changed. */
+	change: ControlPollingChangeEvent;
+}
+
+/**
+ * A polling policy event type.
+ */
+export type ControlPollingPolicyEventType = keyof ControlPollingPolicyEventMap;
+
+/**
+ * A polling policy event listener function.
+ */
+export type ControlPollingPolicyEventListener<
+	K extends ControlPollingPolicyEventType,
+> = (
+	/** The polling policy dispatching the event. */
+	this: EnvironmentPollingPolicy,
+
+	/** The event. */
+	event: ControlPollingPolicyEventMap[K]
+) => void;
+
+/**
+ * A polling policy that pauses or slows automatic updates while the page is hidden or the
+ * device is offline.
+ *
+ * In a browser the policy watches the `visibilitychange` event of the document and the
+ * `online` and `offline` events of the window. In other environments, such as Node, the
+ * equivalent signals can be provided by setting the {@link EnvironmentPollingPolicy#visible}
+ * and {@link EnvironmentPollingPolicy#online} properties.
+ *
+ * When the page becomes visible or connectivity returns, a `change` event is dispatched with
+ * `resumed` set, and a toggler using the policy updates its state immediately.
+ *
+ * @example
+ * const policy = new EnvironmentPollingPolicy({ hiddenRefreshMs: 300000 });
+ * const toggler = new ControlToggler({ ..., pollingPolicy: policy, start: true });
+ */
+class EnvironmentPollingPolicy
+	extends EventTarget
+	implements ControlPollingPolicy
+{
+	#hiddenRefreshMs = 0;
+	#offlineRefreshMs = 0;
+	#visible = true;
+	#online = true;
+	#unwatch?: () => void;
+
+	/**
+	 * Constructor.
+	 * @param options the options
+	 * @throws RangeError if a refresh option is not a non-negative number
+	 */
+	constructor(options?: EnvironmentPollingPolicyOptions) {
+		super();
+		if (options?.hiddenRefreshMs !== undefined) {
+			this.hiddenRefreshMs = options.hiddenRefreshMs;
+		}
+		if (options?.offlineRefreshMs !== undefined) {
+			this.offlineRefreshMs = options.offlineRefreshMs;
+		}
+		if (options?.watch !== false) {
+			this.#watch();
+		}
+	}
+
+	addEventListener<K extends ControlPollingPolicyEventType>(
+		type: K,
+		listener: ControlPollingPolicyEventListener<K>,
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	addEventListener(
+		type: string,
+		listener: Parameters<EventTarget["addEventListener"]>[1],
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	addEventListener(
+		type: string,
+		listener: any,
+		options?: ControlTogglerEventListenerOptions
+	): void {
+		super.addEventListener(type, listener, options);
+	}
+
+	removeEventListener<K extends ControlPollingPolicyEventType>(
+		type: K,
+		listener: ControlPollingPolicyEventListener<K>,
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	removeEventListener(
+		type: string,
+		listener: Parameters<EventTarget["removeEventListener"]>[1],
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	removeEventListener(
+		type: string,
+		listener: any,
+		options?: ControlTogglerEventListenerOptions
+	): void {
+		super.removeEventListener(type, listener, options);
+	}
+
+	/**
+	 * The delay, in milliseconds, between automatic updates while the page is hidden, or `0` to
+	 * pause updates.
+	 *
+	 * @throws RangeError if set to a value that is not a non-negative number
+	 */
+	get hiddenRefreshMs(): number {
+		return this.#hiddenRefreshMs;
+	}
+
+	set hiddenRefreshMs(ms: number) {
+		this.#hiddenRefreshMs = requireNonNegative("hiddenRefreshMs", ms);
+	}
+
+	/**
+	 * The delay, in milliseconds, between automatic updates while offline, or `0` to pause
+	 * updates.
+	 *
+	 * @throws RangeError if set to a value that is not a non-negative number
+	 */
+	get offlineRefreshMs(): number {
+		return this.#offlineRefreshMs;
+	}
+
+	set offlineRefreshMs(ms: number) {
+		this.#offlineRefreshMs = requireNonNegative("offlineRefreshMs", ms);
+	}
+
+	/**
+	 * The page visibility. Set this to provide the visibility in environments without a
+	 * document.
+	 */
+	get visible(): boolean {
+		return this.#visible;
+	}
+
+	set visible(visible: boolean) {
+		this.#update(!!visible, this.#online);
+	}
+
+	/**
+	 * The connectivity status. Set this to provide the status in environments without
+	 * `navigator.onLine`.
+	 */
+	get online(): boolean {
+		return this.#online;
+	}
+
+	set online(online: boolean) {
+		this.#update(this.#visible, !!online);
+	}
+
+	/**
+	 * Test if polling should run at the normal rate.
+	 *
+	 * @returns `true` if the page is visible and online
+	 */
+	get active(): boolean {
+		return this.#visible && this.#online;
+	}
+
+	delay(refreshMs: number): number | undefined {
+		if (!this.#online) {
+			return this.#offlineRefreshMs > 0
+				? Math.max(refreshMs, this.#offlineRefreshMs)
+				: undefined;
+		}
+		if (!this.#visible) {
+			return this.#hiddenRefreshMs > 0
+				? Math.max(refreshMs, this.#hiddenRefreshMs)
+				: undefined;
+		}
+		return refreshMs;
+	}
+
+	/**
+	 * Stop watching the document visibility and connectivity status.
+	 */
+	dispose(): void {
+		this.#unwatch?.();
+		this.#unwatch = undefined;
+	}
+
+	/**
+	 * Update the conditions, dispatching a `change` event if they changed.
+	 *
+	 * @param visible the page visibility
+	 * @param online the connectivity status
+	 * @private
+	 */
+	#update(visible: boolean, online: boolean) {
+		if (visible === this.#visible && online === this.#online) {
+			return;
+		}
+		const wasActive = this.active;
+		this.#visible = visible;
+		this.#online = online;
+		log.debug(
+			"Polling conditions changed: %s, %s",
+			visible ? "visible" : "hidden",
+			online ? "online" : "offline"
+		);
+		this.dispatchEvent(
+			new ControlPollingChangeEvent(
+				this.active,
+				this.active && !wasActive
+			)
+		);
+	}
+
+	/**
+	 * Watch the document visibility and connectivity status, when available.
+	 * @private
+	 */
+	#watch() {
+		const global = globalThis as any;
+		const doc = global.document;
+		const nav = global.navigator;
+		const cleanup: (() => void)[] = [];
+		if (typeof doc?.addEventListener === "function") {
+			const onVisibility = () => {
+				this.visible = doc.visibilityState !== "hidden";
+			};
+			doc.addEventListener("visibilitychange", onVisibility);
+			cleanup.push(() =>
+				doc.removeEventListener("visibilitychange", onVisibility)
+			);
+			this.#visible = doc.visibilityState !== "hidden";
+		}
+		if (
+			typeof nav?.onLine === "boolean" &&
+			typeof global.addEventListener === "function"
+		) {
+			const onConnectivity = () => {
+				this.online = nav.onLine;
+			};
+			global.addEventListener("online", onConnectivity);
+			global.addEventListener("offline", onConnectivity);
+			cleanup.push(() => {
+				global.removeEventListener("online", onConnectivity);
+				global.removeEventListener("offline", onConnectivity);
+			});
+			this.#online = nav.onLine;
+		}
+		if (cleanup.length) {
+			this.#unwatch = () => cleanup.forEach((fn) => fn());
+		}
+	}
+}
+
+export default EnvironmentPollingPolicy;
@@ -0,0 +1,208 @@
+import type { DatumInfo } from "solarnetwork-api-core/lib/domain";
+
+/**
+ * An MQTT client connected to SolarFlux.
+ *
+ * This is a subset of the `MqttClient` API of the [MQTT.js](https://github.com/mqttjs/MQTT.js)
+ * library, so a client created with its `connect()` function can be used directly, for example:
+ *
+ * ```ts
+ * import mqtt from "mqtt";
+ *
+ * const client = mqtt.connect("wss://flux.solarnetwork.net/mqtt", {
+ *   username: tokenId,
+ *   password: tokenPassword,
+ * });
+ * ```
+ *
+ * A single client can be shared by togglers for different controls, or for the same control. A
+ * topic is only unsubscribed from once no toggler subscribed to it remains.
+ */
+export interface ControlFluxClient {
+	/** `true` if the client is connected. */
+	readonly connected: boolean;
+
+	/**
+	 * Subscribe to a topic.
+	 *
+	 * @param topic the topic to subscribe to
+	 * @param callback a function to call when the subscription completes or fails
+	 */
+	subscribe(
+		topic: string,
+		callback?: (error?: Error | null) => void
+	): unknown;
+
+	/**
+	 * Unsubscribe from a topic.
+	 *
+	 * @param topic the topic to unsubscribe from
+	 */
+	unsubscribe(topic: string): unknown;
+
+	/**
+	 * Add a listener for client events.
+	 *
+	 * The `connect`, `close`, `offline`, and `message` events are used.
+	 *
+	 * @param event the event name
+	 * @param listener the listener
+	 */
+	on(event: string, listener: (...args: any[]) => void): unknown;
+
+	/**
+	 * Remove a listener for client events.
+	 *
+	 * @param event the event name
+	 * @param listener the listener
+	 */
+	removeListener(event: string, listener: (...args: any[]) => void): unknown;
+}
+
+/**
+ * A function to decode a SolarFlux message payload into a datum.
+ *
+ * @param payload the message payload
+ * @returns the datum, or `undefined` if the payload is not a datum
+ */
+export type ControlFluxDecoder = (payload: Uint8Array) => DatumInfo | undefined;
+
+/**
+ * Options for real-time control updates via SolarFlux.
+ */
+export interface ControlRealtimeOptions {
+	/** The MQTT client to subscribe with. */
+	client: ControlFluxClient;
+
+	/**
+	 * The ID of the SolarNetwork user that owns the node, to subscribe to the node's datum
+	 * topic with. Required unless `topic` is provided.
+	 */
+	userId?: number;
+
+	/**
+	 * The topic to subscribe to, which may contain wildcards. Defaults to the raw datum topic
+	 * of the control.
+	 */
+	topic?: string;
+
+	/**
+	 * The function to decode message payloads with.
+	 *
+	 * SolarFlux publishes CBOR encoded datum, so provide a function using a CBOR library, for
+	 * example `decode: (payload) => cbor.decode(payload)` using the
+	 * [cbor-x](https://github.com/kriszyp/cbor-x) library. Use {@link decodeFluxJson} if the
+	 * datum are published as JSON instead.
+	 */
+	decode: ControlFluxDecoder;
+
+	/**
+	 * The refresh rate, in milliseconds, to use while real-time updates are connected and no
+	 * change is pending. Defaults to 5 minutes.
+	 */
+	refreshMs?: number;
+}
+
+/**
+ * Get the SolarFlux topic for the raw datum of a node source.
+ *
+ * @param userId the ID of the user that owns the node
+ * @param nodeId the node ID
+ * @param sourceId the source ID
+ * @returns the topic
+ */
+export function fluxDatumTopic(
+	userId: number,
+	nodeId: number,
+	sourceId: string
+): string {
+	return `user/${userId}/node/${nodeId}/datum/0/${sourceId.replace(/^\/+/, "")}`;
+}
+
+/**
+ * Test if an MQTT topic matches a topic filter, which may contain `+` and `#` wildcards.
+ *
+ * @param filter the topic filter
+ * @param topic the topic
+ * @returns `true` if `topic` matches `filter`
+ */
+export function fluxTopicMatches(filter: string, topic: string): boolean {
+	const filterLevels = filter.split("/");
+	const topicLevels = topic.split("/");
+	for (let i = 0; i < filterLevels.length; i += 1) {
+		const level = filterLevels[i];
+		if (level === "#") {
+			return true;
+		}
+		if (i >= topicLevels.length) {
+			return false;
+		}
+		if (level !== "+" && level !== topicLevels[i]) {
+			return false;
+		}
+	}
+	return filterLevels.length === topicLevels.length;
+}
+
+/**
+ * Decode a JSON SolarFlux message payload into a datum.
+ *
+ * @param payload the message payload
+ * @returns the datum, or `undefined` if the payload is not a JSON object
+ */
+export function decodeFluxJson(payload: Uint8Array): DatumInfo | undefined {
+	const data = JSON.parse(new TextDecoder().decode(payload));
+	return data !== null && typeof data === "object" && !Array.isArray(data)
+		? data
+		: undefined;
+}
+
+/**
+ * The number of togglers subscribed to each topic, by client.
+ * @private
+ */
+const fluxTopicSubscriberCounts = new WeakMap<
+	ControlFluxClient,
+	Map<string, number>
+>();
+
+/**
+ * Record a subscriber to a topic.
+ *
+ * @param client the client the topic is subscribed with
+ * @param topic the topic
+ * @private
+ */
+export function addFluxTopicSubscriber(
+	client: ControlFluxClient,
+	topic: string
+): void {
+	let counts = fluxTopicSubscriberCounts.get(client);
+	if (!counts) {
+		counts = new Map();
+		fluxTopicSubscriberCounts.set(client, counts);
+	}
+	counts.set(topic, (counts.get(topic) ?? 0) + 1);
+}
+
+/**
+ * Remove a subscriber to a topic.
+ *
+ * @param client the client the topic is subscribed with
+ * @param topic the topic
+ * @returns `true` if no subscribers to the topic remain, so the topic can be unsubscribed from
+ * @private
+ */
+export function removeFluxTopicSubscriber(
+	client: ControlFluxClient,
+	topic: string
+): boolean {
+	const counts = fluxTopicSubscriberCounts.get(client);
+	const count = (counts?.get(topic) ?? 1) - 1;
+	if (count > 0) {
+		counts!.set(topic, count);
+		return false;
+	}
+	counts?.delete(topic);
+	return true;
+}
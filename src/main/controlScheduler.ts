@@ -0,0 +1,629 @@
+import type { InstructionInfo } from "solarnetwork-api-core/lib/domain";
+import { Logger as log } from "solarnetwork-api-core/lib/util";
+import type ControlToggler from "./controlToggler.js";
+import type { ControlValueType } from "./controlToggler.js";
+import type { ControlTogglerEventListenerOptions } from "./controlTogglerEvents.js";
+import CronExpression from "./cronExpression.js";
+import { requirePositive } from "./validation.js";
+
+/**
+ * The maximum time to wait between checks for due entries, in milliseconds, so that clock
+ * changes and system sleep are noticed promptly.
+ * @private
+ */
+const MAX_CHECK_MS = 60000;
+
+/**
+ * A policy for handling scheduled runs that were missed, for example because the scheduler was
+ * not running or the system was asleep.
+ *
+ * - `skip` - do not run missed runs; wait for the next scheduled time
+ * - `catchUp` - run the most recent missed run, to restore the value it should have set
+ */
+export type ControlScheduleMissedRunPolicy = "skip" | "catchUp";
+
+/**
+ * Options for a scheduled control value change.
+ */
+export interface ControlScheduleEntryOptions {
+	/**
+	 * A unique identifier for the entry. Scheduling an entry with the same ID as an existing
+	 * entry replaces that entry. If not provided a unique identifier will be generated.
+	 */
+	id?: string;
+
+	/**
+	 * The IANA time zone to evaluate a cron expression in, for example `America/New_York`.
+	 * Defaults to the scheduler's time zone.
+	 */
+	timeZone?: string;
+
+	/**
+	 * The scheduled time of the last run, for example as saved from a previous outcome. Runs
+	 * scheduled between this date and when the scheduler next checks are treated as missed.
+	 * If not provided, only runs after the entry is scheduled are considered.
+	 */
+	lastRunDate?: Date;
+
+	/** The missed run policy for this entry. Defaults to the scheduler's policy. */
+	missedRunPolicy?: ControlScheduleMissedRunPolicy;
+}
+
+/**
+ * A scheduled control value change.
+ */
+export interface ControlScheduleEntry {
+	/** The unique identifier of the entry. */
+	readonly id: string;
+
+	/** The control value to set. */
+	readonly value: ControlValueType;
+
+	/** The cron expression, for recurring entries. */
+	readonly cron?: CronExpression;
+
+	/** The date to run at, for one-off entries. */
+	readonly date?: Date;
+
+	/** The missed run policy. */
+	readonly missedRunPolicy: ControlScheduleMissedRunPolicy;
+
+	/** The scheduled time of the last run, if any. */
+	readonly lastRunDate?: Date;
+
+	/** The scheduled time of the next run, or `undefined` if no more runs are scheduled. */
+	readonly nextRunDate?: Date;
+}
+
+/**
+ * The outcome of a scheduled control value change.
+ */
+export interface ControlScheduleOutcome {
+	/** The scheduled entry, as of the run. */
+	readonly entry: ControlScheduleEntry;
+
+	/** The time the run was scheduled for. */
+	readonly scheduledDate: Date;
+
+	/** The time the run was performed or skipped. */
+	readonly date: Date;
+
+	/**
+	 * The run status:
+	 *
+	 * - `success` - the control value was set
+	 * - `failure` - setting the control value failed, see `error`
+	 * - `skipped` - the run was missed and skipped because of the missed run policy
+	 */
+	readonly status: "success" | "failure" | "skipped";
+
+	/** `true` if the run was missed, that is performed or skipped later than scheduled. */
+	readonly missed: boolean;
+
+	/**
+	 * The number of missed runs that were skipped: earlier missed runs skipped in favour of
+	 * this one, plus this one if its status is `skipped`.
+	 */
+	readonly skippedCount: number;
+
+	/** The instruction returned when setting the control value, on success. */
+	readonly instruction?: InstructionInfo;
+
+	/** The error, on failure. */
+	readonly error?: Error;
+}
+
+/**
+ * Options for constructing a {@link ControlScheduler}.
+ */
+export interface ControlSchedulerOptions {
+	/**
+	 * The IANA time zone to evaluate cron expressions in, for example `America/New_York`.
+	 * Defaults to the local time zone.
+	 */
+	timeZone?: string;
+
+	/** The default missed run policy. Defaults to `skip`. */
+	missedRunPolicy?: ControlScheduleMissedRunPolicy;
+
+	/**
+	 * The amount of time after its scheduled time, in milliseconds, that a run is considered
+	 * missed. Must be positive. Defaults to 1 minute.
+	 */
+	missedRunThresholdMs?: number;
+
+	/** `true` to start the scheduler immediately. */
+	start?: boolean;
+}
+
+/**
+ * Event dispatched after each scheduled run, with its outcome.
+ */
+export class ControlScheduleRunEvent extends Event {
+	/** The run outcome. */
+	readonly outcome: ControlScheduleOutcome;
+
+	/**
+	 * Constructor.
+	 * @param outcome the run outcome
+	 */
+	constructor(outcome: ControlScheduleOutcome) {
+		super("run");
+		this.outcome = outcome;
+	}
+}
+
+/**
+ * Mapping of control scheduler event types to associated event classes.
+ */
+export interface ControlSchedulerEventMap {
+	/** A scheduled run was performed or skipped. */
+	run: ControlScheduleRunEvent;
+}
+
+/**
+ * A control scheduler event type.
+ */
+export type ControlSchedulerEventType = keyof ControlSchedulerEventMap;
+
+/**
+ * A control scheduler event listener function.
+ */
+export type ControlSchedulerEventListener<K extends ControlSchedulerEventType> =
+	(
+		/** The control scheduler dispatching the event. */
+		this: ControlScheduler,
+
+		/** The event. */
+		event: ControlSchedulerEventMap[K]
+	) => void;
+
+/**
+ * The mutable state of a scheduled entry.
+ * @private
+ */
+interface ScheduleState {
+	readonly id: string;
+	readonly value: ControlValueType;
+	readonly cron?: CronExpression;
+	readonly date?: Date;
+	readonly missedRunPolicy: ControlScheduleMissedRunPolicy;
+	lastRunDate?: Date;
+	nextRunDate?: Date;
+}
+
+/**
+ * A due run of a schedule entry.
+ * @private
+ */
+interface DueRun {
+	readonly state: ScheduleState;
+
+	/** The date of the most recent missed run. */
+	readonly scheduledDate: Date;
+
+	/** The number of earlier runs that were missed. */
+	readonly skippedCount: number;
+}
+
+/**
+ * Schedule control value changes on a {@link ControlToggler}.
+ *
+ * Entries can be one-off, to run at a specific date, or recurring, using a
+ * {@link CronExpression} evaluated in a specific time zone. When an entry is due the scheduler
+ * calls {@link ControlToggler#value} with the entry's value, and dispatches a `run` event with
+ * the outcome.
+ *
+ * Runs that are missed, because the scheduler was not running or the system was asleep, are
+ * handled according to the entry's {@link ControlScheduleMissedRunPolicy}: either skipped, or
+ * caught up by running the most recent missed run. To catch up after a restart, save the
+ * `scheduledDate` of each outcome and pass it as the `lastRunDate` option when scheduling the
+ * entry again.
+ *
+ * @example
+ * const scheduler = new ControlScheduler(toggler, { timeZone: 'Pacific/Auckland' });
+ * scheduler.schedule('0 18 * * *', 1, { id: 'on' });
+ * scheduler.schedule('0 22 * * *', 0, { id: 'off' });
+ * scheduler.addEventListener('run', (event) => {
+ *   console.log(`Schedule ${event.outcome.entry.id}: ${event.outcome.status}`);
+ * });
+ * scheduler.start();
+ */
+class ControlScheduler extends EventTarget {
+	readonly #toggler: ControlToggler;
+	readonly #entries = new Map<string, ScheduleState>();
+
+	/** A timeout identifier. */
+	#timer?: any;
+
+	/** A counter for generating entry IDs. */
+	#idCounter = 0;
+
+	#missedRunThresholdMs = 60000;
+
+	/** The time zone to evaluate cron expressions in, unless specified by an entry. */
+	readonly timeZone?: string;
+
+	/** The missed run policy, unless specified by an entry. */
+	readonly missedRunPolicy: ControlScheduleMissedRunPolicy;
+
+	/**
+	 * Constructor.
+	 * @param toggler the toggler to set control values with
+	 * @param options the scheduler options
+	 * @throws TypeError if `toggler` is not provided
+	 * @throws RangeError if a numeric option is out of range
+	 */
+	constructor(toggler: ControlToggler, options?: ControlSchedulerOptions) {
+		super();
+		if (!toggler) {
+			throw new TypeError("The toggler must be provided.");
+		}
+		this.#toggler = toggler;
+		this.timeZone = options?.timeZone;
+		this.missedRunPolicy = options?.missedRunPolicy || "skip";
+		if (options?.missedRunThresholdMs !== undefined) {
+			this.missedRunThresholdMs = options.missedRunThresholdMs;
+		}
+		if (options?.start) {
+			this.start();
+		}
+	}
+
+	/**
+	 * Add an event listener.
+	 *
+	 * @param type the event type
+	 * @param listener the listener to add
+	 * @param options the listener options
+	 */
+	addEventListener<K extends ControlSchedulerEventType>(
+		type: K,
+		listener: ControlSchedulerEventListener<K>,
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	addEventListener(
+		type: string,
+		listener: Parameters<EventTarget["addEventListener"]>[1],
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	addEventListener(
+		type: string,
+		listener: any,
+		options?: ControlTogglerEventListenerOptions
+	): void {
+		super.addEventListener(type, listener, options);
+	}
+
+	/**
+	 * Remove an event listener.
+	 *
+	 * @param type the event type
+	 * @param listener the listener to remove
+	 * @param options the listener options
+	 */
+	removeEventListener<K extends ControlSchedulerEventType>(
+		type: K,
+		listener: ControlSchedulerEventListener<K>,
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	removeEventListener(
+		type: string,
+		listener: Parameters<EventTarget["removeEventListener"]>[1],
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	removeEventListener(
+		type: string,
+		listener: any,
+		options?: ControlTogglerEventListenerOptions
+	): void {
+		super.removeEventListener(type, listener, options);
+	}
+
+	/**
+	 * The amount of time after its scheduled time, in milliseconds, that a run is considered
+	 * missed. Defaults to 1 minute.
+	 *
+	 * @throws RangeError if set to a value that is not a positive number
+	 */
+	get missedRunThresholdMs(): number {
+		return this.#missedRunThresholdMs;
+	}
+
+	set missedRunThresholdMs(ms: number) {
+		this.#missedRunThresholdMs = requirePositive(
+			"missedRunThresholdMs",
+			ms
+		);
+	}
+
+	/**
+	 * Get the toggler control values are set with.
+	 *
+	 * @returns the toggler
+	 */
+	get toggler(): ControlToggler {
+		return this.#toggler;
+	}
+
+	/**
+	 * Get the scheduled entries.
+	 *
+	 * @returns the entries, in the order they were scheduled
+	 */
+	get entries(): ControlScheduleEntry[] {
+		return Array.from(this.#entries.values(), (s) => this.#entry(s));
+	}
+
+	/**
+	 * Test if the scheduler has been started.
+	 *
+	 * @returns `true` if the scheduler is running
+	 */
+	get running(): boolean {
+		return !!this.#timer;
+	}
+
+	/**
+	 * Create a public snapshot of an entry state.
+	 *
+	 * @param state the entry state
+	 * @returns the entry
+	 * @private
+	 */
+	#entry(state: ScheduleState): ControlScheduleEntry {
+		return { ...state };
+	}
+
+	/**
+	 * Schedule a control value change.
+	 *
+	 * @param when the date to change the value at, or a cron expression (either a string or a
+	 *             {@link CronExpression} instance) for recurring changes
+	 * @param value the control value to set
+	 * @param options the entry options
+	 * @returns the scheduled entry
+	 * @throws TypeError if `when` is not a valid date or cron expression, or `value` is not
+	 *         valid for the toggler's value codec
+	 * @throws RangeError if a cron expression field is out of range, or the time zone is not
+	 *         supported
+	 */
+	schedule(
+		when: Date | CronExpression | string,
+		value: ControlValueType,
+		options?: ControlScheduleEntryOptions
+	): ControlScheduleEntry {
+		if (this.#toggler.valueCodec.decode(value) === undefined) {
+			throw new TypeError(
+				`Invalid ${this.#toggler.valueCodec.type} value for control ${this.#toggler.controlId}: ${value}`
+			);
+		}
+		let cron: CronExpression | undefined;
+		let date: Date | undefined;
+		if (when instanceof CronExpression) {
+			cron = when;
+		} else if (when instanceof Date) {
+			if (isNaN(when.getTime())) {
+				throw new TypeError("The schedule date must be a valid date.");
+			}
+			date = when;
+		} else {
+			cron = new CronExpression(when, options?.timeZone ?? this.timeZone);
+		}
+		let id = options?.id;
+		if (!id) {
+			do {
+				this.#idCounter += 1;
+				id = String(this.#idCounter);
+			} while (this.#entries.has(id));
+		}
+		const lastRunDate = options?.lastRunDate;
+		const state: ScheduleState = {
+			id: id,
+			value: value,
+			cron: cron,
+			date: date,
+			missedRunPolicy: options?.missedRunPolicy || this.missedRunPolicy,
+			lastRunDate: lastRunDate,
+			nextRunDate: cron
+				? cron.next(lastRunDate || new Date())
+				: lastRunDate && lastRunDate.getTime() >= date!.getTime()
+					? undefined
+					: date,
+		};
+		this.#entries.delete(id);
+		this.#entries.set(id, state);
+		if (this.#timer) {
+			this.#schedule(0);
+		}
+		return this.#entry(state);
+	}
+
+	/**
+	 * Remove a scheduled entry.
+	 *
+	 * @param id the ID of the entry to remove
+	 * @returns `true` if the entry was removed
+	 */
+	unschedule(id: string): boolean {
+		return this.#entries.delete(id);
+	}
+
+	/**
+	 * Start running scheduled entries.
+	 *
+	 * Any entries that are already due are handled immediately, according to their missed run
+	 * policy.
+	 *
+	 * @returns this object
+	 */
+	start(): this {
+		if (!this.#timer) {
+			this.#schedule(0);
+		}
+		return this;
+	}
+
+	/**
+	 * Stop running scheduled entries.
+	 *
+	 * @returns this object
+	 */
+	stop(): this {
+		clearTimeout(this.#timer);
+		this.#timer = undefined;
+		return this;
+	}
+
+	/**
+	 * Schedule the next check for due entries.
+	 *
+	 * @param ms the delay, in milliseconds
+	 * @private
+	 */
+	#schedule(ms: number) {
+		clearTimeout(this.#timer);
+		this.#timer = setTimeout(() => {
+			this.#check();
+		}, ms);
+	}
+
+	/**
+	 * Run all due entries, and schedule the next check.
+	 *
+	 * Due entries are run in the order of their scheduled dates, so that after missed runs the
+	 * control is left with the value of the most recent run.
+	 *
+	 * @private
+	 */
+	#check() {
+		const now = Date.now();
+		let nextTs = now + MAX_CHECK_MS;
+		const dueRuns: DueRun[] = [];
+		for (const state of Array.from(this.#entries.values())) {
+			const due = state.nextRunDate;
+			if (due && due.getTime() <= now) {
+				dueRuns.push(this.#advance(state, now));
+			}
+			if (!state.nextRunDate) {
+				this.#entries.delete(state.id);
+			} else if (state.nextRunDate.getTime() < nextTs) {
+				nextTs = state.nextRunDate.getTime();
+			}
+		}
+		dueRuns.sort(
+			(l, r) => l.scheduledDate.getTime() - r.scheduledDate.getTime()
+		);
+		for (const run of dueRuns) {
+			this.#runDue(run, now);
+		}
+		this.#schedule(Math.max(0, nextTs - Date.now()));
+	}
+
+	/**
+	 * Advance a due entry to its next run.
+	 *
+	 * @param state the entry state
+	 * @param now the current time
+	 * @returns the due run
+	 * @private
+	 */
+	#advance(state: ScheduleState, now: number): DueRun {
+		let scheduledDate = state.nextRunDate!;
+		let skippedCount = 0;
+		let next = state.cron?.next(scheduledDate);
+		while (next && next.getTime() <= now) {
+			// more runs were missed; only the most recent is considered
+			skippedCount += 1;
+			scheduledDate = next;
+			next = state.cron!.next(next);
+		}
+		state.lastRunDate = scheduledDate;
+		state.nextRunDate = next;
+		return {
+			state: state,
+			scheduledDate: scheduledDate,
+			skippedCount: skippedCount,
+		};
+	}
+
+	/**
+	 * Run or skip a due entry.
+	 *
+	 * @param run the due run
+	 * @param now the current time
+	 * @private
+	 */
+	#runDue(run: DueRun, now: number) {
+		const { state, scheduledDate, skippedCount } = run;
+		const missed =
+			now - scheduledDate.getTime() > this.#missedRunThresholdMs;
+		const outcome = {
+			scheduledDate: scheduledDate,
+			date: new Date(now),
+			missed: missed || skippedCount > 0,
+			skippedCount: skippedCount,
+		};
+		if (missed && state.missedRunPolicy === "skip") {
+			log.info(
+				"Skipping missed node %d control %s schedule %s run at %s",
+				this.#toggler.nodeId,
+				this.#toggler.controlId,
+				state.id,
+				scheduledDate.toISOString()
+			);
+			this.#dispatchRun({
+				...outcome,
+				entry: this.#entry(state),
+				status: "skipped",
+				skippedCount: skippedCount + 1,
+			});
+			return;
+		}
+		log.debug(
+			"Running node %d control %s schedule %s to set value %s",
+			this.#toggler.nodeId,
+			this.#toggler.controlId,
+			state.id,
+			state.value
+		);
+		const entry = this.#entry(state);
+		this.#toggler.value(state.value).then(
+			(instruction) => {
+				this.#dispatchRun({
+					...outcome,
+					entry: entry,
+					status: "success",
+					instruction: instruction,
+				});
+			},
+			(error) => {
+				log.error(
+					"Error running node %d control %s schedule %s: %s",
+					this.#toggler.nodeId,
+					this.#toggler.controlId,
+					state.id,
+					error
+				);
+				this.#dispatchRun({
+					...outcome,
+					entry: entry,
+					status: "failure",
+					error: error,
+				});
+			}
+		);
+	}
+
+	/**
+	 * Dispatch a run event.
+	 *
+	 * @param outcome the run outcome
+	 * @private
+	 */
+	#dispatchRun(outcome: ControlScheduleOutcome) {
+		this.dispatchEvent(new ControlScheduleRunEvent(outcome));
+	}
+}
+
+export default ControlScheduler;
@@ -0,0 +1,93 @@
+import { DatumInfo, InstructionInfo } from "solarnetwork-api-core/lib/domain";
+import { type ControlValueType } from "./controlToggler.js";
+
+/**
+ * The persistable state of a {@link ControlToggler}.
+ *
+ * This is the object returned by {@link ControlToggler#toJSON}, which can be passed to
+ * {@link ControlToggler#restore} to restore the state in a new toggler.
+ */
+export interface ControlTogglerState {
+	/** The ID of the node with the control. */
+	readonly nodeId: number;
+
+	/** The ID of the control. */
+	readonly controlId: string;
+
+	/** The date the state was saved, as an ISO 8601 timestamp. */
+	readonly date: string;
+
+	/** The last known datum for the control. */
+	readonly datum?: DatumInfo;
+
+	/** The last known instruction for the control. */
+	readonly instruction?: InstructionInfo;
+
+	/** The desired value of a change that has not been confirmed yet, in optimistic mode. */
+	readonly desiredValue?: ControlValueType;
+
+	/** The IDs of the most recent instructions created by the toggler. */
+	readonly ownInstructionIds?: number[];
+}
+
+/**
+ * API for storing {@link ControlToggler} state, so it can be restored after a page reload or
+ * restart.
+ *
+ * This is a subset of the Web Storage API, so `window.localStorage` or `window.sessionStorage`
+ * can be used directly. Implementations that store data asynchronously, for example in a file,
+ * can return promises instead.
+ */
+export interface ControlStateStorage {
+	/**
+	 * Get a stored value.
+	 *
+	 * @param key the key of the value to get
+	 * @returns the value, or `null` or `undefined` if not available
+	 */
+	getItem(
+		key: string
+	): string | null | undefined | Promise<string | null | undefined>;
+
+	/**
+	 * Store a value.
+	 *
+	 * @param key the key of the value to store
+	 * @param value the value to store
+	 */
+	setItem(key: string, value: string): void | Promise<void>;
+}
+
+/**
+ * A {@link ControlStateStorage} that keeps values in memory.
+ *
+ * This can be shared by togglers to preserve state when they are replaced, for example when a
+ * UI component is re-created, or used in tests.
+ */
+export class MemoryStateStorage implements ControlStateStorage {
+	readonly #items = new Map<string, string>();
+
+	getItem(key: string): string | undefined {
+		return this.#items.get(key);
+	}
+
+	setItem(key: string, value: string): void {
+		this.#items.set(key, value);
+	}
+
+	/**
+	 * Remove a stored value.
+	 *
+	 * @param key the key of the value to remove
+	 */
+	removeItem(key: string): void {
+		this.#items.delete(key);
+	}
+
+	/**
+	 * Remove all stored values.
+	 */
+	clear(): void {
+		this.#items.clear();
+	}
+}
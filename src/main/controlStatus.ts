@@ -0,0 +1,51 @@
+/**
+ * The status of a control managed by a {@link ControlToggler}.
+ */
+export enum ControlStatus {
+	/** The state of the control has not been loaded yet. */
+	Unknown = "Unknown",
+
+	/** The state of the control is known, and no change is in progress. */
+	Idle = "Idle",
+
+	/** A request to queue an instruction to change the control is in progress. */
+	Queuing = "Queuing",
+
+	/** An instruction to change the control is queued, waiting for the node to receive it. */
+	Pending = "Pending",
+
+	/** The node has received the instruction to change the control, and is executing it. */
+	Executing = "Executing",
+
+	/**
+	 * The instruction to change the control has completed, and the control is waiting for the
+	 * datum to report the new value.
+	 */
+	Confirming = "Confirming",
+
+	/** The last request failed. */
+	Error = "Error",
+
+	/** Requests are failing repeatedly, so SolarNetwork is considered unreachable. */
+	Offline = "Offline",
+}
+
+/**
+ * A change of control status.
+ */
+export interface ControlStatusTransition {
+	/** The new status. */
+	readonly status: ControlStatus;
+
+	/** The previous status. */
+	readonly previousStatus: ControlStatus;
+
+	/** The date of the transition. */
+	readonly date: Date;
+
+	/** The ID of the instruction tracked at the time of the transition, if any. */
+	readonly instructionId?: number;
+
+	/** The message of the error that caused the transition, if any. */
+	readonly error?: string;
+}
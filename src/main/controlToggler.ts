@@ -6,46 +6,121 @@ import {
 	FilterResults,
 	Instruction,
 	InstructionInfo,
+	InstructionParameter,
 	InstructionState,
 	InstructionStates,
-	Result,
 } from "solarnetwork-api-core/lib/domain";
-import { Logger as log } from "solarnetwork-api-core/lib/util";
+import { Dates, Logger as log } from "solarnetwork-api-core/lib/util";
 import {
 	AuthorizationV2Builder,
-	HttpContentType,
-	HttpHeaders,
 	HttpMethod,
 	SolarQueryApi,
 	SolarUserApi,
 } from "solarnetwork-api-core/lib/net";
-import fetch from "./fetch.js";
+import ControlCoordinator, {
+	ControlCoordinatorLeaderEvent,
+	ControlCoordinatorOptions,
+} from "./controlCoordinator.js";
+import {
+	ControlPollingChangeEvent,
+	ControlPollingPolicy,
+} from "./controlPollingPolicy.js";
+import {
+	ControlFluxClient,
+	ControlFluxDecoder,
+	addFluxTopicSubscriber,
+	ControlRealtimeOptions,
+	fluxDatumTopic,
+	fluxTopicMatches,
+	removeFluxTopicSubscriber,
+} from "./controlRealtime.js";
+import {
+	ControlStateStorage,
+	ControlTogglerState,
+} from "./controlStateStorage.js";
+import { ControlStatus, ControlStatusTransition } from "./controlStatus.js";
+import {
+	ControlChangeEvent,
+	ControlCircuitChangeEvent,
+	ControlConflictEvent,
+	ControlErrorEvent,
+	ControlInstructionExpiredEvent,
+	ControlInstructionStateChangeEvent,
+	ControlLeaderChangeEvent,
+	ControlPendingChangeEvent,
+	ControlRealtimeChangeEvent,
+	ControlRollbackEvent,
+	ControlRollbackReason,
+	ControlStatusChangeEvent,
+	ControlTogglerEventListener,
+	ControlTogglerEventListenerOptions,
+	ControlTogglerEventType,
+	ControlValueChangeEvent,
+} from "./controlTogglerEvents.js";
+import { ControlValueCodec, LooseValueCodec } from "./controlValueCodecs.js";
+import {
+	ControlAbortError,
+	ControlSupersededError,
+	ControlTimeoutError,
+	InstructionDeclinedError,
+} from "./errors.js";
+import {
+	InstructionActiveStates,
+	InstructionFinishedStates,
+	instructionResultMessage,
+} from "./instructionStates.js";
+import InstructionTracker from "./instructionTracker.js";
+import {
+	ControlTransportOptions,
+	fetchData,
+	queryAuthorization,
+} from "./net.js";
+import {
+	requireNonNegative,
+	requireNonNegativeInteger,
+	requirePositive,
+} from "./validation.js";
 
 /**
- * Instruction states that indicate a toggle instruction is in-flight.
+ * The maximum number of instructions created by a toggler to remember.
  * @private
  */
-const InstructionActiveStates = new Set<InstructionState>([
+const MAX_OWN_INSTRUCTIONS = 20;
+
+/**
+ * Instruction states that indicate an instruction is waiting for the node to receive it.
+ * @private
+ */
+const InstructionWaitingStates = new Set<InstructionState>([
 	InstructionStates.Queuing,
 	InstructionStates.Queued,
-	InstructionStates.Received,
-	InstructionStates.Executing,
 ]);
 
 /**
- * Instruction states that indicate a toggle instruction is comleted or declined.
+ * The default maximum time to wait for a control change to be confirmed, in milliseconds.
  * @private
  */
-const InstructionFinishedStates = new Set<InstructionState>([
-	InstructionStates.Completed,
-	InstructionStates.Declined,
-]);
+const DEFAULT_CONFIRM_TIMEOUT_MS = 60000;
+
+/**
+ * The default refresh rate while real-time updates are connected, in milliseconds.
+ * @private
+ */
+const DEFAULT_REALTIME_REFRESH_MS = 300000;
 
 /** The control value type. */
 export type ControlValueType = boolean | number | string;
 
+/**
+ * A function that extracts the control value from a datum.
+ */
+export type ControlValueExtractor = (datum: DatumInfo) => unknown;
+
 /**
  * Extension to Datum class with a specific `val` property.
+ *
+ * When a toggler is configured with a different value property, `val` holds the value of that
+ * property, while the datum's other properties are left unchanged.
  */
 export class ControlDatum extends Datum {
 	/** The control value. */
@@ -56,6 +131,167 @@ export class ControlDatum extends Datum {
 	}
 }
 
+/**
+ * API for loading the state of controls from SolarNetwork.
+ *
+ * A {@link ControlToggler} will use a configured loader to get the data it needs when
+ * updating its state, instead of requesting that data directly. This allows requests to be
+ * shared across many togglers, as {@link ControlTogglerGroup} does.
+ */
+export interface ControlStateLoader {
+	/**
+	 * Load the most recent datum for a control.
+	 *
+	 * @param nodeId the ID of the node with the control
+	 * @param controlId the ID of the control
+	 * @param signal an optional signal to abort the request with
+	 * @returns promise of the most recent datum, or `undefined` if not available
+	 */
+	mostRecentDatum(
+		nodeId: number,
+		controlId: string,
+		signal?: AbortSignal
+	): Promise<DatumInfo | undefined>;
+
+	/**
+	 * Load the pending instructions for a node.
+	 *
+	 * @param nodeId the ID of the node to load the pending instructions for
+	 * @param signal an optional signal to abort the request with
+	 * @returns promise of the pending instructions
+	 */
+	pendingInstructions(
+		nodeId: number,
+		signal?: AbortSignal
+	): Promise<InstructionInfo[]>;
+
+	/**
+	 * Load a specific instruction.
+	 *
+	 * @param instructionId the ID of the instruction to load
+	 * @param signal an optional signal to abort the request with
+	 * @returns promise of the instruction, or `undefined` if not available
+	 */
+	instruction(
+		instructionId: number,
+		signal?: AbortSignal
+	): Promise<InstructionInfo | undefined>;
+}
+
+/**
+ * A snapshot of the state of a control.
+ */
+export interface ControlTogglerSnapshot {
+	/** The control value. */
+	readonly value?: ControlValueType;
+
+	/** The control status. */
+	readonly status: ControlStatus;
+
+	/** `true` if a state change is pending. */
+	readonly pending: boolean;
+
+	/**
+	 * `true` if `value` is an optimistic value, that is the desired value of a change that has
+	 * not been confirmed yet.
+	 */
+	readonly optimistic: boolean;
+
+	/** The last known instruction. */
+	readonly instruction?: Readonly<Instruction>;
+
+	/**
+	 * A message from the last known instruction's result parameters, such as the reason the
+	 * instruction was declined.
+	 */
+	readonly resultMessage?: string;
+
+	/** The most recent datum reported for the control, with all its properties. */
+	readonly datum?: Readonly<ControlDatum>;
+
+	/** An error, if one occurred. */
+	readonly error?: Error;
+}
+
+/**
+ * Options for asynchronous {@link ControlToggler} methods that make HTTP requests.
+ */
+export interface ControlTogglerRequestOptions {
+	/**
+	 * A signal to abort the operation with. If aborted the operation will be rejected with a
+	 * {@link ControlAbortError}.
+	 */
+	signal?: AbortSignal;
+}
+
+/**
+ * The outcome of a {@link ControlToggler#cancelPending} request.
+ */
+export interface ControlTogglerCancelResult {
+	/** `true` if the pending instruction was declined. */
+	readonly cancelled: boolean;
+
+	/**
+	 * The pending instruction, in its state after the request. If `cancelled` is `false` this
+	 * is the state the instruction had already reached, for example `Received` or `Executing`
+	 * if it was too late to cancel it. Not available if there was no pending instruction.
+	 */
+	readonly instruction?: Readonly<Instruction>;
+}
+
+/**
+ * Options for coordinating togglers across browser tabs.
+ */
+export interface ControlTogglerCoordinationOptions
+	extends ControlCoordinatorOptions {
+	/**
+	 * The name of the channel to coordinate with. Defaults to a name derived from the node and
+	 * control IDs.
+	 */
+	channelName?: string;
+}
+
+/**
+ * Options for the {@link ControlToggler#changes} method.
+ */
+export interface ControlTogglerChangesOptions {
+	/** A signal to end the iteration with. */
+	signal?: AbortSignal;
+}
+
+/**
+ * Options for the {@link ControlToggler#setAndConfirm} method.
+ */
+export interface ControlTogglerConfirmOptions
+	extends ControlTogglerRequestOptions {
+	/**
+	 * The maximum time to wait for the change to be confirmed, in milliseconds, counted from
+	 * when the change is requested. Must be positive. Defaults to 60 seconds.
+	 */
+	timeoutMs?: number;
+
+	/**
+	 * `true` to require the most recent datum to report the desired value, instead of
+	 * also accepting the instruction reaching the `Completed` state as confirmation.
+	 */
+	confirmDatum?: boolean;
+}
+
+/**
+ * The control state last reported to listeners.
+ * @private
+ */
+interface NotifiedControlState {
+	/** The control value. */
+	value?: ControlValueType;
+
+	/** The instruction. */
+	instruction?: Instruction;
+
+	/** The pending state change flag. */
+	pending: boolean;
+}
+
 /**
  * The data callback function.
  */
@@ -67,6 +303,235 @@ export type ControlCallbackFn = (
 	error?: Error
 ) => void;
 
+/**
+ * Find the parameter for a control in an instruction.
+ *
+ * @param instruction the instruction to search
+ * @param controlId the ID of the control to find the parameter for
+ * @returns the parameter, or `undefined` if the instruction does not include one for the control
+ * @private
+ */
+function controlParameter(
+	instruction: InstructionInfo | undefined,
+	controlId: string
+): InstructionParameter | undefined {
+	return Array.isArray(instruction?.parameters)
+		? instruction.parameters.find((p) => p.name === controlId)
+		: undefined;
+}
+
+/**
+ * Resolve the function to extract control values from datum with.
+ *
+ * @param valueProperty the datum property name, or value extractor function
+ * @returns the extractor function
+ * @throws TypeError if `valueProperty` is an empty string
+ * @private
+ */
+function valueExtractor(
+	valueProperty?: string | ControlValueExtractor
+): ControlValueExtractor {
+	if (typeof valueProperty === "function") {
+		return valueProperty;
+	}
+	if (valueProperty !== undefined && !valueProperty.trim()) {
+		throw new TypeError("The value property must not be empty.");
+	}
+	const prop = valueProperty || "val";
+	return (datum) => datum[prop];
+}
+
+/**
+ * Options for constructing a {@link ControlToggler}.
+ */
+export interface ControlTogglerOptions {
+	/** The URL helper to use. */
+	api: SolarUserApi;
+
+	/**
+	 * The auth builder to authenticate requests with; the required credentials must be set
+	 * appropriately.
+	 */
+	auth: AuthorizationV2Builder;
+
+	/** The ID of the node with the control to manage. Must be an integer. */
+	nodeId: number;
+
+	/** The ID of the control to manage. Must not be empty. */
+	controlId: string;
+
+	/**
+	 * A URL helper for accessing node datum via SolarQuery; if not provided one will be created
+	 * using the environment from `api`. Useful in a development environment when the SolarUser
+	 * and SolarQuery hosts are different.
+	 */
+	queryApi?: SolarQueryApi;
+
+	/**
+	 * A loader to get the control state with; if not provided the state will be requested
+	 * directly from SolarNetwork.
+	 */
+	loader?: ControlStateLoader;
+
+	/** Transport options, such as a custom `fetch()` implementation or extra headers. */
+	transport?: ControlTransportOptions;
+
+	/**
+	 * The name of the datum property that holds the control value, or a function that extracts
+	 * the control value from a datum. Defaults to `val`.
+	 */
+	valueProperty?: string | ControlValueExtractor;
+
+	/**
+	 * The codec for the control value type, used to normalize and compare values. If not
+	 * provided values are used as-is and compared with loose equality.
+	 */
+	valueCodec?: ControlValueCodec;
+
+	/** The refresh rate, in milliseconds. Must be positive. */
+	refreshMs?: number;
+
+	/** The refresh rate, in milliseconds, when a toggle instruction is queued. Must be positive. */
+	pendingRefreshMs?: number;
+
+	/** The maximum time to wait for each HTTP request to complete, in milliseconds. */
+	requestTimeoutMs?: number;
+
+	/** The delay, in milliseconds, before retrying after the first failed automatic update. */
+	retryDelayMs?: number;
+
+	/** The maximum delay, in milliseconds, before retrying after failed automatic updates. */
+	maxRetryDelayMs?: number;
+
+	/** The number of consecutive failed updates after which the circuit breaker opens. */
+	circuitBreakerThreshold?: number;
+
+	/**
+	 * The maximum time, in milliseconds, an instruction queued for the control may remain
+	 * `Queued` before it is declined, or `0` for no limit.
+	 */
+	instructionMaxAgeMs?: number;
+
+	/**
+	 * `true` to report the desired value of a change immediately, until the change is confirmed
+	 * or rolled back.
+	 */
+	optimistic?: boolean;
+
+	/**
+	 * The maximum time, in milliseconds, to wait for an optimistic change to be confirmed before
+	 * rolling it back. Must be positive. Defaults to 1 minute.
+	 */
+	optimisticTimeoutMs?: number;
+
+	/** The maximum number of status transitions to keep. Defaults to 20. */
+	statusHistoryLimit?: number;
+
+	/**
+	 * The time, in milliseconds, to wait for further value changes before sending a value
+	 * change request, or `0` to send requests as soon as possible. Defaults to `0`.
+	 */
+	valueDebounceMs?: number;
+
+	/**
+	 * Storage to save the toggler state to after every change, and restore it from when the
+	 * toggler is created.
+	 */
+	stateStorage?: ControlStateStorage;
+
+	/**
+	 * The key to save the toggler state with in `stateStorage`. Defaults to a key derived from
+	 * the node and control IDs.
+	 */
+	stateKey?: string;
+
+	/**
+	 * `true` or coordination options to coordinate with togglers for the same control in other
+	 * browser tabs, so only one of them updates the control state.
+	 */
+	coordination?: boolean | ControlTogglerCoordinationOptions;
+
+	/**
+	 * A policy to adapt automatic updates with, for example to pause them while the page is
+	 * hidden or the device is offline.
+	 */
+	pollingPolicy?: ControlPollingPolicy;
+
+	/**
+	 * Options to receive control updates in real time via SolarFlux, falling back to polling
+	 * while disconnected.
+	 */
+	realtime?: ControlRealtimeOptions;
+
+	/** The callback function. */
+	callback?: ControlCallbackFn;
+
+	/** Event listeners to add. */
+	listeners?: {
+		[K in ControlTogglerEventType]?: ControlTogglerEventListener<K>;
+	};
+
+	/**
+	 * `true` to start automatically updating the status of the control immediately, or a
+	 * millisecond offset to start at.
+	 */
+	start?: boolean | number;
+}
+
+/**
+ * Get a plain copy of an instruction, suitable for serialization.
+ *
+ * @param instruction the instruction to copy
+ * @returns the copy
+ * @private
+ */
+function instructionInfo(instruction: InstructionInfo): InstructionInfo {
+	return {
+		id: instruction.id,
+		created: instruction.created,
+		nodeId: instruction.nodeId,
+		topic: instruction.topic,
+		instructionDate: instruction.instructionDate,
+		state: instruction.state,
+		statusDate: instruction.statusDate,
+		parameters: instruction.parameters,
+		resultParameters: instruction.resultParameters,
+	};
+}
+
+/**
+ * A request sent to the leader of coordinated togglers.
+ * @private
+ */
+interface CoordinationRequest {
+	readonly type: "state" | "value";
+	readonly value?: ControlValueType;
+}
+
+/**
+ * A value change request waiting to be sent.
+ * @private
+ */
+interface ValueRequest {
+	readonly value: ControlValueType;
+	readonly signal?: AbortSignal;
+	readonly resolve: (instruction: InstructionInfo) => void;
+	readonly reject: (error: Error) => void;
+	readonly release: () => void;
+}
+
+/**
+ * A SolarFlux subscription for real-time control updates.
+ * @private
+ */
+interface RealtimeSubscription {
+	readonly client: ControlFluxClient;
+	readonly topic: string;
+	readonly decode: ControlFluxDecoder;
+	readonly refreshMs: number;
+	readonly listeners: [string, (...args: any[]) => void][];
+}
+
 /**
  * Manage the state of a boolean control switch using SolarNetwork `SetControlParameter` instructions.
  *
@@ -78,30 +543,49 @@ export type ControlCallbackFn = (
  * If the {@link ControlToggler#start} method is called, the toggler will make periodic
  * calls to SolarNetwork to get the most recent value for the configured control ID, which it
  * treats as a {@link ControlDatum} `sourceId` value. Thus if some other process changes the
- * control, the toggler will eventually pick up that change and invoke the callback function.
+ * control, the toggler will eventually pick up that change and dispatch events to its
+ * listeners (and invoke the callback function). If an update fails, the next update is
+ * retried with an exponential backoff delay until an update succeeds, and optionally a
+ * circuit breaker can be configured via {@link ControlToggler#circuitBreakerThreshold}.
+ *
+ * The toggler is an `EventTarget` that dispatches the events defined in
+ * {@link ControlTogglerEventMap}. Listeners should not throw exceptions.
  *
  * @example
  * const auth = new AuthorizationV2Builder('token');
  * auth.saveSigningKey('secret');
  *
- * const toggler = new ControlTogger(new SolarUserApi(), auth, 123, '/power/switch/1');
- * toggler.callback = (error) => {
- *   // invoked when instruction states change, or the control value changes
- *   console.log(`Control ${toggler.controlId} value == ${toggler.value()}; pending == ${toggler.hasPendingStateChange}`);
- * };
- *
- * // enable automatic keeping track of state and the callback hook
- * toggler.start();
+ * const toggler = new ControlTogger({
+ *   api: new SolarUserApi(),
+ *   auth: auth,
+ *   nodeId: 123,
+ *   controlId: '/power/switch/1',
+ *   listeners: {
+ *     valuechange(event) {
+ *       // invoked when the control value changes
+ *       console.log(`Control ${this.controlId} value changed from ${event.oldValue} to ${event.newValue}`);
+ *     },
+ *     pendingchange(event) {
+ *       console.log(`Control ${this.controlId} pending == ${event.pending}`);
+ *     },
+ *   },
+ *   // enable automatic keeping track of state and the callback hook
+ *   start: true,
+ * });
  *
  * // ... at some point later, maybe in response to a UI event, update the state;
  * // the callback will be invoked then the value changes
  * toggler.value(1);
  */
-class ControlToggler {
+class ControlToggler extends EventTarget {
 	readonly #api: SolarUserApi;
 	readonly #auth: AuthorizationV2Builder;
 	readonly #queryApi: SolarQueryApi;
 	readonly #queryAuth: AuthorizationV2Builder;
+	readonly #loader?: ControlStateLoader;
+	readonly #transport?: ControlTransportOptions;
+	readonly #codec: ControlValueCodec;
+	readonly #valueExtractor: ControlValueExtractor;
 
 	/**
 	 * The node ID to manage the control on.
@@ -116,35 +600,176 @@ class ControlToggler {
 	/** A timeout identifier. */
 	#timer?: any;
 
+	/** The number of active {@link ControlToggler#changes} iterators. */
+	#changesCount = 0;
+
+	/** Flag set if automatic updates were started by a changes iterator. */
+	#changesStarted = false;
+
 	/**
 	 * The last known instruction status. The `val` property indicates the control value.
 	 */
 	#lastKnownDatum?: ControlDatum;
 
+	/**
+	 * The most recent datum, as reported by SolarNetwork.
+	 */
+	#lastReportedDatum?: ControlDatum;
+
 	/**
 	 * The last known instruction object.
 	 */
 	#lastKnownInstruction?: Instruction;
 
 	/**
-	 * The refresh rate, in milliseconds.
-	 * Defaults to 20 seconds.
+	 * The ID of the completed instruction that is no longer waiting for the datum to report its
+	 * value.
 	 */
-	refreshMs: number = 20000;
+	#unconfirmedInstructionId?: number;
 
 	/**
-	 * The refresh rate, in milliseconds, when a toggle instruction is queued.
-	 * Defaults to 5 seconds.
+	 * The control state last reported to listeners.
+	 */
+	#notifiedState: NotifiedControlState = { pending: false };
+
+	/**
+	 * Functions to invoke after each update, to check if a change has been confirmed.
+	 */
+	readonly #confirmations = new Set<() => void>();
+
+	/** The number of consecutive failed updates. */
+	#failureCount = 0;
+
+	/** The date the next automatic update is scheduled for, after a failure. */
+	#nextRetryDate?: Date;
+
+	/** Flag set when the circuit breaker is open. */
+	#circuitOpen = false;
+
+	#refreshMs = 20000;
+	#pendingRefreshMs = 5000;
+	#requestTimeoutMs = 0;
+	#retryDelayMs = 5000;
+	#maxRetryDelayMs = 300000;
+	#circuitBreakerThreshold = 0;
+	#instructionMaxAgeMs = 0;
+
+	/** Timeout identifiers for expiring queued instructions, by instruction ID. */
+	readonly #expiryTimers = new Map<number, any>();
+
+	/**
+	 * `true` to enable optimistic mode, where {@link ControlToggler#value} reports the desired
+	 * value of a change as soon as it is requested, instead of the last known value.
+	 *
+	 * The optimistic value is reported, with the `optimistic` flag set in change snapshots,
+	 * until the change is confirmed by the instruction completing or the datum reporting the
+	 * desired value. If the instruction is declined or cancelled, cannot be queued, or the
+	 * change is not confirmed within {@link ControlToggler#optimisticTimeoutMs}, the value is
+	 * rolled back to the last known value and a `rollback` event is dispatched with the reason.
+	 */
+	optimistic = false;
+
+	/** The optimistic value, until the change is confirmed or rolled back. */
+	#optimisticValue?: ControlValueType;
+
+	/** The ID of the instruction for the optimistic value, once queued. */
+	#optimisticInstructionId?: number;
+
+	/** A timeout identifier for rolling back an unconfirmed optimistic value. */
+	#optimisticTimer?: any;
+
+	#optimisticTimeoutMs = DEFAULT_CONFIRM_TIMEOUT_MS;
+
+	/** The control status. */
+	#status = ControlStatus.Unknown;
+
+	/** The most recent status transitions, oldest first. */
+	#statusHistory: ControlStatusTransition[] = [];
+
+	#statusHistoryLimit = 20;
+
+	/** Flag set once the control state has been loaded. */
+	#loaded = false;
+
+	/** The number of requests to queue an instruction in progress. */
+	#queuingCount = 0;
+
+	/** The error of the last failed request, until a request succeeds. */
+	#lastError?: Error;
+
+	/** The IDs of the most recent instructions created by this toggler, oldest first. */
+	readonly #ownInstructionIds = new Set<number>();
+
+	/** The IDs of external instructions already reported as conflicting. */
+	readonly #conflictIds = new Set<number>();
+
+	/** Flag set when the next value change is caused by this toggler. */
+	#localChange = false;
+
+	#valueDebounceMs = 0;
+
+	/** A timeout identifier for sending the next value change request. */
+	#valueDebounceTimer?: any;
+
+	/** The value change request in progress. */
+	#valueRequest?: Promise<InstructionInfo>;
+
+	/** The value change request waiting to be sent. */
+	#nextValueRequest?: ValueRequest;
+
+	/** Storage to save the toggler state to. */
+	readonly #stateStorage?: ControlStateStorage;
+
+	/** The key to save the toggler state with. */
+	readonly stateKey: string;
+
+	/** The coordinator, when coordinating with togglers in other browser tabs. */
+	#coordinator?: ControlCoordinator;
+
+	/** Flag set when automatic updates have been started. */
+	#started = false;
+
+	/** The policy to adapt automatic updates with. */
+	readonly #pollingPolicy?: ControlPollingPolicy;
+
+	/**
+	 * The polling policy `change` listener, added only while automatic updates are started so
+	 * a policy shared by many togglers does not keep stopped togglers around.
 	 */
-	pendingRefreshMs: number = 5000;
+	readonly #pollingListener = (event: Event) => {
+		this.#pollingChanged(event as ControlPollingChangeEvent);
+	};
+
+	/** Flag set when automatic updates are paused by the polling policy. */
+	#paused = false;
+
+	/** The SolarFlux subscription, when real-time updates are configured. */
+	readonly #realtime?: RealtimeSubscription;
+
+	/** Flag set while subscribed to real-time updates. */
+	#realtimeSubscribed = false;
+
+	/** Flag set while real-time updates are connected. */
+	#realtimeConnected = false;
 
 	/**
 	 * A callback function, which is called after the state of the control changes.
 	 * The `this` reference will be set to this object. If an error has occurred,
 	 * the error will be passed as the first argument.
+	 *
+	 * This is a simpler alternative to adding event listeners, that is invoked after any
+	 * events have been dispatched.
 	 */
 	callback?: ControlCallbackFn;
 
+	/**
+	 * Constructor.
+	 * @param options the toggler options
+	 * @throws TypeError if a required option is missing or the node or control ID is invalid
+	 * @throws RangeError if a refresh interval or other numeric option is out of range
+	 */
+	constructor(options: ControlTogglerOptions);
+
 	/**
 	 * Constructor.
 	 * @param api the URL helper to use
@@ -155,31 +780,687 @@ class ControlToggler {
 	 * @param queryApi a URL helper for accessing node datum via SolarQuery; if not provided one
 	 *                 will be created using the environment from `api`. Useful in a development
 	 *                 environment when the SolarUser and SolarQuery hosts are different.
+	 * @param loader an optional loader to get the control state with; if not provided the
+	 *               state will be requested directly from SolarNetwork
+	 * @param transport optional transport options, such as a custom `fetch()` implementation
+	 *                  or extra headers, to make requests with
+	 * @throws TypeError if the node or control ID is invalid
 	 */
 	constructor(
 		api: SolarUserApi,
 		auth: AuthorizationV2Builder,
 		nodeId: number,
 		controlId: string,
-		queryApi?: SolarQueryApi
-	) {
-		this.#api = api;
-		this.#auth = auth;
-		this.nodeId = nodeId;
-		this.controlId = controlId;
-		this.#queryApi = queryApi || new SolarQueryApi(api.environment);
-		this.#queryAuth = queryApi
-			? new AuthorizationV2Builder(
-					auth.tokenId,
-					queryApi.environment
-				).key(auth.key()!)
-			: auth;
-	}
+		queryApi?: SolarQueryApi,
+		loader?: ControlStateLoader,
+		transport?: ControlTransportOptions
+	);
 
-	#notifyDelegate(error?: Error) {
-		const callback = this.callback;
-		if (callback !== undefined) {
-			try {
+	constructor(
+		apiOrOptions: SolarUserApi | ControlTogglerOptions,
+		auth?: AuthorizationV2Builder,
+		nodeId?: number,
+		controlId?: string,
+		queryApi?: SolarQueryApi,
+		loader?: ControlStateLoader,
+		transport?: ControlTransportOptions
+	) {
+		super();
+		const options: ControlTogglerOptions =
+			arguments.length > 1
+				? {
+						api: apiOrOptions as SolarUserApi,
+						auth: auth!,
+						nodeId: nodeId!,
+						controlId: controlId!,
+						queryApi: queryApi,
+						loader: loader,
+						transport: transport,
+					}
+				: (apiOrOptions as ControlTogglerOptions);
+		if (!options?.api) {
+			throw new TypeError("The api option is required.");
+		}
+		if (!options.auth) {
+			throw new TypeError("The auth option is required.");
+		}
+		if (!Number.isSafeInteger(options.nodeId)) {
+			throw new TypeError(
+				`The node ID must be an integer, but was ${options.nodeId}.`
+			);
+		}
+		if (
+			typeof options.controlId !== "string" ||
+			!options.controlId.trim()
+		) {
+			throw new TypeError("The control ID must not be empty.");
+		}
+		this.#api = options.api;
+		this.#auth = options.auth;
+		this.nodeId = options.nodeId;
+		this.controlId = options.controlId;
+		this.#queryApi =
+			options.queryApi || new SolarQueryApi(options.api.environment);
+		this.#queryAuth = queryAuthorization(options.auth, options.queryApi);
+		this.#loader = options.loader;
+		this.#transport = options.transport;
+		this.#codec = options.valueCodec || new LooseValueCodec();
+		this.#valueExtractor = valueExtractor(options.valueProperty);
+		if (options.refreshMs !== undefined) {
+			this.refreshMs = options.refreshMs;
+		}
+		if (options.pendingRefreshMs !== undefined) {
+			this.pendingRefreshMs = options.pendingRefreshMs;
+		}
+		if (options.requestTimeoutMs !== undefined) {
+			this.requestTimeoutMs = options.requestTimeoutMs;
+		}
+		if (options.retryDelayMs !== undefined) {
+			this.retryDelayMs = options.retryDelayMs;
+		}
+		if (options.maxRetryDelayMs !== undefined) {
+			this.maxRetryDelayMs = options.maxRetryDelayMs;
+		}
+		if (options.circuitBreakerThreshold !== undefined) {
+			this.circuitBreakerThreshold = options.circuitBreakerThreshold;
+		}
+		if (options.instructionMaxAgeMs !== undefined) {
+			this.instructionMaxAgeMs = options.instructionMaxAgeMs;
+		}
+		this.optimistic = !!options.optimistic;
+		if (options.optimisticTimeoutMs !== undefined) {
+			this.optimisticTimeoutMs = options.optimisticTimeoutMs;
+		}
+		if (options.statusHistoryLimit !== undefined) {
+			this.statusHistoryLimit = options.statusHistoryLimit;
+		}
+		if (options.valueDebounceMs !== undefined) {
+			this.valueDebounceMs = options.valueDebounceMs;
+		}
+		this.callback = options.callback;
+		if (options.listeners) {
+			for (const [type, listener] of Object.entries(options.listeners)) {
+				if (listener) {
+					this.addEventListener(
+						type as ControlTogglerEventType,
+						listener as ControlTogglerEventListener<ControlTogglerEventType>
+					);
+				}
+			}
+		}
+		this.stateKey =
+			options.stateKey ||
+			`solarnetwork-control-toggler/${this.nodeId}/${this.controlId}`;
+		this.#stateStorage = options.stateStorage;
+		if (this.#stateStorage) {
+			this.#loadState(this.#stateStorage);
+		}
+		if (options.coordination) {
+			this.#coordinate(
+				options.coordination === true ? {} : options.coordination
+			);
+		}
+		if (options.pollingPolicy) {
+			this.#pollingPolicy = options.pollingPolicy;
+		}
+		if (options.realtime) {
+			this.#realtime = this.#realtimeSubscription(options.realtime);
+		}
+		if (options.start) {
+			this.start(
+				typeof options.start === "number" ? options.start : undefined
+			);
+		}
+	}
+
+	/**
+	 * The refresh rate, in milliseconds.
+	 * Defaults to 20 seconds.
+	 *
+	 * @throws RangeError if set to a value that is not a positive number
+	 */
+	get refreshMs(): number {
+		return this.#refreshMs;
+	}
+
+	set refreshMs(ms: number) {
+		this.#refreshMs = requirePositive("refreshMs", ms);
+	}
+
+	/**
+	 * The refresh rate, in milliseconds, when a toggle instruction is queued.
+	 * Defaults to 5 seconds.
+	 *
+	 * @throws RangeError if set to a value that is not a positive number
+	 */
+	get pendingRefreshMs(): number {
+		return this.#pendingRefreshMs;
+	}
+
+	set pendingRefreshMs(ms: number) {
+		this.#pendingRefreshMs = requirePositive("pendingRefreshMs", ms);
+	}
+
+	/**
+	 * The maximum time to wait for each HTTP request to complete, in milliseconds, or `0` for
+	 * no limit. Requests that take longer are aborted and fail with a
+	 * {@link ControlTimeoutError}. Defaults to `0`.
+	 *
+	 * @throws RangeError if set to a negative value
+	 */
+	get requestTimeoutMs(): number {
+		return this.#requestTimeoutMs;
+	}
+
+	set requestTimeoutMs(ms: number) {
+		this.#requestTimeoutMs = requireNonNegative("requestTimeoutMs", ms);
+	}
+
+	/**
+	 * The delay, in milliseconds, before retrying after the first failed automatic update.
+	 * The delay doubles after each consecutive failure, up to {@link ControlToggler#maxRetryDelayMs},
+	 * with some random jitter applied. Defaults to 5 seconds.
+	 *
+	 * @throws RangeError if set to a value that is not a positive number
+	 */
+	get retryDelayMs(): number {
+		return this.#retryDelayMs;
+	}
+
+	set retryDelayMs(ms: number) {
+		this.#retryDelayMs = requirePositive("retryDelayMs", ms);
+	}
+
+	/**
+	 * The maximum delay, in milliseconds, before retrying after failed automatic updates.
+	 * Defaults to 5 minutes.
+	 *
+	 * @throws RangeError if set to a value that is not a positive number
+	 */
+	get maxRetryDelayMs(): number {
+		return this.#maxRetryDelayMs;
+	}
+
+	set maxRetryDelayMs(ms: number) {
+		this.#maxRetryDelayMs = requirePositive("maxRetryDelayMs", ms);
+	}
+
+	/**
+	 * The number of consecutive failed updates after which the circuit breaker opens, or `0`
+	 * to disable the circuit breaker. When the circuit opens a `circuitchange` event is
+	 * dispatched, and automatic updates are retried only every
+	 * {@link ControlToggler#maxRetryDelayMs} until one succeeds, closing the circuit again.
+	 * Defaults to `0`.
+	 *
+	 * @throws RangeError if set to a value that is not a non-negative integer
+	 */
+	get circuitBreakerThreshold(): number {
+		return this.#circuitBreakerThreshold;
+	}
+
+	set circuitBreakerThreshold(count: number) {
+		this.#circuitBreakerThreshold = requireNonNegativeInteger(
+			"circuitBreakerThreshold",
+			count
+		);
+	}
+
+	/**
+	 * The maximum time, in milliseconds, an instruction queued for the control may remain
+	 * `Queued`, or `0` for no limit. Defaults to `0`.
+	 *
+	 * The age is measured from the creation date of the instruction, so an instruction that is
+	 * already too old when the toggler starts tracking it, for example after the state is
+	 * restored, expires right away. If the instruction is still `Queued` after this time, for
+	 * example because the node is offline, the toggler changes its state to `Declined` so it is
+	 * not executed when the node comes back online, and dispatches an `instructionexpired`
+	 * event. Expiry happens independently of automatic updates being started. Changing this
+	 * value applies to instructions tracked afterwards, except setting it to `0` also cancels
+	 * the expiry of all tracked instructions.
+	 *
+	 * @throws RangeError if set to a value that is not a non-negative number
+	 */
+	get instructionMaxAgeMs(): number {
+		return this.#instructionMaxAgeMs;
+	}
+
+	set instructionMaxAgeMs(ms: number) {
+		this.#instructionMaxAgeMs = requireNonNegative(
+			"instructionMaxAgeMs",
+			ms
+		);
+		if (!ms) {
+			for (const timer of this.#expiryTimers.values()) {
+				clearTimeout(timer);
+			}
+			this.#expiryTimers.clear();
+		}
+	}
+
+	/**
+	 * The maximum time, in milliseconds, to wait for an optimistic change to be confirmed before
+	 * rolling it back. Defaults to 1 minute.
+	 *
+	 * @throws RangeError if set to a value that is not a positive number
+	 */
+	get optimisticTimeoutMs(): number {
+		return this.#optimisticTimeoutMs;
+	}
+
+	set optimisticTimeoutMs(ms: number) {
+		this.#optimisticTimeoutMs = requirePositive("optimisticTimeoutMs", ms);
+	}
+
+	/**
+	 * The time, in milliseconds, to wait for further value changes before sending a value
+	 * change request, or `0` to send requests as soon as possible. Defaults to `0`.
+	 *
+	 * Value change requests made by {@link ControlToggler#value} are always sent one at a time.
+	 * A debounce time allows rapid changes, such as a user tapping a switch repeatedly, to be
+	 * coalesced so only the latest value is sent. While a request waits to be sent the status is
+	 * `Queuing`, and in optimistic mode the desired value is reported right away.
+	 *
+	 * @throws RangeError if set to a value that is not a non-negative number
+	 */
+	get valueDebounceMs(): number {
+		return this.#valueDebounceMs;
+	}
+
+	set valueDebounceMs(ms: number) {
+		this.#valueDebounceMs = requireNonNegative("valueDebounceMs", ms);
+	}
+
+	/**
+	 * The maximum number of status transitions to keep in
+	 * {@link ControlToggler#statusHistory}. Defaults to 20.
+	 *
+	 * @throws RangeError if set to a value that is not a non-negative integer
+	 */
+	get statusHistoryLimit(): number {
+		return this.#statusHistoryLimit;
+	}
+
+	set statusHistoryLimit(count: number) {
+		this.#statusHistoryLimit = requireNonNegativeInteger(
+			"statusHistoryLimit",
+			count
+		);
+		this.#statusHistory.splice(0, this.#statusHistory.length - count);
+	}
+
+	/**
+	 * Get the control status.
+	 *
+	 * The status is derived from the state of the control, and changes as
+	 * {@link ControlToggler#value} changes the control and {@link ControlToggler#update}
+	 * refreshes its state:
+	 *
+	 * - `Unknown` until the state has been loaded
+	 * - `Queuing` while an instruction is being queued, then `Pending` while the instruction is
+	 *   queued, `Executing` once the node has received it, and `Confirming` once it has
+	 *   completed but the datum has not reported the new value yet; if the next datum refresh
+	 *   after that still does not report the new value, the change is not confirmed and the
+	 *   status returns to `Idle`
+	 * - `Idle` when no change is in progress
+	 * - `Error` when the last request failed, or `Offline` when the circuit breaker is open,
+	 *   until a request succeeds
+	 *
+	 * A `statuschange` event is dispatched when the status changes.
+	 *
+	 * @returns the status
+	 */
+	get status(): ControlStatus {
+		return this.#status;
+	}
+
+	/**
+	 * Get the most recent status transitions.
+	 *
+	 * This is useful for diagnosing problems. At most
+	 * {@link ControlToggler#statusHistoryLimit} transitions are kept.
+	 *
+	 * @returns the transitions, oldest first
+	 */
+	get statusHistory(): readonly ControlStatusTransition[] {
+		return this.#statusHistory.slice();
+	}
+
+	/**
+	 * Derive the control status from the state of the control.
+	 *
+	 * @returns the status
+	 * @private
+	 */
+	#deriveStatus(): ControlStatus {
+		if (this.#circuitOpen) {
+			return ControlStatus.Offline;
+		} else if (this.#lastError) {
+			return ControlStatus.Error;
+		} else if (this.#queuingCount > 0 || this.#nextValueRequest) {
+			return ControlStatus.Queuing;
+		}
+		const instr = this.#lastKnownInstruction;
+		const state = instr?.instructionState;
+		if (state && InstructionWaitingStates.has(state)) {
+			return ControlStatus.Pending;
+		} else if (state && InstructionActiveStates.has(state)) {
+			return ControlStatus.Executing;
+		} else if (
+			instr &&
+			InstructionStates.Completed.equals(instr.state) &&
+			instr.id !== this.#unconfirmedInstructionId &&
+			!this.#codec.equals(
+				this.#lastReportedDatum?.val,
+				this.#instructionValue(instr)
+			)
+		) {
+			return ControlStatus.Confirming;
+		}
+		return this.#loaded || instr
+			? ControlStatus.Idle
+			: ControlStatus.Unknown;
+	}
+
+	/**
+	 * Handle the datum being refreshed.
+	 *
+	 * If the status is `Confirming` the datum has already been refreshed once since the
+	 * instruction completed, so if the refreshed datum still does not report the instruction
+	 * value stop waiting for it to.
+	 *
+	 * @param datum the refreshed datum
+	 * @private
+	 */
+	#datumRefreshed(datum?: ControlDatum) {
+		const instr = this.#lastKnownInstruction;
+		if (
+			this.#status !== ControlStatus.Confirming ||
+			!instr ||
+			this.#codec.equals(datum?.val, this.#instructionValue(instr))
+		) {
+			return;
+		}
+		log.warn(
+			"Node %d control %s datum did not report instruction %d value",
+			this.nodeId,
+			this.controlId,
+			instr.id
+		);
+		this.#unconfirmedInstructionId = instr.id;
+	}
+
+	/**
+	 * Update the control status, recording the transition and dispatching a `statuschange`
+	 * event if it changed.
+	 *
+	 * @private
+	 */
+	#updateStatus() {
+		const prev = this.#status;
+		const status = this.#deriveStatus();
+		if (status === prev) {
+			return;
+		}
+		this.#status = status;
+		log.debug(
+			"Node %d control %s status changed from %s to %s",
+			this.nodeId,
+			this.controlId,
+			prev,
+			status
+		);
+		if (this.#statusHistoryLimit > 0) {
+			this.#statusHistory.push({
+				status: status,
+				previousStatus: prev,
+				date: new Date(),
+				instructionId: this.#lastKnownInstruction?.id,
+				error: this.#lastError?.message,
+			});
+			this.#statusHistory.splice(
+				0,
+				this.#statusHistory.length - this.#statusHistoryLimit
+			);
+		}
+		this.dispatchEvent(new ControlStatusChangeEvent(status, prev));
+	}
+
+	/**
+	 * Add an event listener.
+	 *
+	 * @param type the event type
+	 * @param listener the listener to add
+	 * @param options the listener options
+	 */
+	addEventListener<K extends ControlTogglerEventType>(
+		type: K,
+		listener: ControlTogglerEventListener<K>,
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	addEventListener(
+		type: string,
+		listener: Parameters<EventTarget["addEventListener"]>[1],
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	addEventListener(
+		type: string,
+		listener: any,
+		options?: ControlTogglerEventListenerOptions
+	): void {
+		super.addEventListener(type, listener, options);
+	}
+
+	/**
+	 * Remove an event listener.
+	 *
+	 * @param type the event type
+	 * @param listener the listener to remove
+	 * @param options the listener options
+	 */
+	removeEventListener<K extends ControlTogglerEventType>(
+		type: K,
+		listener: ControlTogglerEventListener<K>,
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	removeEventListener(
+		type: string,
+		listener: Parameters<EventTarget["removeEventListener"]>[1],
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	removeEventListener(
+		type: string,
+		listener: any,
+		options?: ControlTogglerEventListenerOptions
+	): void {
+		super.removeEventListener(type, listener, options);
+	}
+
+	/**
+	 * Dispatch events for any changes since the last notification.
+	 * @private
+	 */
+	#dispatchChangeEvents() {
+		const prev = this.#notifiedState;
+		const curr: NotifiedControlState = {
+			value: this.value(),
+			instruction: this.#lastKnownInstruction,
+			pending: this.hasPendingStateChange,
+		};
+		this.#notifiedState = curr;
+		if (
+			curr.instruction &&
+			(curr.instruction.id !== prev.instruction?.id ||
+				curr.instruction.state !== prev.instruction.state)
+		) {
+			this.dispatchEvent(
+				new ControlInstructionStateChangeEvent(
+					curr.instruction,
+					curr.instruction.id === prev.instruction?.id
+						? prev.instruction.instructionState
+						: undefined,
+					!this.isOwnInstruction(curr.instruction.id)
+				)
+			);
+		}
+		if (curr.pending !== prev.pending) {
+			this.dispatchEvent(new ControlPendingChangeEvent(curr.pending));
+		}
+		const localChange = this.#localChange;
+		this.#localChange = false;
+		if (!this.#codec.equals(curr.value, prev.value)) {
+			this.dispatchEvent(
+				new ControlValueChangeEvent(
+					prev.value,
+					curr.value,
+					this.#lastKnownDatum,
+					prev.value !== undefined &&
+						!localChange &&
+						!this.#isLocalChange(curr.value, [
+							curr.instruction,
+							prev.instruction,
+						])
+				)
+			);
+		}
+	}
+
+	/**
+	 * Test if a value change was caused by this toggler.
+	 *
+	 * @param value the new control value
+	 * @param instructions the instructions that might have caused the change
+	 * @returns `true` if the change was caused by an optimistic value or an instruction created
+	 *          by this toggler
+	 * @private
+	 */
+	#isLocalChange(
+		value: ControlValueType | undefined,
+		instructions: (Instruction | undefined)[]
+	): boolean {
+		if (this.#optimisticValue !== undefined) {
+			return true;
+		}
+		return instructions.some(
+			(instr) =>
+				instr &&
+				this.isOwnInstruction(instr.id) &&
+				(InstructionStates.Declined.equals(instr.state) ||
+					this.#codec.equals(value, this.#instructionValue(instr)))
+		);
+	}
+
+	/**
+	 * Test if an instruction was created by this toggler.
+	 *
+	 * Instructions queued by {@link ControlToggler#value} or provided to
+	 * {@link ControlToggler#trackInstruction} are considered created by this toggler. Only the
+	 * most recent instructions are remembered.
+	 *
+	 * @param instructionId the ID of the instruction to test
+	 * @returns `true` if the instruction was created by this toggler
+	 */
+	isOwnInstruction(instructionId: number): boolean {
+		return this.#ownInstructionIds.has(instructionId);
+	}
+
+	/**
+	 * Dispatch `conflict` events for external instructions that would change the control to a
+	 * different value than a pending instruction created by this toggler.
+	 *
+	 * @param data the pending instructions
+	 * @param candidates the instructions that might be pending instructions created by this
+	 *                   toggler
+	 * @private
+	 */
+	#detectConflicts(
+		data: InstructionInfo[] | undefined,
+		candidates: (Instruction | undefined)[]
+	) {
+		const own = candidates.find(
+			(instr) =>
+				instr &&
+				this.isOwnInstruction(instr.id) &&
+				InstructionActiveStates.has(instr.instructionState)
+		);
+		if (!own) {
+			this.#conflictIds.clear();
+			return;
+		}
+		if (!Array.isArray(data)) {
+			return;
+		}
+		const ownValue = this.#instructionValue(own);
+		for (const info of data) {
+			if (
+				info.topic !== CommonInstructionTopicName.SetControlParameter ||
+				this.isOwnInstruction(info.id) ||
+				this.#conflictIds.has(info.id) ||
+				!controlParameter(info, this.controlId)
+			) {
+				continue;
+			}
+			const other = new Instruction(info);
+			const otherValue = this.#instructionValue(other);
+			if (
+				!InstructionActiveStates.has(other.instructionState) ||
+				this.#codec.equals(ownValue, otherValue)
+			) {
+				continue;
+			}
+			this.#conflictIds.add(info.id);
+			log.warn(
+				"Node %d control %s instruction %d (%s) conflicts with external instruction %d (%s)",
+				this.nodeId,
+				this.controlId,
+				own.id,
+				ownValue,
+				other.id,
+				otherValue
+			);
+			this.dispatchEvent(
+				new ControlConflictEvent(own, other, ownValue, otherValue)
+			);
+		}
+	}
+
+	/**
+	 * Create a snapshot of the current control state.
+	 *
+	 * @param error an optional error to include
+	 * @returns the snapshot
+	 * @private
+	 */
+	#snapshot(error?: Error): ControlTogglerSnapshot {
+		return {
+			value: this.value(),
+			status: this.#status,
+			pending: this.hasPendingStateChange,
+			optimistic: this.#optimisticValue !== undefined,
+			instruction: this.#lastKnownInstruction,
+			resultMessage: instructionResultMessage(this.#lastKnownInstruction),
+			datum: this.#lastReportedDatum,
+			error: error,
+		};
+	}
+
+	#notifyDelegate(error?: Error) {
+		if (error && !(error instanceof ControlAbortError)) {
+			this.#lastError = error;
+		}
+		this.#updateStatus();
+		if (error) {
+			this.dispatchEvent(new ControlErrorEvent(error));
+		} else {
+			this.#dispatchChangeEvents();
+			this.#saveState();
+			if (this.#coordinator?.leader) {
+				this.#coordinator.broadcast(this.toJSON());
+			}
+		}
+		this.dispatchEvent(new ControlChangeEvent(this.#snapshot(error)));
+		const callback = this.callback;
+		if (callback !== undefined) {
+			try {
 				callback.call(this, error);
 			} catch (callbackError) {
 				log.error("Error in callback: %s", callbackError);
@@ -188,71 +1469,829 @@ class ControlToggler {
 	}
 
 	/**
-	 * Find an active `SetControlParameter` Instruction for the configured `controlId`.
+	 * Find an active `SetControlParameter` Instruction for the configured `controlId`.
+	 *
+	 * @param data array of instructions
+	 * @returns the active instruction, or `undefined`
+	 * @private
+	 */
+	#getActiveInstruction(
+		data: InstructionInfo[] | undefined
+	): Instruction | undefined {
+		if (!Array.isArray(data) || data.length === 0) {
+			return undefined;
+		}
+		const controlId = this.controlId;
+		const instruction = data.reduce(
+			(prev: InstructionInfo | undefined, curr: InstructionInfo) => {
+				if (
+					curr.topic ===
+						CommonInstructionTopicName.SetControlParameter &&
+					controlParameter(curr, controlId) !== undefined &&
+					(prev === undefined || prev.created < curr.created)
+				) {
+					return curr;
+				}
+				return prev;
+			},
+			undefined
+		);
+		if (instruction !== undefined) {
+			log.debug(
+				"Active instruction %d for node %d found in state %s (set control %s to %s)",
+				instruction.id,
+				this.nodeId,
+				instruction.state,
+				controlId,
+				controlParameter(instruction, controlId)?.value
+			);
+			return new Instruction(instruction);
+		}
+		return undefined;
+	}
+
+	/**
+	 * Start tracking an instruction as the last known instruction.
+	 * @param instruction the instruction to track
+	 * @private
+	 */
+	#track(instruction: InstructionInfo) {
+		this.#lastError = undefined;
+		this.#ownInstructionIds.delete(instruction.id);
+		this.#ownInstructionIds.add(instruction.id);
+		if (this.#ownInstructionIds.size > MAX_OWN_INSTRUCTIONS) {
+			const oldest = this.#ownInstructionIds.values().next().value;
+			this.#ownInstructionIds.delete(oldest!);
+		}
+		this.#lastKnownInstruction = new Instruction(instruction);
+		this.#scheduleExpiry(this.#lastKnownInstruction);
+		this.#resolveOptimistic();
+		this.#notifyDelegate();
+		if (this.#autoUpdating) {
+			this.#nextRetryDate = undefined;
+			this.#schedule(this.#currentRefreshMs());
+		}
+	}
+
+	/**
+	 * Schedule the expiry of an instruction, if a maximum instruction age is configured.
+	 *
+	 * The instruction expires when it is older than the maximum age, based on its creation
+	 * date, or right away if it is already older. Any previously scheduled expiry of the same
+	 * instruction is replaced.
+	 *
+	 * @param instruction the instruction to expire
+	 * @private
+	 */
+	#scheduleExpiry(instruction: Instruction) {
+		clearTimeout(this.#expiryTimers.get(instruction.id));
+		this.#expiryTimers.delete(instruction.id);
+		const maxAgeMs = this.#instructionMaxAgeMs;
+		if (
+			!(maxAgeMs > 0) ||
+			!InstructionActiveStates.has(instruction.instructionState)
+		) {
+			return;
+		}
+		const created =
+			Dates.dateParser(instruction.created)?.getTime() ?? Date.now();
+		const delay = Math.max(created + maxAgeMs - Date.now(), 0);
+		this.#expiryTimers.set(
+			instruction.id,
+			setTimeout(() => {
+				this.#expiryTimers.delete(instruction.id);
+				this.#expire(instruction.id, maxAgeMs);
+			}, delay)
+		);
+	}
+
+	/**
+	 * Decline an instruction if it is still `Queued`.
+	 *
+	 * The instruction is fetched directly, because a shared loader might defer it to stay within
+	 * its request budget.
+	 *
+	 * @param instructionId the ID of the instruction to expire
+	 * @param maxAgeMs the maximum age of the instruction
+	 * @returns a promise that resolves when the instruction has been checked and declined
+	 * @private
+	 */
+	#expire(instructionId: number, maxAgeMs: number): Promise<void> {
+		return this.#fetchInstruction(instructionId)
+			.then((info) => {
+				if (!info || !InstructionStates.Queued.equals(info.state)) {
+					return;
+				}
+				return this.#decline(info).then((expired) => {
+					log.warn(
+						"Node %d control %s instruction %d expired after %dms",
+						this.nodeId,
+						this.controlId,
+						instructionId,
+						maxAgeMs
+					);
+					this.dispatchEvent(
+						new ControlInstructionExpiredEvent(expired, maxAgeMs)
+					);
+					this.#notifyDelegate();
+					this.#checkConfirmations();
+				});
+			})
+			.catch((error) => {
+				log.error(
+					"Error expiring node %d control %s instruction %d: %s",
+					this.nodeId,
+					this.controlId,
+					instructionId,
+					error
+				);
+				this.#notifyDelegate(error);
+			});
+	}
+
+	/**
+	 * Decline a `Queued` instruction, and update the tracked state to match.
+	 *
+	 * Any optimistic value for the instruction is rolled back, but no listeners are notified.
+	 *
+	 * @param info the instruction to decline
+	 * @param signal an optional signal to abort the request with
+	 * @returns a promise that resolves to the declined instruction
+	 * @private
+	 */
+	#decline(
+		info: InstructionInfo,
+		signal?: AbortSignal
+	): Promise<Instruction> {
+		return this.#instructionTracker(info)
+			.cancel({ signal: signal })
+			.then((declined) => {
+				if (this.#lastKnownInstruction?.id === info.id) {
+					this.#lastKnownInstruction = declined;
+				}
+				if (
+					this.#optimisticValue !== undefined &&
+					this.#optimisticInstructionId === info.id
+				) {
+					this.#rollback("cancelled");
+				}
+				return declined;
+			});
+	}
+
+	/**
+	 * Cancel the pending instruction, by declining it.
+	 *
+	 * Only an instruction still `Queued` can be cancelled: once the node has received it the
+	 * instruction will run its course, and the result will not be `cancelled`. If the
+	 * instruction changes other controls as well, those changes are cancelled too.
+	 *
+	 * @param options the request options
+	 * @returns a promise that resolves to the outcome; the promise is rejected if the request
+	 *          fails
+	 */
+	cancelPending(
+		options?: ControlTogglerRequestOptions
+	): Promise<ControlTogglerCancelResult> {
+		const pending = this.#lastKnownInstruction;
+		if (
+			!pending ||
+			InstructionFinishedStates.has(pending.instructionState)
+		) {
+			return Promise.resolve({ cancelled: false });
+		}
+		if (!this.#auth.signingKeyValid) {
+			return Promise.reject(
+				new Error("Valid credentials not configured")
+			);
+		}
+		const signal = options?.signal;
+		if (signal?.aborted) {
+			return Promise.reject(new ControlAbortError("Request aborted"));
+		}
+		return this.#loadInstruction(pending.id, signal)
+			.then((info): Promise<ControlTogglerCancelResult> => {
+				const current = new Instruction(info ?? pending);
+				if (!InstructionStates.Queued.equals(current.state)) {
+					log.info(
+						"Node %d control %s instruction %d cannot be cancelled in state %s",
+						this.nodeId,
+						this.controlId,
+						current.id,
+						current.state
+					);
+					return Promise.resolve({
+						cancelled: false,
+						instruction: current,
+					});
+				}
+				return this.#decline(current, signal).then((declined) => {
+					log.info(
+						"Cancelled node %d control %s instruction %d",
+						this.nodeId,
+						this.controlId,
+						declined.id
+					);
+					this.#notifyDelegate();
+					this.#checkConfirmations();
+					return { cancelled: true, instruction: declined };
+				});
+			})
+			.catch((error) => {
+				if (!(signal?.aborted && error instanceof ControlAbortError)) {
+					log.error(
+						"Error cancelling node %d control %s instruction %d: %s",
+						this.nodeId,
+						this.controlId,
+						pending.id,
+						error
+					);
+					this.#notifyDelegate(error);
+				}
+				throw error;
+			});
+	}
+
+	/**
+	 * Start reporting an optimistic value.
+	 *
+	 * @param value the optimistic value
+	 * @param instructionId the ID of the instruction for the change, if known
+	 * @private
+	 */
+	#setOptimistic(value: ControlValueType, instructionId?: number) {
+		this.#optimisticValue = value;
+		this.#optimisticInstructionId = instructionId;
+		clearTimeout(this.#optimisticTimer);
+		this.#optimisticTimer = setTimeout(() => {
+			this.#optimisticTimer = undefined;
+			if (this.#optimisticValue !== undefined) {
+				this.#rollback("timeout");
+				this.#notifyDelegate();
+			}
+		}, this.#optimisticTimeoutMs);
+	}
+
+	/**
+	 * Stop reporting an optimistic value.
+	 * @private
+	 */
+	#clearOptimistic() {
+		clearTimeout(this.#optimisticTimer);
+		this.#optimisticTimer = undefined;
+		this.#optimisticValue = undefined;
+		this.#optimisticInstructionId = undefined;
+	}
+
+	/**
+	 * Roll back the optimistic value, and dispatch a `rollback` event.
+	 *
+	 * @param reason the reason for the rollback
+	 * @param error the error that caused the rollback
+	 * @private
+	 */
+	#rollback(reason: ControlRollbackReason, error?: Error) {
+		const value = this.#optimisticValue!;
+		const instruction =
+			this.#optimisticInstructionId !== undefined &&
+			this.#lastKnownInstruction?.id === this.#optimisticInstructionId
+				? this.#lastKnownInstruction
+				: undefined;
+		this.#clearOptimistic();
+		this.#localChange = true;
+		log.info(
+			"Rolling back node %d control %s optimistic value %s: %s",
+			this.nodeId,
+			this.controlId,
+			value,
+			reason
+		);
+		this.dispatchEvent(
+			new ControlRollbackEvent(
+				value,
+				this.value(),
+				reason,
+				instruction,
+				error
+			)
+		);
+	}
+
+	/**
+	 * Confirm or roll back the optimistic value, based on the last known state.
+	 *
+	 * @returns `true` if the optimistic value was confirmed or rolled back
+	 * @private
+	 */
+	#resolveOptimistic(): boolean {
+		const value = this.#optimisticValue;
+		if (value === undefined) {
+			return false;
+		}
+		const instr = this.#lastKnownInstruction;
+		if (instr && instr.id === this.#optimisticInstructionId) {
+			if (InstructionStates.Declined.equals(instr.state)) {
+				this.#rollback("declined");
+				return true;
+			} else if (InstructionStates.Completed.equals(instr.state)) {
+				this.#clearOptimistic();
+				return true;
+			}
+		}
+		const reported = this.#lastReportedDatum?.val;
+		if (reported !== undefined && this.#codec.equals(reported, value)) {
+			this.#clearOptimistic();
+			return true;
+		}
+		return false;
+	}
+
+	/**
+	 * Invoke the pending confirmation checks.
+	 * @private
+	 */
+	#checkConfirmations() {
+		for (const confirmation of Array.from(this.#confirmations)) {
+			confirmation();
+		}
+	}
+
+	/**
+	 * Track an instruction queued outside of this toggler that changes this control.
+	 *
+	 * This is useful when an instruction changes several controls at once, such as those
+	 * queued by {@link ControlTogglerManager#values}, so the state of each affected control
+	 * is updated as the instruction progresses, just like when {@link ControlToggler#value}
+	 * is used to change the control.
+	 *
+	 * @param instruction the instruction to track
+	 * @throws TypeError if `instruction` is not a `SetControlParameter` instruction with a
+	 *         parameter for this control
+	 */
+	trackInstruction(instruction: InstructionInfo): void {
+		if (
+			instruction?.topic !==
+				CommonInstructionTopicName.SetControlParameter ||
+			!controlParameter(instruction, this.controlId)
+		) {
+			throw new TypeError(
+				`Instruction ${instruction?.id} does not set control ${this.controlId}.`
+			);
+		}
+		this.#track(instruction);
+	}
+
+	/**
+	 * Get the last known instruction value, e.g. the state of the control.
+	 * @returns the last know value of the control (0 or 1), or `undefined`
+	 * @private
+	 */
+	#lastKnownInstructionValue(): ControlValueType | undefined {
+		return this.#instructionValue(this.#lastKnownInstruction);
+	}
+
+	/**
+	 * Get the normalized control value of an instruction.
+	 * @param instruction the instruction to get the value of
+	 * @returns the value, or `undefined` if not available
+	 * @private
+	 */
+	#instructionValue(instruction?: Instruction): ControlValueType | undefined {
+		const param = controlParameter(instruction, this.controlId);
+		return param ? this.#codec.decode(param.value) : undefined;
+	}
+
+	/**
+	 * Create a control datum with a normalized value.
+	 * @param info the datum info
+	 * @returns the control datum, or `undefined` if `info` is not provided
+	 * @private
+	 */
+	#controlDatum(info?: DatumInfo): ControlDatum | undefined {
+		if (!info) {
+			return undefined;
+		}
+		const datum = new ControlDatum(info);
+		datum.val = this.#codec.decode(this.#valueExtractor(info));
+		return datum;
+	}
+
+	/**
+	 * Calculate the refresh rate to use.
+	 * @returns the refresh rate to use, in milliseconds
+	 * @private
+	 */
+	#currentRefreshMs(): number {
+		if (this.hasPendingStateChange || this.#confirmations.size) {
+			return this.pendingRefreshMs;
+		}
+		return this.#realtimeConnected
+			? this.#realtime!.refreshMs
+			: this.refreshMs;
+	}
+
+	/**
+	 * Get the codec used to normalize and compare the control value.
+	 */
+	get valueCodec(): ControlValueCodec {
+		return this.#codec;
+	}
+
+	/**
+	 * Get the most recent datum reported for the control.
+	 *
+	 * The datum includes all the properties reported with the control value, for example other
+	 * status or instantaneous readings that can be displayed alongside the control value. Its
+	 * `val` property holds the normalized control value.
+	 *
+	 * @returns the most recent datum, or `undefined` if not available
+	 */
+	get datum(): Readonly<ControlDatum> | undefined {
+		return this.#lastReportedDatum;
+	}
+
+	/**
+	 * Get the number of consecutive failed updates.
+	 *
+	 * @returns the number of updates that have failed since the last successful update
+	 */
+	get failureCount(): number {
+		return this.#failureCount;
+	}
+
+	/**
+	 * Get the date of the next automatic update retry, after a failed update.
+	 *
+	 * @returns the next retry date, or `undefined` if the last update did not fail or automatic
+	 *          updates are not running
+	 */
+	get nextRetryDate(): Date | undefined {
+		return this.#nextRetryDate;
+	}
+
+	/**
+	 * Test if the circuit breaker is open.
+	 *
+	 * @returns `true` if {@link ControlToggler#circuitBreakerThreshold} consecutive updates have
+	 *          failed, and no update has succeeded since
+	 */
+	get circuitOpen(): boolean {
+		return this.#circuitOpen;
+	}
+
+	/**
+	 * Calculate the delay before retrying after a failed update.
+	 * @returns the retry delay to use, in milliseconds
+	 * @private
+	 */
+	#nextRetryDelayMs(): number {
+		const maxDelay = Math.max(this.maxRetryDelayMs, 0);
+		const delay = this.#circuitOpen
+			? maxDelay
+			: Math.min(
+					this.retryDelayMs * Math.pow(2, this.#failureCount - 1),
+					maxDelay
+				);
+		// apply "equal jitter", so that many clients do not all retry in unison
+		return Math.round(delay / 2 + Math.random() * (delay / 2));
+	}
+
+	/**
+	 * Schedule the next automatic update.
+	 * @param ms the offset in milliseconds to schedule the update at
+	 * @private
+	 */
+	#schedule(ms: number) {
+		clearTimeout(this.#timer);
+		this.#timer = null;
+		const delay = this.#pollingPolicy ? this.#pollingPolicy.delay(ms) : ms;
+		if (delay === undefined) {
+			if (!this.#paused) {
+				log.debug(
+					"Pausing node %d control %s automatic updates",
+					this.nodeId,
+					this.controlId
+				);
+			}
+			this.#paused = true;
+			return;
+		}
+		this.#paused = false;
+		this.#timer = setTimeout(() => {
+			this.#autoUpdate();
+		}, delay);
+	}
+
+	/**
+	 * Perform an automatic update.
 	 *
-	 * @param data array of instructions
-	 * @returns the active instruction, or `undefined`
+	 * Errors are handled by the update itself, except when the update cannot start, for example
+	 * because the credentials are not valid. Those errors are reported here, and the update is
+	 * retried after a backoff delay.
 	 * @private
 	 */
-	#getActiveInstruction(
-		data: InstructionInfo[] | undefined
-	): Instruction | undefined {
-		if (!Array.isArray(data) || data.length === 0) {
-			return undefined;
+	#autoUpdate() {
+		this.update().catch((error) => {
+			log.error(
+				"Error updating node %d control toggler %s: %s",
+				this.nodeId,
+				this.controlId,
+				error
+			);
+			this.#recordOutcome(error);
+			this.#notifyDelegate(error);
+			this.#scheduleRetry();
+		});
+	}
+
+	/**
+	 * Schedule the next automatic update after a failed update, using a backoff delay.
+	 * @private
+	 */
+	#scheduleRetry() {
+		if (!this.#autoUpdating) {
+			return;
 		}
-		const controlId = this.controlId;
-		const instruction = data.reduce(
-			(prev: InstructionInfo | undefined, curr: InstructionInfo) => {
-				if (
-					curr.topic ===
-						CommonInstructionTopicName.SetControlParameter &&
-					Array.isArray(curr.parameters) &&
-					curr.parameters.length > 0 &&
-					curr.parameters[0].name === controlId &&
-					(prev === undefined || prev.created < curr.created)
-				) {
-					return curr;
-				}
-				return prev;
-			},
-			undefined
+		const delay = this.#nextRetryDelayMs();
+		this.#nextRetryDate = new Date(Date.now() + delay);
+		log.debug(
+			"Retrying node %d control toggler %s update in %dms",
+			this.nodeId,
+			this.controlId,
+			delay
 		);
-		if (instruction !== undefined) {
+		this.#schedule(delay);
+	}
+
+	/**
+	 * Test if automatic updates are running, that is they have been started and this toggler is
+	 * responsible for updating the control state.
+	 * @private
+	 */
+	get #autoUpdating(): boolean {
+		return this.#started && this.leader;
+	}
+
+	/**
+	 * Test if automatic updates are paused by the polling policy.
+	 *
+	 * @returns `true` if automatic updates have been started but are paused, for example
+	 *          because the page is hidden
+	 */
+	get paused(): boolean {
+		return this.#paused && this.#autoUpdating;
+	}
+
+	/**
+	 * Apply a change of polling conditions to automatic updates.
+	 *
+	 * @param event the change event
+	 * @private
+	 */
+	#pollingChanged(event: ControlPollingChangeEvent) {
+		if (!this.#autoUpdating) {
+			return;
+		}
+		if (event.resumed) {
 			log.debug(
-				"Active instruction %d for node %d found in state %s (set control %s to %s)",
-				instruction.id,
+				"Resuming node %d control %s automatic updates",
 				this.nodeId,
-				instruction.state,
-				controlId,
-				instruction.parameters !== undefined
-					? instruction.parameters[0].value
-					: null
+				this.controlId
 			);
-			return new Instruction(instruction);
+			this.#paused = false;
+			this.#nextRetryDate = undefined;
+			clearTimeout(this.#timer);
+			this.#timer = null;
+			this.#autoUpdate();
+		} else {
+			this.#schedule(this.#currentRefreshMs());
 		}
-		return undefined;
 	}
 
 	/**
-	 * Get the last known instruction value, e.g. the state of the control.
-	 * @returns the last know value of the control (0 or 1), or `undefined`
+	 * Record the outcome of an update, for retry and circuit breaker tracking.
+	 * @param error the error, if the update failed
 	 * @private
 	 */
-	#lastKnownInstructionValue(): ControlValueType | undefined {
-		return Array.isArray(this.#lastKnownInstruction?.parameters)
-			? this.#lastKnownInstruction.parameters[0].value
+	#recordOutcome(error?: Error) {
+		if (!error) {
+			this.#failureCount = 0;
+			this.#nextRetryDate = undefined;
+			if (this.#circuitOpen) {
+				this.#circuitOpen = false;
+				this.dispatchEvent(new ControlCircuitChangeEvent(false, 0));
+			}
+			return;
+		}
+		this.#failureCount += 1;
+		if (
+			!this.#circuitOpen &&
+			this.circuitBreakerThreshold > 0 &&
+			this.#failureCount >= this.circuitBreakerThreshold
+		) {
+			log.warn(
+				"Node %d control toggler %s circuit opened after %d failures",
+				this.nodeId,
+				this.controlId,
+				this.#failureCount
+			);
+			this.#circuitOpen = true;
+			this.dispatchEvent(
+				new ControlCircuitChangeEvent(true, this.#failureCount, error)
+			);
+		}
+	}
+
+	/**
+	 * Get the persistable state of the toggler.
+	 *
+	 * The state includes the last known datum and instruction, so it can be passed to
+	 * {@link ControlToggler#restore} to restore the state in a new toggler, for example after a
+	 * page reload. This method is called by `JSON.stringify()`.
+	 *
+	 * @returns the state
+	 */
+	toJSON(): ControlTogglerState {
+		const instr = this.#lastKnownInstruction;
+		const datum: DatumInfo | undefined = this.#lastKnownDatum
+			? { ...this.#lastKnownDatum }
 			: undefined;
+		if (datum) {
+			// the date is derived from the created property
+			delete datum.date;
+		}
+		return {
+			nodeId: this.nodeId,
+			controlId: this.controlId,
+			date: new Date().toISOString(),
+			datum: datum,
+			instruction: instr ? instructionInfo(instr) : undefined,
+			desiredValue: this.#optimisticValue,
+			ownInstructionIds: Array.from(this.#ownInstructionIds),
+		};
 	}
 
 	/**
-	 * Calculate the refresh rate to use.
-	 * @returns the refresh rate to use, in milliseconds
+	 * Restore the state of the toggler, as returned by {@link ControlToggler#toJSON}.
+	 *
+	 * The restored state is reported immediately, and listeners notified. If the restored
+	 * instruction is still active, it is tracked again, so the next update loads its current
+	 * state. In optimistic mode, a restored desired value is reported until it is confirmed or
+	 * rolled back.
+	 *
+	 * @param state the state to restore
+	 * @returns this object
+	 * @throws TypeError if `state` is not for the same node and control as this toggler
+	 */
+	restore(state: ControlTogglerState): this {
+		if (
+			state?.nodeId !== this.nodeId ||
+			state.controlId !== this.controlId
+		) {
+			throw new TypeError(
+				`State for node ${state?.nodeId} control ${state?.controlId} does not match node ${this.nodeId} control ${this.controlId}.`
+			);
+		}
+		log.debug(
+			"Restoring node %d control %s state saved %s",
+			this.nodeId,
+			this.controlId,
+			state.date
+		);
+		if (state.datum) {
+			const datum = new ControlDatum(state.datum);
+			datum.val = this.#codec.decode(state.datum.val);
+			this.#lastKnownDatum = datum;
+			this.#lastReportedDatum = datum;
+			this.#loaded = true;
+		}
+		if (Array.isArray(state.ownInstructionIds)) {
+			this.#ownInstructionIds.clear();
+			for (const id of state.ownInstructionIds.slice(
+				-MAX_OWN_INSTRUCTIONS
+			)) {
+				this.#ownInstructionIds.add(id);
+			}
+		}
+		const instr = state.instruction
+			? new Instruction(state.instruction)
+			: undefined;
+		this.#lastKnownInstruction = instr;
+		if (instr && this.isOwnInstruction(instr.id) && this.leader) {
+			this.#scheduleExpiry(instr);
+		}
+		this.#clearOptimistic();
+		const desired =
+			state.desiredValue !== undefined
+				? this.#codec.decode(state.desiredValue)
+				: undefined;
+		if (this.optimistic && desired !== undefined) {
+			this.#setOptimistic(
+				desired,
+				instr &&
+					InstructionActiveStates.has(instr.instructionState) &&
+					this.#codec.equals(this.#instructionValue(instr), desired)
+					? instr.id
+					: undefined
+			);
+		}
+		this.#notifyDelegate();
+		this.#checkConfirmations();
+		return this;
+	}
+
+	/**
+	 * Restore the toggler state from storage.
+	 *
+	 * Asynchronously loaded state is only restored if the toggler has not loaded any state in
+	 * the meantime.
+	 *
+	 * @param storage the storage to restore the state from
 	 * @private
 	 */
-	#currentRefreshMs(): number {
-		return this.hasPendingStateChange
-			? this.pendingRefreshMs
-			: this.refreshMs;
+	#loadState(storage: ControlStateStorage) {
+		const restore = (json: string | null | undefined) => {
+			if (!json) {
+				return;
+			}
+			try {
+				this.restore(JSON.parse(json));
+			} catch (error) {
+				log.warn(
+					"Error restoring node %d control %s state: %s",
+					this.nodeId,
+					this.controlId,
+					error
+				);
+			}
+		};
+		try {
+			const item = storage.getItem(this.stateKey);
+			if (item instanceof Promise) {
+				item.then((json) => {
+					if (!this.#loaded && !this.#lastKnownInstruction) {
+						restore(json);
+					}
+				}).catch((error) => {
+					log.warn(
+						"Error loading node %d control %s state: %s",
+						this.nodeId,
+						this.controlId,
+						error
+					);
+				});
+			} else {
+				restore(item);
+			}
+		} catch (error) {
+			log.warn(
+				"Error loading node %d control %s state: %s",
+				this.nodeId,
+				this.controlId,
+				error
+			);
+		}
+	}
+
+	/**
+	 * Save the toggler state to the configured storage, if any.
+	 * @private
+	 */
+	#saveState() {
+		const storage = this.#stateStorage;
+		if (!storage) {
+			return;
+		}
+		const onError = (error: unknown) => {
+			log.warn(
+				"Error saving node %d control %s state: %s",
+				this.nodeId,
+				this.controlId,
+				error
+			);
+		};
+		try {
+			const result = storage.setItem(this.stateKey, JSON.stringify(this));
+			if (result instanceof Promise) {
+				result.catch(onError);
+			}
+		} catch (error) {
+			onError(error);
+		}
+	}
+
+	/**
+	 * Get the last known instruction for the control.
+	 *
+	 * This is the most recent instruction queued by this toggler, or found active for the
+	 * control, including its state, dates, and any result parameters returned by the node.
+	 * When an instruction is declined, the reason provided by the node is available in its
+	 * `resultParameters`, typically as `message` and `code` values.
+	 *
+	 * @returns the last known instruction, or `undefined` if not known
+	 */
+	get instruction(): Readonly<Instruction> | undefined {
+		return this.#lastKnownInstruction;
 	}
 
 	/**
@@ -261,6 +2300,9 @@ class ControlToggler {
 	 * @returns `true` if a state change is pending (not complete)
 	 */
 	get hasPendingStateChange() {
+		if (this.#optimisticValue !== undefined) {
+			return true;
+		}
 		const state = this.#lastKnownInstruction?.instructionState;
 		return state !== undefined && InstructionActiveStates.has(state);
 	}
@@ -284,9 +2326,7 @@ class ControlToggler {
 		) {
 			return controlDatum?.val;
 		} else if (!controlDatum) {
-			return Array.isArray(instruction.parameters)
-				? instruction.parameters[0].value
-				: undefined;
+			return this.#instructionValue(instruction);
 		}
 		// return the newer value
 		const statusDate = controlDatum.date;
@@ -296,9 +2336,7 @@ class ControlToggler {
 		}
 		return statusDate > instructionDate
 			? controlDatum.val
-			: Array.isArray(instruction.parameters)
-				? instruction.parameters[0].value
-				: undefined;
+			: this.#instructionValue(instruction);
 	}
 
 	/**
@@ -307,111 +2345,339 @@ class ControlToggler {
 	 * @template T the expected result type
 	 * @param method the HTTP method to use
 	 * @param url the URL to request
+	 * @param auth the auth builder to authenticate the request with
+	 * @param signal an optional signal to abort the request with
 	 * @returns promise of the results
 	 * @private
 	 */
 	#fetch<T>(
 		method: HttpMethod,
 		url: string,
-		auth: AuthorizationV2Builder
+		auth: AuthorizationV2Builder,
+		signal?: AbortSignal
 	): Promise<T> {
-		let fetchUrl: string = url;
-		let reqData: string | null = null;
-		let contentType: HttpContentType | undefined = undefined;
-		if (method !== HttpMethod.GET) {
-			const queryIndex = url.indexOf("?");
-			if (queryIndex) {
-				reqData = url.substring(queryIndex + 1);
-				contentType = HttpContentType.FORM_URLENCODED_UTF8;
-				fetchUrl = url.substring(0, queryIndex);
-			}
+		return fetchData<T>(method, url, auth, {
+			...this.#transport,
+			signal: signal,
+			timeoutMs: this.requestTimeoutMs,
+		});
+	}
+
+	/**
+	 * Load the most recent datum for the configured control.
+	 *
+	 * @param signal an optional signal to abort the request with
+	 * @returns promise of the most recent datum, or `undefined` if not available
+	 * @private
+	 */
+	#loadMostRecentDatum(signal?: AbortSignal): Promise<DatumInfo | undefined> {
+		if (this.#loader) {
+			return this.#loader.mostRecentDatum(
+				this.nodeId,
+				this.controlId,
+				signal
+			);
+		}
+		const filter = new DatumFilter();
+		filter.nodeId = this.nodeId;
+		filter.sourceId = this.controlId;
+		const mostRecentUrl = this.#queryApi.mostRecentDatumUrl(filter);
+		return this.#fetch<FilterResults<DatumInfo>>(
+			HttpMethod.GET,
+			mostRecentUrl,
+			this.#queryAuth,
+			signal
+		).then((results) =>
+			Array.isArray(results?.results)
+				? results.results.find((e) => e.sourceId === this.controlId)
+				: undefined
+		);
+	}
+
+	/**
+	 * Load the pending instructions for the configured node.
+	 *
+	 * @param signal an optional signal to abort the request with
+	 * @returns promise of the pending instructions
+	 * @private
+	 */
+	#loadPendingInstructions(signal?: AbortSignal): Promise<InstructionInfo[]> {
+		if (this.#loader) {
+			return this.#loader.pendingInstructions(this.nodeId, signal);
+		}
+		const viewPendingUrl = this.#api.viewPendingInstructionsUrl(
+			this.nodeId
+		);
+		return this.#fetch<InstructionInfo[]>(
+			HttpMethod.GET,
+			viewPendingUrl,
+			this.#auth,
+			signal
+		);
+	}
+
+	/**
+	 * Load a specific instruction.
+	 *
+	 * @param instructionId the ID of the instruction to load
+	 * @param signal an optional signal to abort the request with
+	 * @returns promise of the instruction
+	 * @private
+	 */
+	#loadInstruction(
+		instructionId: number,
+		signal?: AbortSignal
+	): Promise<InstructionInfo | undefined> {
+		if (this.#loader) {
+			return this.#loader.instruction(instructionId, signal);
 		}
+		return this.#fetchInstruction(instructionId, signal);
+	}
 
-		const headers: any = {
-			Accept: "application/json",
-		};
-		if (auth.signingKeyValid) {
-			auth.reset().snDate(true).method(method).url(url);
-			if (contentType) {
-				auth.contentType(contentType);
-				headers[HttpHeaders.CONTENT_TYPE] = contentType;
-			}
-			headers[HttpHeaders.AUTHORIZATION] = auth.buildWithSavedKey();
-			headers[HttpHeaders.X_SN_DATE] = auth.requestDateHeaderValue;
-		}
-
-		return fetch(fetchUrl, {
-			method: method,
-			headers: headers,
-			body: reqData,
-		}).then((res) => {
-			return res.json().then(
-				(json) => {
-					const r = json as Result<T>;
-					if (!r.success) {
-						let msg = r.message;
-						if (!msg) {
-							msg = `HTTP ${res.status}`;
-						}
-						if (r.code) {
-							msg += " (" + r.code + ")";
-						}
-						throw new Error(msg);
+	/**
+	 * Create a tracker for queuing or cancelling an instruction.
+	 *
+	 * The tracker does not refresh the instruction state itself, because the toggler refreshes
+	 * its instructions as part of {@link ControlToggler#update}.
+	 *
+	 * @param instruction the instruction to track, or `undefined` to queue a new one
+	 * @returns the tracker
+	 * @private
+	 */
+	#instructionTracker(instruction?: InstructionInfo): InstructionTracker {
+		const tracker = new InstructionTracker(this.#api, this.#auth, {
+			autoUpdate: false,
+			requestTimeoutMs: this.requestTimeoutMs,
+			transport: this.#transport,
+		});
+		if (instruction) {
+			tracker.track(instruction);
+		}
+		return tracker;
+	}
+
+	/**
+	 * Fetch a specific instruction directly, without going through any shared loader.
+	 *
+	 * @param instructionId the ID of the instruction to fetch
+	 * @param signal an optional signal to abort the request with
+	 * @returns promise of the instruction
+	 * @private
+	 */
+	#fetchInstruction(
+		instructionId: number,
+		signal?: AbortSignal
+	): Promise<InstructionInfo | undefined> {
+		const viewInstructionUrl = this.#api.viewInstructionUrl(instructionId);
+		return this.#fetch<InstructionInfo>(
+			HttpMethod.GET,
+			viewInstructionUrl,
+			this.#auth,
+			signal
+		);
+	}
+
+	/**
+	 * Get the desired control value.
+	 *
+	 * @returns the last known control value, or in optimistic mode the desired value of a
+	 *          change that has not been confirmed yet
+	 */
+	value(): ControlValueType | undefined;
+
+	/**
+	 * Set the desired control value.
+	 *
+	 * If a different value is already queued, the queued instruction is cancelled before the new
+	 * value is requested, unless that instruction also changes other controls.
+	 *
+	 * Requests are sent one at a time, after waiting {@link ControlToggler#valueDebounceMs} for
+	 * further changes. While a request is waiting to be sent, a newer call replaces it with
+	 * last-write-wins semantics: the replaced call is rejected with a
+	 * {@link ControlSupersededError}.
+	 *
+	 * @param desiredValue the control value to set
+	 * @param options the request options
+	 * @returns a promise that resolves to the enqueued instruction; the promise is rejected with
+	 *          a `TypeError` if `desiredValue` is not valid for the configured value codec
+	 */
+	value(
+		desiredValue: ControlValueType,
+		options?: ControlTogglerRequestOptions
+	): Promise<InstructionInfo>;
+
+	value(
+		desiredValue?: ControlValueType,
+		options?: ControlTogglerRequestOptions
+	): ControlValueType | undefined | Promise<InstructionInfo> {
+		if (desiredValue === undefined) {
+			return this.#optimisticValue !== undefined
+				? this.#optimisticValue
+				: this.#lastKnownDatum?.val;
+		}
+		if (!this.#auth.signingKeyValid) {
+			return Promise.reject(
+				new Error("Valid credentials not configured")
+			);
+		}
+		const signal = options?.signal;
+		if (signal?.aborted) {
+			return Promise.reject(new ControlAbortError("Request aborted"));
+		}
+		const desired = this.#codec.decode(desiredValue);
+		if (desired === undefined) {
+			return Promise.reject(
+				new TypeError(
+					`Invalid ${this.#codec.type} value for control ${this.controlId}: ${desiredValue}`
+				)
+			);
+		}
+		if (this.#coordinator?.running && !this.#coordinator.leader) {
+			// forward to the leader
+			const request: CoordinationRequest = {
+				type: "value",
+				value: this.#codec.encode(desired),
+			};
+			return this.#coordinator
+				.request(request, signal)
+				.then((result) => result as InstructionInfo);
+		}
+		if (
+			!this.#valueRequest &&
+			!this.#nextValueRequest &&
+			!this.#valueDebounceMs
+		) {
+			return this.#sendValueRequest(desired, signal);
+		}
+		return new Promise((resolve, reject) => {
+			const superseded = this.#nextValueRequest;
+			const onAbort = () => {
+				if (this.#nextValueRequest === next) {
+					this.#nextValueRequest = undefined;
+					if (
+						this.#optimisticValue !== undefined &&
+						this.#optimisticInstructionId === undefined &&
+						this.#codec.equals(this.#optimisticValue, desired)
+					) {
+						this.#rollback("cancelled");
+						this.#notifyDelegate();
+					} else {
+						this.#updateStatus();
 					}
-					return r.data!;
-				},
-				(error) => {
-					const msg = res.ok
-						? error
-						: `HTTP ${res.status}` +
-							(res.statusText ? ": " + res.statusText : "");
-
-					throw new Error(msg);
+					reject(new ControlAbortError("Request aborted"));
 				}
-			);
+			};
+			const next: ValueRequest = {
+				value: desired,
+				signal: signal,
+				resolve: resolve,
+				reject: reject,
+				release: () => signal?.removeEventListener("abort", onAbort),
+			};
+			signal?.addEventListener("abort", onAbort, { once: true });
+			this.#nextValueRequest = next;
+			if (superseded) {
+				superseded.release();
+				log.debug(
+					"Node %d control %s change to %s superseded by %s",
+					this.nodeId,
+					this.controlId,
+					superseded.value,
+					desired
+				);
+				superseded.reject(
+					new ControlSupersededError(
+						`Change to ${superseded.value} superseded by ${desired}`,
+						superseded.value
+					)
+				);
+			}
+			if (this.optimistic) {
+				// report the desired value while the request waits to be sent
+				this.#setOptimistic(desired);
+				this.#notifyDelegate();
+			} else {
+				this.#updateStatus();
+			}
+			if (this.#valueDebounceMs) {
+				clearTimeout(this.#valueDebounceTimer);
+				this.#valueDebounceTimer = setTimeout(() => {
+					this.#valueDebounceTimer = undefined;
+					this.#sendNextValueRequest();
+				}, this.#valueDebounceMs);
+			}
 		});
 	}
 
 	/**
-	 * Get the desired control value.
+	 * Send the value change request waiting to be sent, if there is no request in progress and
+	 * the debounce time has passed.
+	 * @private
+	 */
+	#sendNextValueRequest() {
+		const next = this.#nextValueRequest;
+		if (!next || this.#valueRequest || this.#valueDebounceTimer) {
+			return;
+		}
+		this.#nextValueRequest = undefined;
+		next.release();
+		this.#sendValueRequest(next.value, next.signal).then(
+			next.resolve,
+			next.reject
+		);
+		this.#updateStatus();
+	}
+
+	/**
+	 * Send a value change request, and send the next waiting request once it completes.
 	 *
-	 * @returns the last known control value
+	 * @param desired the control value to set
+	 * @param signal an optional signal to abort the request with
+	 * @returns a promise that resolves to the enqueued instruction
+	 * @private
 	 */
-	value(): ControlValueType | undefined;
+	#sendValueRequest(
+		desired: ControlValueType,
+		signal?: AbortSignal
+	): Promise<InstructionInfo> {
+		const req = this.#requestValue(desired, signal);
+		this.#valueRequest = req;
+		const done = () => {
+			if (this.#valueRequest === req) {
+				this.#valueRequest = undefined;
+			}
+			this.#sendNextValueRequest();
+		};
+		req.then(done, done);
+		return req;
+	}
 
 	/**
-	 * Set the desired control value.
+	 * Request a control value change, cancelling any different queued change first.
 	 *
-	 * @param desiredValue the control value to set
+	 * @param desired the control value to set
+	 * @param signal an optional signal to abort the request with
 	 * @returns a promise that resolves to the enqueued instruction
+	 * @private
 	 */
-	value(desiredValue: ControlValueType): Promise<InstructionInfo>;
-
-	value(
-		desiredValue?: ControlValueType
-	): ControlValueType | undefined | Promise<InstructionInfo> {
-		if (desiredValue === undefined) {
-			return this.#lastKnownDatum?.val;
-		}
-		if (!this.#auth.signingKeyValid) {
-			return Promise.reject(
-				new Error("Valid credentials not configured")
-			);
-		}
+	#requestValue(
+		desired: ControlValueType,
+		signal?: AbortSignal
+	): Promise<InstructionInfo> {
 		const currentValue = this.#lastKnownDatum?.val;
 		let pendingState = this.#lastKnownInstruction?.instructionState;
 		let pendingValue = this.#lastKnownInstructionValue();
 
-		let cancel: Promise<void> | undefined;
+		let cancel: Promise<unknown> | undefined;
 		let enqueue: Promise<InstructionInfo> | undefined;
 
-		/* !!!!!
-		   Note the loose `!= desiredValue` equality checks for type flexibility
-		   !!!!! */
 		if (
 			pendingState === InstructionStates.Queued &&
-			pendingValue != desiredValue &&
-			this.#lastKnownInstruction
+			!this.#codec.equals(pendingValue, desired) &&
+			this.#lastKnownInstruction &&
+			!this.#lastKnownInstruction.parameters?.some(
+				(p) => p.name !== this.controlId
+			)
 		) {
 			// cancel the pending instruction
 			log.debug(
@@ -421,60 +2687,92 @@ class ControlToggler {
 				pendingValue,
 				this.#lastKnownInstruction.id
 			);
-			const cancelInstructionUrl = this.#api.updateInstructionStateUrl(
-				this.#lastKnownInstruction.id,
-				InstructionStates.Declined
-			);
-			cancel = this.#fetch(
-				HttpMethod.POST,
-				cancelInstructionUrl,
-				this.#auth
-			);
+			const cancelInstruction = this.#lastKnownInstruction;
+			cancel = this.#instructionTracker(cancelInstruction)
+				.cancel({ signal: signal })
+				.catch((error) => {
+					// the instruction might not have been cancelled, so keep tracking it
+					if (this.#lastKnownInstruction === undefined) {
+						this.#lastKnownInstruction = cancelInstruction;
+					}
+					throw error;
+				});
 			this.#lastKnownInstruction = undefined;
 			pendingState = undefined;
 			pendingValue = undefined;
 		}
 
-		if (currentValue != desiredValue && pendingValue != desiredValue) {
+		if (
+			!this.#codec.equals(currentValue, desired) &&
+			!this.#codec.equals(pendingValue, desired)
+		) {
 			log.debug(
-				"Request node %d to change control %s to %d",
+				"Request node %d to change control %s to %s",
 				this.nodeId,
 				this.controlId,
-				desiredValue
-			);
-			const queueInstructionUrl = this.#api.queueInstructionUrl(
-				CommonInstructionTopicName.SetControlParameter,
-				[{ name: this.controlId, value: String(desiredValue) }],
-				this.nodeId
+				desired
 			);
+			const parameters = [
+				{ name: this.controlId, value: this.#codec.encode(desired) },
+			];
+			const queue = () => {
+				const tracker = this.#instructionTracker();
+				return tracker
+					.queue(
+						this.nodeId,
+						CommonInstructionTopicName.SetControlParameter,
+						parameters,
+						{ signal: signal }
+					)
+					.then(() => tracker.info!);
+			};
+
+			this.#queuingCount += 1;
+			const optimistic = this.optimistic;
+			if (optimistic) {
+				this.#setOptimistic(desired);
+				this.#notifyDelegate();
+			} else {
+				this.#updateStatus();
+			}
+			const isOptimisticRequest = () =>
+				optimistic &&
+				this.#optimisticInstructionId === undefined &&
+				this.#codec.equals(this.#optimisticValue, desired);
 
 			if (cancel) {
 				enqueue = cancel.then(() => {
 					this.#lastKnownInstruction = undefined;
-					return this.#fetch<InstructionInfo>(
-						HttpMethod.POST,
-						queueInstructionUrl,
-						this.#auth
-					);
+					return queue();
 				});
 			} else {
-				enqueue = this.#fetch<InstructionInfo>(
-					HttpMethod.POST,
-					queueInstructionUrl,
-					this.#auth
-				);
+				enqueue = queue();
 			}
 
 			enqueue
 				.then((instr) => {
-					this.#lastKnownInstruction = new Instruction(instr);
-					this.#notifyDelegate();
-					if (this.#timer) {
-						this.stop();
-						this.start(this.#currentRefreshMs());
+					this.#queuingCount -= 1;
+					if (isOptimisticRequest()) {
+						this.#optimisticInstructionId = instr.id;
 					}
+					this.#track(instr);
 				})
 				.catch((error) => {
+					this.#queuingCount -= 1;
+					const aborted =
+						signal?.aborted && error instanceof ControlAbortError;
+					const rollback = isOptimisticRequest();
+					if (rollback) {
+						this.#rollback(aborted ? "cancelled" : "failed", error);
+					}
+					if (aborted) {
+						if (rollback) {
+							this.#notifyDelegate();
+						} else {
+							this.#updateStatus();
+						}
+						return;
+					}
 					log.error(
 						"Error updating node %d control toggler %s: %s",
 						this.nodeId,
@@ -484,20 +2782,189 @@ class ControlToggler {
 					this.#notifyDelegate(error);
 				});
 		} else {
-			enqueue = Promise.resolve(this.#lastKnownInstruction!);
+			if (this.optimistic && this.#codec.equals(pendingValue, desired)) {
+				if (!this.#codec.equals(this.#optimisticValue, desired)) {
+					this.#setOptimistic(
+						desired,
+						this.#lastKnownInstruction?.id
+					);
+					this.#notifyDelegate();
+				}
+			} else if (this.#optimisticValue !== undefined) {
+				// the desired value is the current value, so nothing to confirm
+				this.#clearOptimistic();
+				this.#notifyDelegate();
+			}
+			if (cancel) {
+				enqueue = cancel.then(() => this.#lastKnownInstruction!);
+			} else {
+				enqueue = Promise.resolve(this.#lastKnownInstruction!);
+			}
 		}
 		return enqueue;
 	}
 
+	/**
+	 * Set the desired control value, and wait for the change to be confirmed.
+	 *
+	 * The control state will be refreshed every {@link ControlToggler#pendingRefreshMs}
+	 * milliseconds while waiting for confirmation. If automatic updates have not been started,
+	 * the refreshes are performed just until the change is confirmed or fails. When coordinating
+	 * with togglers in other browser tabs and this toggler is not the leader, no refreshes are
+	 * performed and the change is confirmed from the state the leader shares instead.
+	 *
+	 * @param desiredValue the control value to set
+	 * @param options the confirmation options
+	 * @returns a promise that resolves to a snapshot of the control state once the instruction
+	 *          reaches the `Completed` state or the most recent datum reports the desired value
+	 *          (or only the latter, if `confirmDatum` is configured); the promise is rejected if
+	 *          the instruction is declined, with a {@link ControlTimeoutError} if the change is not
+	 *          confirmed within the configured timeout, with a {@link ControlAbortError} if
+	 *          `options.signal` is aborted, or with a `RangeError` if `options.timeoutMs` is not
+	 *          a positive number
+	 */
+	setAndConfirm(
+		desiredValue: ControlValueType,
+		options?: ControlTogglerConfirmOptions
+	): Promise<ControlTogglerSnapshot> {
+		let timeoutMs = DEFAULT_CONFIRM_TIMEOUT_MS;
+		if (options?.timeoutMs !== undefined) {
+			try {
+				timeoutMs = requirePositive("timeoutMs", options.timeoutMs);
+			} catch (error) {
+				return Promise.reject(error);
+			}
+		}
+		const confirmDatum = !!options?.confirmDatum;
+		const signal = options?.signal;
+		const desired = this.#codec.decode(desiredValue);
+		return new Promise<ControlTogglerSnapshot>((resolve, reject) => {
+			let instructionId: number | undefined;
+			let completed = false;
+			let finished = false;
+			let pollTimer: any;
+
+			const finish = (error?: Error) => {
+				if (finished) {
+					return;
+				}
+				finished = true;
+				this.#confirmations.delete(confirm);
+				clearTimeout(deadline);
+				clearTimeout(pollTimer);
+				signal?.removeEventListener("abort", abort);
+				if (error) {
+					reject(error);
+				} else {
+					resolve(this.#snapshot());
+				}
+			};
+
+			const confirm = () => {
+				const instr = this.#lastKnownInstruction;
+				if (instr && instr.id === instructionId) {
+					if (InstructionStates.Declined.equals(instr.state)) {
+						finish(new InstructionDeclinedError(instr));
+						return;
+					}
+					if (InstructionStates.Completed.equals(instr.state)) {
+						completed = true;
+					}
+				}
+				const reported = this.#lastReportedDatum?.val;
+				const reportedConfirmed =
+					reported !== undefined &&
+					this.#codec.equals(reported, desired);
+				if (
+					reportedConfirmed ||
+					(!confirmDatum &&
+						(completed ||
+							(instructionId === undefined &&
+								this.#codec.equals(
+									this.#lastKnownDatum?.val,
+									desired
+								))))
+				) {
+					finish();
+				}
+			};
+
+			const poll = () => {
+				pollTimer = setTimeout(() => {
+					this.update({ signal: signal })
+						.catch(() => {
+							// ignore, keep trying until timeout
+						})
+						.then(() => {
+							if (
+								this.#confirmations.has(confirm) &&
+								!this.#timer &&
+								this.leader
+							) {
+								poll();
+							}
+						});
+				}, this.pendingRefreshMs);
+			};
+
+			// the deadline covers queuing the change as well as confirming it
+			const deadline = setTimeout(() => {
+				log.debug(
+					"Timeout waiting for node %d control %s to change to %s",
+					this.nodeId,
+					this.controlId,
+					desiredValue
+				);
+				finish(
+					new ControlTimeoutError(
+						`Timeout waiting for control ${this.controlId} to change to ${desiredValue}`
+					)
+				);
+			}, timeoutMs);
+
+			const abort = () => {
+				finish(new ControlAbortError("Request aborted"));
+			};
+			if (signal?.aborted) {
+				abort();
+				return;
+			}
+			signal?.addEventListener("abort", abort, { once: true });
+
+			this.value(desiredValue, { signal: signal }).then((info) => {
+				if (finished) {
+					return;
+				}
+				instructionId = info?.id ?? this.#lastKnownInstruction?.id;
+				this.#confirmations.add(confirm);
+				confirm();
+				if (
+					this.#confirmations.has(confirm) &&
+					!this.#timer &&
+					this.leader
+				) {
+					poll();
+				}
+			}, finish);
+		});
+	}
+
 	/**
 	 * Refresh the control state from SolarNetwork.
 	 *
 	 * Once the {@link ControlToggler#start} method is called, this method is invoked periodically
 	 * automatically. Only call this directly if you need to manually update the state of the control.
 	 *
+	 * Errors are reported to listeners via an `error` event, and the returned promise resolves
+	 * without a value. If the update is aborted via `options.signal` however, no error event
+	 * is dispatched and the returned promise is rejected with a {@link ControlAbortError}.
+	 *
+	 * @param options the request options
 	 * @returns promise that resolves after getting the updated state
 	 */
-	update(): Promise<ControlValueType | undefined | void> {
+	update(
+		options?: ControlTogglerRequestOptions
+	): Promise<ControlValueType | undefined | void> {
 		if (!this.#auth.signingKeyValid) {
 			return Promise.reject(
 				new Error("Valid credentials not configured")
@@ -505,31 +2972,17 @@ class ControlToggler {
 		}
 
 		const reqs: [
-			Promise<FilterResults<DatumInfo>>,
+			Promise<DatumInfo | undefined>,
 			Promise<InstructionInfo[]>,
-			Promise<InstructionInfo>,
+			Promise<InstructionInfo | undefined>,
 		] = [] as any;
 
 		// query for most recently available datum for control to check control value
-		const filter = new DatumFilter();
-		filter.nodeId = this.nodeId;
-		filter.sourceId = this.controlId;
-		const mostRecentUrl = this.#queryApi.mostRecentDatumUrl(filter);
-		reqs[0] = this.#fetch<FilterResults<DatumInfo>>(
-			HttpMethod.GET,
-			mostRecentUrl,
-			this.#queryAuth
-		);
+		const signal = options?.signal;
+		reqs[0] = this.#loadMostRecentDatum(signal);
 
 		// query for pending instructions to see if we have an in-flight SetControlParameter on the go already
-		const viewPendingUrl = this.#api.viewPendingInstructionsUrl(
-			this.nodeId
-		);
-		reqs[1] = this.#fetch<InstructionInfo[]>(
-			HttpMethod.GET,
-			viewPendingUrl,
-			this.#auth
-		);
+		reqs[1] = this.#loadPendingInstructions(signal);
 
 		const lastKnownInstr = this.#lastKnownInstruction;
 		if (
@@ -538,19 +2991,12 @@ class ControlToggler {
 		) {
 			// also refresh this specific instruction, to know when it goes to Completed so we can
 			// assume the control value has changed, even if the mostRecent data lags behind
-			const viewInstructionUrl = this.#api.viewInstructionUrl(
-				lastKnownInstr.id
-			);
-			reqs[2] = this.#fetch<InstructionInfo>(
-				HttpMethod.GET,
-				viewInstructionUrl,
-				this.#auth
-			);
+			reqs[2] = this.#loadInstruction(lastKnownInstr.id, signal);
 		}
 
 		return Promise.all(reqs)
 			.then((results): ControlValueType | undefined => {
-				const mostRecentList: DatumInfo[] = results[0].results;
+				const mostRecentDatumInfo = results[0];
 				const pendingInstruction = this.#getActiveInstruction(
 					results[1]
 				);
@@ -558,13 +3004,30 @@ class ControlToggler {
 					results.length > 2 && results[2]
 						? new Instruction(results[2])
 						: undefined;
+				if (
+					execInstruction &&
+					InstructionStates.Declined.equals(execInstruction.state) &&
+					lastKnownInstr?.state !== execInstruction.state
+				) {
+					log.warn(
+						"Node %d control %s instruction %d declined: %s",
+						this.nodeId,
+						this.controlId,
+						execInstruction.id,
+						instructionResultMessage(execInstruction) || "N/A"
+					);
+				}
 
-				const mostRecentDatumInfo = Array.isArray(mostRecentList)
-					? mostRecentList.find((e) => e.sourceId === this.controlId)
-					: undefined;
-				const mostRecentDatum = mostRecentDatumInfo
-					? new ControlDatum(mostRecentDatumInfo)
-					: undefined;
+				this.#detectConflicts(results[1], [
+					execInstruction,
+					pendingInstruction,
+					this.#lastKnownInstruction,
+				]);
+
+				const mostRecentDatum = this.#controlDatum(mostRecentDatumInfo);
+				this.#datumRefreshed(mostRecentDatum);
+				this.#lastReportedDatum =
+					this.#controlDatum(mostRecentDatumInfo);
 
 				const newValue = this.#mostRecentValue(
 					mostRecentDatum,
@@ -574,8 +3037,11 @@ class ControlToggler {
 							? pendingInstruction
 							: this.#lastKnownInstruction
 				);
-				const currValue = this.value();
-				if (newValue !== currValue || execInstruction) {
+				const currValue = this.#lastKnownDatum?.val;
+				const changed = newValue !== currValue || !!execInstruction;
+				this.#loaded = true;
+				this.#lastError = undefined;
+				if (changed) {
 					log.debug(
 						"Current node %d control %s value is %s",
 						this.nodeId,
@@ -583,36 +3049,112 @@ class ControlToggler {
 						newValue !== undefined ? newValue : "N/A"
 					);
 					this.#lastKnownDatum = mostRecentDatum;
-					if (mostRecentDatum && !pendingInstruction && newValue) {
+					if (
+						mostRecentDatum &&
+						!pendingInstruction &&
+						newValue !== undefined
+					) {
 						mostRecentDatum.val = newValue; // force this, because instruction value might be newer than status value
 					}
 					this.#lastKnownInstruction = execInstruction
 						? execInstruction
 						: pendingInstruction;
+				}
 
+				if (this.#resolveOptimistic() || changed) {
 					// invoke the client callback so they know the data has been updated
 					this.#notifyDelegate();
 				}
 
+				this.#checkConfirmations();
+
+				this.#recordOutcome();
+				this.#updateStatus();
+
 				// if timer was defined, keep going as if interval set
-				if (this.#timer !== undefined) {
-					this.#timer = setTimeout(() => {
-						this.update();
-					}, this.#currentRefreshMs());
+				if (this.#autoUpdating) {
+					this.#schedule(this.#currentRefreshMs());
 				}
 				return this.value();
 			})
 			.catch((error) => {
+				if (signal?.aborted && error instanceof ControlAbortError) {
+					throw error;
+				}
 				log.error(
 					"Error querying node %d control toggler %s status: %s",
 					this.nodeId,
 					this.controlId,
 					error.status
 				);
+				this.#recordOutcome(error);
 				this.#notifyDelegate(error);
+
+				// if timer was defined, keep going after a backoff delay
+				this.#scheduleRetry();
 			});
 	}
 
+	/**
+	 * Get an async iterator of control state changes.
+	 *
+	 * Automatic updates are started when iteration begins (if not already started), and stopped
+	 * again when all iterators have finished, for example by breaking out of a `for await` loop
+	 * or aborting the provided signal. A snapshot of the control state is produced each time a
+	 * `change` event is dispatched.
+	 *
+	 * @example
+	 * const ctrl = new AbortController();
+	 * for await (const change of toggler.changes({ signal: ctrl.signal })) {
+	 *   console.log(`Control value == ${change.value}; pending == ${change.pending}`);
+	 * }
+	 *
+	 * @param options the iteration options
+	 * @returns the async iterator
+	 */
+	async *changes(
+		options?: ControlTogglerChangesOptions
+	): AsyncGenerator<ControlTogglerSnapshot, void, undefined> {
+		const signal = options?.signal;
+		const queue: ControlTogglerSnapshot[] = [];
+		let wake: (() => void) | undefined;
+		const listener = (event: ControlChangeEvent) => {
+			queue.push(event.snapshot);
+			wake?.();
+		};
+		const abort = () => {
+			wake?.();
+		};
+		this.addEventListener("change", listener);
+		signal?.addEventListener("abort", abort);
+		this.#changesCount += 1;
+		if (!this.#started) {
+			this.start();
+			this.#changesStarted = true;
+		}
+		try {
+			while (!signal?.aborted) {
+				const snapshot = queue.shift();
+				if (snapshot) {
+					yield snapshot;
+					continue;
+				}
+				await new Promise<void>((resolve) => {
+					wake = resolve;
+				});
+				wake = undefined;
+			}
+		} finally {
+			this.removeEventListener("change", listener);
+			signal?.removeEventListener("abort", abort);
+			this.#changesCount -= 1;
+			if (this.#changesCount < 1 && this.#changesStarted) {
+				this.#changesStarted = false;
+				this.stop();
+			}
+		}
+	}
+
 	/**
 	 * Start automatically updating the status of the configured control.
 	 *
@@ -620,11 +3162,28 @@ class ControlToggler {
 	 * @returns this object
 	 */
 	start(when?: number): this {
-		const timer = this.#timer;
-		if (!timer) {
-			this.#timer = setTimeout(() => {
-				this.update();
-			}, when || 20);
+		this.#started = true;
+		this.#pollingPolicy?.addEventListener("change", this.#pollingListener);
+		const coordinator = this.#coordinator;
+		if (coordinator && !coordinator.running) {
+			try {
+				coordinator.start();
+			} catch (error) {
+				log.warn(
+					"Node %d control %s coordination not available: %s",
+					this.nodeId,
+					this.controlId,
+					error
+				);
+			}
+		}
+		if (!this.leader) {
+			// the leader will update the control state
+			return this;
+		}
+		this.#subscribe();
+		if (!this.#timer && !this.#paused) {
+			this.#schedule(when || 20);
 		}
 		return this;
 	}
@@ -635,13 +3194,373 @@ class ControlToggler {
 	 * @returns this object
 	 */
 	stop(): this {
+		this.#started = false;
+		this.#paused = false;
+		this.#pollingPolicy?.removeEventListener(
+			"change",
+			this.#pollingListener
+		);
 		const timer = this.#timer;
 		if (timer) {
 			clearTimeout(timer);
 			this.#timer = null;
+			this.#nextRetryDate = undefined;
 		}
+		this.#unsubscribe();
+		this.#coordinator?.stop();
 		return this;
 	}
+
+	/**
+	 * Test if this toggler is responsible for updating the control state.
+	 *
+	 * This is always `true` unless coordination is configured, in which case it is `true` only
+	 * while this toggler is the leader of the coordinated togglers.
+	 */
+	get leader(): boolean {
+		return !this.#coordinator?.running || this.#coordinator.leader;
+	}
+
+	/**
+	 * Set up coordination with togglers in other browser tabs.
+	 *
+	 * Coordination starts when {@link ControlToggler#start} is called. The leader updates the
+	 * control state, and broadcasts it after every change. Followers do not update the control
+	 * state themselves, but restore the state broadcast by the leader and forward value changes
+	 * to the leader. If the leader stops, for example because its tab was closed, one of the
+	 * followers takes over.
+	 *
+	 * @param options the coordination options
+	 * @private
+	 */
+	#coordinate(options: ControlTogglerCoordinationOptions) {
+		const coordinator = new ControlCoordinator(
+			options.channelName ||
+				`solarnetwork-control-toggler/${this.nodeId}/${this.controlId}`,
+			options
+		);
+		coordinator.requestHandler = (data) => {
+			const req = data as CoordinationRequest;
+			if (req?.type === "state") {
+				return this.toJSON();
+			} else if (req?.type === "value" && req.value !== undefined) {
+				return this.value(req.value).then(instructionInfo);
+			}
+			throw new TypeError(`Unsupported request: ${req?.type}`);
+		};
+		coordinator.addEventListener("leaderchange", (event) => {
+			this.#leaderChanged(event);
+		});
+		coordinator.addEventListener("data", (event) => {
+			if (coordinator.leader) {
+				return;
+			}
+			try {
+				this.restore(event.data as ControlTogglerState);
+			} catch (error) {
+				log.warn(
+					"Error restoring node %d control %s state from leader: %s",
+					this.nodeId,
+					this.controlId,
+					error
+				);
+			}
+		});
+		this.#coordinator = coordinator;
+	}
+
+	/**
+	 * Start or stop updating the control state when the coordinated leader changes.
+	 *
+	 * @param event the leader change event
+	 * @private
+	 */
+	#leaderChanged(event: ControlCoordinatorLeaderEvent) {
+		if (event.leader) {
+			if (this.#started) {
+				this.#subscribe();
+				if (!this.#timer) {
+					this.#schedule(20);
+				}
+			}
+		} else {
+			clearTimeout(this.#timer);
+			this.#timer = null;
+			this.#nextRetryDate = undefined;
+			this.#unsubscribe();
+			if (event.leaderId) {
+				const request: CoordinationRequest = { type: "state" };
+				this.#coordinator
+					?.request(request)
+					.then((state) => {
+						this.restore(state as ControlTogglerState);
+					})
+					.catch((error) => {
+						log.debug(
+							"Error requesting node %d control %s state from leader: %s",
+							this.nodeId,
+							this.controlId,
+							error
+						);
+					});
+			}
+		}
+		this.dispatchEvent(new ControlLeaderChangeEvent(event.leader));
+	}
+
+	/**
+	 * Test if real-time updates are connected.
+	 *
+	 * While connected, the control state is updated as soon as SolarFlux publishes new datum
+	 * for the control, and polled only every {@link ControlRealtimeOptions#refreshMs}
+	 * milliseconds unless a change is pending.
+	 *
+	 * @returns `true` if subscribed to real-time updates and the SolarFlux connection is up
+	 */
+	get realtime(): boolean {
+		return this.#realtimeConnected;
+	}
+
+	/**
+	 * Create the SolarFlux subscription for real-time updates.
+	 *
+	 * @param options the real-time options
+	 * @returns the subscription
+	 * @throws TypeError if the client, decoder, or both the user ID and topic, are missing
+	 * @throws RangeError if the refresh rate is not a positive number
+	 * @private
+	 */
+	#realtimeSubscription(
+		options: ControlRealtimeOptions
+	): RealtimeSubscription {
+		if (!options.client) {
+			throw new TypeError("The realtime client option is required.");
+		}
+		const topic =
+			options.topic ||
+			(options.userId !== undefined
+				? fluxDatumTopic(options.userId, this.nodeId, this.controlId)
+				: undefined);
+		if (!topic) {
+			throw new TypeError(
+				"The realtime userId or topic option is required."
+			);
+		}
+		if (!options.decode) {
+			throw new TypeError("The realtime decode option is required.");
+		}
+		return {
+			client: options.client,
+			topic: topic,
+			decode: options.decode,
+			refreshMs:
+				options.refreshMs !== undefined
+					? requirePositive("realtime refreshMs", options.refreshMs)
+					: DEFAULT_REALTIME_REFRESH_MS,
+			listeners: [
+				["connect", () => this.#realtimeConnect()],
+				["close", () => this.#realtimeChanged(false)],
+				["offline", () => this.#realtimeChanged(false)],
+				[
+					"message",
+					(topic: string, payload: Uint8Array) =>
+						this.#realtimeMessage(topic, payload),
+				],
+			],
+		};
+	}
+
+	/**
+	 * Subscribe to real-time updates, if configured.
+	 * @private
+	 */
+	#subscribe() {
+		const realtime = this.#realtime;
+		if (!realtime || this.#realtimeSubscribed) {
+			return;
+		}
+		this.#realtimeSubscribed = true;
+		addFluxTopicSubscriber(realtime.client, realtime.topic);
+		for (const [event, listener] of realtime.listeners) {
+			realtime.client.on(event, listener);
+		}
+		if (realtime.client.connected) {
+			this.#realtimeConnect();
+		}
+	}
+
+	/**
+	 * Unsubscribe from real-time updates, if subscribed.
+	 * @private
+	 */
+	#unsubscribe() {
+		const realtime = this.#realtime;
+		if (!realtime || !this.#realtimeSubscribed) {
+			return;
+		}
+		this.#realtimeSubscribed = false;
+		for (const [event, listener] of realtime.listeners) {
+			realtime.client.removeListener(event, listener);
+		}
+		if (
+			removeFluxTopicSubscriber(realtime.client, realtime.topic) &&
+			realtime.client.connected
+		) {
+			realtime.client.unsubscribe(realtime.topic);
+		}
+		this.#realtimeChanged(false);
+	}
+
+	/**
+	 * Subscribe to the real-time topic, after the SolarFlux connection is established.
+	 * @private
+	 */
+	#realtimeConnect() {
+		const realtime = this.#realtime!;
+		log.debug(
+			"Subscribing node %d control %s to real-time updates on %s",
+			this.nodeId,
+			this.controlId,
+			realtime.topic
+		);
+		realtime.client.subscribe(realtime.topic, (error) => {
+			if (!this.#realtimeSubscribed) {
+				return;
+			}
+			if (error) {
+				log.warn(
+					"Error subscribing node %d control %s to real-time updates: %s",
+					this.nodeId,
+					this.controlId,
+					error
+				);
+			}
+			this.#realtimeChanged(!error);
+		});
+	}
+
+	/**
+	 * Handle real-time updates connecting or disconnecting.
+	 *
+	 * When disconnected, polling falls back to the normal refresh rate.
+	 *
+	 * @param connected `true` if real-time updates are connected
+	 * @private
+	 */
+	#realtimeChanged(connected: boolean) {
+		if (connected === this.#realtimeConnected) {
+			return;
+		}
+		this.#realtimeConnected = connected;
+		if (connected) {
+			log.info(
+				"Node %d control %s real-time updates connected",
+				this.nodeId,
+				this.controlId
+			);
+		} else if (this.#realtimeSubscribed) {
+			log.warn(
+				"Node %d control %s real-time updates disconnected, polling every %dms",
+				this.nodeId,
+				this.controlId,
+				this.#currentRefreshMs()
+			);
+			if (this.#autoUpdating && this.#timer && !this.#nextRetryDate) {
+				this.#schedule(this.#currentRefreshMs());
+			}
+		}
+		this.dispatchEvent(new ControlRealtimeChangeEvent(connected));
+	}
+
+	/**
+	 * Handle a SolarFlux message.
+	 *
+	 * @param topic the message topic
+	 * @param payload the message payload
+	 * @private
+	 */
+	#realtimeMessage(topic: string, payload: Uint8Array) {
+		const realtime = this.#realtime!;
+		if (!fluxTopicMatches(realtime.topic, topic)) {
+			return;
+		}
+		let info: DatumInfo | undefined;
+		try {
+			info = realtime.decode(payload);
+		} catch (error) {
+			log.warn(
+				"Error decoding node %d control %s real-time message on %s: %s",
+				this.nodeId,
+				this.controlId,
+				topic,
+				error
+			);
+			return;
+		}
+		if (
+			!info ||
+			(info.nodeId !== undefined && info.nodeId !== this.nodeId) ||
+			(info.sourceId !== undefined && info.sourceId !== this.controlId)
+		) {
+			return;
+		}
+		this.#applyRealtimeDatum({
+			...info,
+			// SolarFlux publishes the creation date as a millisecond epoch
+			created:
+				typeof info.created === "number"
+					? new Date(info.created).toISOString()
+					: info.created,
+			nodeId: this.nodeId,
+			sourceId: this.controlId,
+		});
+	}
+
+	/**
+	 * Apply a datum received in real time to the control state.
+	 *
+	 * @param info the datum info
+	 * @private
+	 */
+	#applyRealtimeDatum(info: DatumInfo) {
+		const datum = this.#controlDatum(info)!;
+		const reportedDate = this.#lastReportedDatum?.date;
+		if (reportedDate && datum.date && datum.date < reportedDate) {
+			// already have a newer datum
+			return;
+		}
+		this.#datumRefreshed(datum);
+		this.#lastReportedDatum = this.#controlDatum(info);
+
+		const instruction = this.#lastKnownInstruction;
+		const newValue = this.#mostRecentValue(datum, instruction);
+		const changed = newValue !== this.#lastKnownDatum?.val;
+		this.#loaded = true;
+		if (changed) {
+			log.debug(
+				"Current node %d control %s value is %s (real-time)",
+				this.nodeId,
+				this.controlId,
+				newValue !== undefined ? newValue : "N/A"
+			);
+			this.#lastKnownDatum = datum;
+			if (
+				newValue !== undefined &&
+				!(
+					instruction &&
+					InstructionActiveStates.has(instruction.instructionState)
+				)
+			) {
+				datum.val = newValue; // force this, because instruction value might be newer than status value
+			}
+		}
+
+		if (this.#resolveOptimistic() || changed) {
+			this.#notifyDelegate();
+		}
+		this.#checkConfirmations();
+		this.#updateStatus();
+	}
 }
 
 export default ControlToggler;
@@ -0,0 +1,421 @@
+import {
+	Instruction,
+	InstructionState,
+} from "solarnetwork-api-core/lib/domain";
+import type ControlToggler from "./controlToggler.js";
+import type {
+	ControlDatum,
+	ControlTogglerSnapshot,
+	ControlValueType,
+} from "./controlToggler.js";
+import type { ControlStatus } from "./controlStatus.js";
+import { instructionResultMessage } from "./instructionStates.js";
+
+/**
+ * Event dispatched when the value of a control changes.
+ */
+export class ControlValueChangeEvent extends Event {
+	/** The previous control value. */
+	readonly oldValue?: ControlValueType;
+
+	/** The new control value. */
+	readonly newValue?: ControlValueType;
+
+	/** The datum the control value was resolved from, if available. */
+	readonly datum?: ControlDatum;
+
+	/**
+	 * `true` if the change was made externally, that is not by an instruction created by the
+	 * toggler dispatching the event.
+	 */
+	readonly external: boolean;
+
+	/**
+	 * Constructor.
+	 * @param oldValue the previous control value
+	 * @param newValue the new control value
+	 * @param datum the datum the new value was resolved from
+	 * @param external `true` if the change was made externally
+	 */
+	constructor(
+		oldValue?: ControlValueType,
+		newValue?: ControlValueType,
+		datum?: ControlDatum,
+		external?: boolean
+	) {
+		super("valuechange");
+		this.oldValue = oldValue;
+		this.newValue = newValue;
+		this.datum = datum;
+		this.external = !!external;
+	}
+}
+
+/**
+ * Event dispatched when the state of the instruction tracked for a control changes.
+ */
+export class ControlInstructionStateChangeEvent extends Event {
+	/** The instruction. */
+	readonly instruction: Instruction;
+
+	/**
+	 * The previous state of the instruction, or `undefined` if the instruction
+	 * was not previously known.
+	 */
+	readonly previousState?: InstructionState;
+
+	/**
+	 * A message from the instruction result parameters, such as the reason a declined
+	 * instruction was declined, or `undefined` if not available.
+	 */
+	readonly resultMessage?: string;
+
+	/**
+	 * `true` if the instruction was created externally, that is not by the object dispatching
+	 * the event.
+	 */
+	readonly external: boolean;
+
+	/**
+	 * Constructor.
+	 * @param instruction the instruction
+	 * @param previousState the previous state of the instruction
+	 * @param external `true` if the instruction was created externally
+	 */
+	constructor(
+		instruction: Instruction,
+		previousState?: InstructionState,
+		external?: boolean
+	) {
+		super("instructionstatechange");
+		this.instruction = instruction;
+		this.previousState = previousState;
+		this.resultMessage = instructionResultMessage(instruction);
+		this.external = !!external;
+	}
+}
+
+/**
+ * Event dispatched when a control starts or stops having a pending state change.
+ */
+export class ControlPendingChangeEvent extends Event {
+	/** `true` if a state change is pending. */
+	readonly pending: boolean;
+
+	/**
+	 * Constructor.
+	 * @param pending `true` if a state change is pending
+	 */
+	constructor(pending: boolean) {
+		super("pendingchange");
+		this.pending = pending;
+	}
+}
+
+/**
+ * Event dispatched when an error occurs updating or refreshing a control.
+ */
+export class ControlErrorEvent extends Event {
+	/** The error. */
+	readonly error: Error;
+
+	/**
+	 * Constructor.
+	 * @param error the error
+	 */
+	constructor(error: Error) {
+		super("error");
+		this.error = error;
+	}
+}
+
+/**
+ * Event dispatched when the circuit breaker of a control opens after too many consecutive
+ * failed updates, or closes again after a successful update.
+ */
+export class ControlCircuitChangeEvent extends Event {
+	/** `true` if the circuit is open, i.e. SolarNetwork cannot be reached. */
+	readonly open: boolean;
+
+	/** The number of consecutive failed updates. */
+	readonly failureCount: number;
+
+	/** The error that caused the circuit to open, if available. */
+	readonly error?: Error;
+
+	/**
+	 * Constructor.
+	 * @param open `true` if the circuit is open
+	 * @param failureCount the number of consecutive failed updates
+	 * @param error the error that caused the circuit to open
+	 */
+	constructor(open: boolean, failureCount: number, error?: Error) {
+		super("circuitchange");
+		this.open = open;
+		this.failureCount = failureCount;
+		this.error = error;
+	}
+}
+
+/**
+ * Event dispatched when an instruction queued for a control was still `Queued` after the
+ * configured maximum age, and was declined so it will not be executed.
+ */
+export class ControlInstructionExpiredEvent extends Event {
+	/** The expired instruction, in the `Declined` state. */
+	readonly instruction: Instruction;
+
+	/** The maximum age of the instruction, in milliseconds. */
+	readonly maxAgeMs: number;
+
+	/**
+	 * Constructor.
+	 * @param instruction the expired instruction
+	 * @param maxAgeMs the maximum age of the instruction, in milliseconds
+	 */
+	constructor(instruction: Instruction, maxAgeMs: number) {
+		super("instructionexpired");
+		this.instruction = instruction;
+		this.maxAgeMs = maxAgeMs;
+	}
+}
+
+/**
+ * The reason an optimistic control value was rolled back:
+ *
+ * - `declined` - the instruction was declined
+ * - `cancelled` - the instruction was cancelled by the toggler, or the request was aborted
+ * - `failed` - the instruction could not be queued
+ * - `timeout` - the change was not confirmed in time
+ */
+export type ControlRollbackReason =
+	| "declined"
+	| "cancelled"
+	| "failed"
+	| "timeout";
+
+/**
+ * Event dispatched when an optimistic control value is rolled back, because the change it
+ * represents did not happen.
+ */
+export class ControlRollbackEvent extends Event {
+	/** The optimistic value that was rolled back. */
+	readonly value: ControlValueType;
+
+	/** The control value after the rollback. */
+	readonly restoredValue?: ControlValueType;
+
+	/** The reason for the rollback. */
+	readonly reason: ControlRollbackReason;
+
+	/** The instruction for the change, if it was queued. */
+	readonly instruction?: Instruction;
+
+	/** The error that caused the rollback, if available. */
+	readonly error?: Error;
+
+	/**
+	 * Constructor.
+	 * @param value the optimistic value that was rolled back
+	 * @param restoredValue the control value after the rollback
+	 * @param reason the reason for the rollback
+	 * @param instruction the instruction for the change
+	 * @param error the error that caused the rollback
+	 */
+	constructor(
+		value: ControlValueType,
+		restoredValue: ControlValueType | undefined,
+		reason: ControlRollbackReason,
+		instruction?: Instruction,
+		error?: Error
+	) {
+		super("rollback");
+		this.value = value;
+		this.restoredValue = restoredValue;
+		this.reason = reason;
+		this.instruction = instruction;
+		this.error = error;
+	}
+}
+
+/**
+ * Event dispatched when an instruction created externally, for example by another operator or
+ * an automation, would change a control to a different value than an instruction created by
+ * the toggler that is still pending.
+ *
+ * Only the newest of the conflicting instructions will take effect.
+ */
+export class ControlConflictEvent extends Event {
+	/** The pending instruction created by the toggler. */
+	readonly instruction: Instruction;
+
+	/** The conflicting instruction, created externally. */
+	readonly conflictingInstruction: Instruction;
+
+	/** The control value of `instruction`. */
+	readonly value?: ControlValueType;
+
+	/** The control value of `conflictingInstruction`. */
+	readonly conflictingValue?: ControlValueType;
+
+	/**
+	 * Constructor.
+	 * @param instruction the pending instruction created by the toggler
+	 * @param conflictingInstruction the conflicting instruction
+	 * @param value the control value of `instruction`
+	 * @param conflictingValue the control value of `conflictingInstruction`
+	 */
+	constructor(
+		instruction: Instruction,
+		conflictingInstruction: Instruction,
+		value?: ControlValueType,
+		conflictingValue?: ControlValueType
+	) {
+		super("conflict");
+		this.instruction = instruction;
+		this.conflictingInstruction = conflictingInstruction;
+		this.value = value;
+		this.conflictingValue = conflictingValue;
+	}
+}
+
+/**
+ * Event dispatched when a toggler coordinating with togglers in other browser tabs becomes, or
+ * stops being, the leader responsible for updating the control state.
+ */
+export class ControlLeaderChangeEvent extends Event {
+	/** `true` if the toggler is the leader. */
+	readonly leader: boolean;
+
+	/**
+	 * Constructor.
+	 * @param leader `true` if the toggler is the leader
+	 */
+	constructor(leader: boolean) {
+		super("leaderchange");
+		this.leader = leader;
+	}
+}
+
+/**
+ * Event dispatched when the real-time updates of a toggler connect or disconnect. While
+ * disconnected, the toggler falls back to polling the control state.
+ */
+export class ControlRealtimeChangeEvent extends Event {
+	/** `true` if real-time updates are connected. */
+	readonly connected: boolean;
+
+	/**
+	 * Constructor.
+	 * @param connected `true` if real-time updates are connected
+	 */
+	constructor(connected: boolean) {
+		super("realtimechange");
+		this.connected = connected;
+	}
+}
+
+/**
+ * Event dispatched when the status of a control changes.
+ */
+export class ControlStatusChangeEvent extends Event {
+	/** The new status. */
+	readonly status: ControlStatus;
+
+	/** The previous status. */
+	readonly previousStatus: ControlStatus;
+
+	/**
+	 * Constructor.
+	 * @param status the new status
+	 * @param previousStatus the previous status
+	 */
+	constructor(status: ControlStatus, previousStatus: ControlStatus) {
+		super("statuschange");
+		this.status = status;
+		this.previousStatus = previousStatus;
+	}
+}
+
+/**
+ * Event dispatched each time the state of a control is refreshed or updated, or an error occurs.
+ *
+ * This event is dispatched after any of the other, more specific, events.
+ */
+export class ControlChangeEvent extends Event {
+	/** A snapshot of the control state. */
+	readonly snapshot: ControlTogglerSnapshot;
+
+	/**
+	 * Constructor.
+	 * @param snapshot a snapshot of the control state
+	 */
+	constructor(snapshot: ControlTogglerSnapshot) {
+		super("change");
+		this.snapshot = snapshot;
+	}
+}
+
+/**
+ * Mapping of control toggler event types to associated event classes.
+ */
+export interface ControlTogglerEventMap {
+	/** The control value changed. */
+	valuechange: ControlValueChangeEvent;
+
+	/** The state of the instruction tracked for the control changed. */
+	instructionstatechange: ControlInstructionStateChangeEvent;
+
+	/** An instruction expired before it was executed, and was declined. */
+	instructionexpired: ControlInstructionExpiredEvent;
+
+	/** The control started or stopped having a pending state change. */
+	pendingchange: ControlPendingChangeEvent;
+
+	/** An error occurred. */
+	error: ControlErrorEvent;
+
+	/** An optimistic control value was rolled back. */
+	rollback: ControlRollbackEvent;
+
+	/** An external instruction conflicts with a pending instruction. */
+	conflict: ControlConflictEvent;
+
+	/** The status of the control changed. */
+	statuschange: ControlStatusChangeEvent;
+
+	/** The circuit breaker opened or closed. */
+	circuitchange: ControlCircuitChangeEvent;
+
+	/** The toggler became, or stopped being, the leader of coordinated togglers. */
+	leaderchange: ControlLeaderChangeEvent;
+
+	/** Real-time updates connected or disconnected. */
+	realtimechange: ControlRealtimeChangeEvent;
+
+	/** The control state was refreshed or updated, or an error occurred. */
+	change: ControlChangeEvent;
+}
+
+/**
+ * A control toggler event type.
+ */
+export type ControlTogglerEventType = keyof ControlTogglerEventMap;
+
+/**
+ * A control toggler event listener function.
+ */
+export type ControlTogglerEventListener<K extends ControlTogglerEventType> = (
+	/** The control toggler dispatching the event. */
+	this: ControlToggler,
+
+	/** The event. */
+	event: ControlTogglerEventMap[K]
+) => void;
+
+/**
+ * Options supported when adding an event listener.
+ */
+export type ControlTogglerEventListenerOptions = Parameters<
+	EventTarget["addEventListener"]
+>[2];
@@ -0,0 +1,229 @@
+import { InstructionInfo } from "solarnetwork-api-core/lib/domain";
+import {
+	AuthorizationV2Builder,
+	SolarQueryApi,
+	SolarUserApi,
+} from "solarnetwork-api-core/lib/net";
+import ControlToggler, {
+	ControlTogglerRequestOptions,
+	ControlValueType,
+} from "./controlToggler.js";
+import ControlTogglerManager from "./controlTogglerManager.js";
+import { ControlTransportOptions } from "./net.js";
+
+/**
+ * Manage the state of many controls on a single node, sharing SolarNetwork requests between them.
+ *
+ * Use an instance of this class instead of many individual {@link ControlToggler} instances
+ * when you need to keep track of many controls on the same node. Each refresh cycle makes a
+ * single most recent datum query for all controls and a single pending instructions query,
+ * and the results are then applied to each control's toggler so that the per-control state
+ * and callbacks behave exactly as they do for a standalone toggler.
+ *
+ * See {@link ControlTogglerManager} for managing controls across many nodes.
+ *
+ * @example
+ * const group = new ControlTogglerGroup(new SolarUserApi(), auth, 123);
+ * const toggler1 = group.add('/power/switch/1');
+ * toggler1.callback = (error) => {
+ *   console.log(`Control ${toggler1.controlId} value == ${toggler1.value()}`);
+ * };
+ * group.add('/power/switch/2');
+ *
+ * // enable automatic keeping track of state for all controls
+ * group.start();
+ *
+ * // ... later, update the state of a control
+ * group.toggler('/power/switch/2').value(1);
+ */
+class ControlTogglerGroup {
+	readonly #manager: ControlTogglerManager;
+
+	/**
+	 * The node ID to manage the controls on.
+	 */
+	readonly nodeId: number;
+
+	/**
+	 * Constructor.
+	 * @param api the URL helper to use
+	 * @param auth the auth builder to authenticate requests with; the required credentials
+	 *                    must be set appropriately
+	 * @param nodeId the ID of the node with the controls to manage
+	 * @param queryApi a URL helper for accessing node datum via SolarQuery; if not provided one
+	 *                 will be created using the environment from `api`. Useful in a development
+	 *                 environment when the SolarUser and SolarQuery hosts are different.
+	 * @param transport optional transport options, such as a custom `fetch()` implementation
+	 *                  or extra headers, to make requests with
+	 */
+	constructor(
+		api: SolarUserApi,
+		auth: AuthorizationV2Builder,
+		nodeId: number,
+		queryApi?: SolarQueryApi,
+		transport?: ControlTransportOptions
+	) {
+		this.nodeId = nodeId;
+		this.#manager = new ControlTogglerManager(
+			api,
+			auth,
+			queryApi,
+			transport
+		);
+	}
+
+	/**
+	 * The refresh rate, in milliseconds.
+	 * Defaults to 20 seconds.
+	 */
+	get refreshMs(): number {
+		return this.#manager.refreshMs;
+	}
+
+	set refreshMs(ms: number) {
+		this.#manager.refreshMs = ms;
+	}
+
+	/**
+	 * The refresh rate, in milliseconds, when a toggle instruction is queued for any control.
+	 * Defaults to 5 seconds.
+	 */
+	get pendingRefreshMs(): number {
+		return this.#manager.pendingRefreshMs;
+	}
+
+	set pendingRefreshMs(ms: number) {
+		this.#manager.pendingRefreshMs = ms;
+	}
+
+	/**
+	 * The maximum number of in-flight instructions to refresh per refresh cycle, or `0` for no
+	 * limit.
+	 *
+	 * @see {@link ControlTogglerManager#requestBudget}
+	 */
+	get requestBudget(): number {
+		return this.#manager.requestBudget;
+	}
+
+	set requestBudget(budget: number) {
+		this.#manager.requestBudget = budget;
+	}
+
+	/**
+	 * The maximum time to wait for each HTTP request to complete, in milliseconds, or `0` for
+	 * no limit.
+	 *
+	 * @see {@link ControlTogglerManager#requestTimeoutMs}
+	 */
+	get requestTimeoutMs(): number {
+		return this.#manager.requestTimeoutMs;
+	}
+
+	set requestTimeoutMs(ms: number) {
+		this.#manager.requestTimeoutMs = ms;
+	}
+
+	/**
+	 * Get the IDs of all controls managed by this group.
+	 */
+	get controlIds(): string[] {
+		return this.#manager.togglers(this.nodeId).map((t) => t.controlId);
+	}
+
+	/**
+	 * Get the toggler for a control managed by this group.
+	 *
+	 * @param controlId the ID of the control to get the toggler for
+	 * @returns the toggler, or `undefined` if `controlId` is not managed by this group
+	 */
+	toggler(controlId: string): ControlToggler | undefined {
+		return this.#manager.toggler(this.nodeId, controlId);
+	}
+
+	/**
+	 * Add a control to be managed by this group.
+	 *
+	 * @param controlId the ID of the control to manage
+	 * @returns the toggler for the control; if the control is already managed by this
+	 *          group the existing toggler will be returned
+	 */
+	add(controlId: string): ControlToggler {
+		return this.#manager.add(this.nodeId, controlId);
+	}
+
+	/**
+	 * Remove a control from this group.
+	 *
+	 * @param controlId the ID of the control to stop managing
+	 * @returns `true` if the control was managed by this group
+	 */
+	remove(controlId: string): boolean {
+		return this.#manager.remove(this.nodeId, controlId);
+	}
+
+	/**
+	 * Set the values of several controls together, using a single `SetControlParameter`
+	 * instruction with one parameter per control.
+	 *
+	 * @param values the desired control values, by control ID; all the controls must be
+	 *               managed by this group
+	 * @param options the request options
+	 * @returns a promise that resolves to the enqueued instruction
+	 * @see {@link ControlTogglerManager#values}
+	 */
+	values(
+		values: Record<string, ControlValueType>,
+		options?: ControlTogglerRequestOptions
+	): Promise<InstructionInfo> {
+		return this.#manager.values(this.nodeId, values, options);
+	}
+
+	/**
+	 * Test if a state change is pending confirmation for any control.
+	 *
+	 * @returns `true` if a state change is pending (not complete) on any control
+	 */
+	get hasPendingStateChange(): boolean {
+		return this.#manager.hasPendingStateChange;
+	}
+
+	/**
+	 * Refresh the state of all controls from SolarNetwork.
+	 *
+	 * Once the {@link ControlTogglerGroup#start} method is called, this method is invoked
+	 * periodically automatically. Only call this directly if you need to manually update the
+	 * state of the controls.
+	 *
+	 * @param options optional request options; the shared requests are cancelled if the
+	 *        signal is aborted
+	 * @returns promise that resolves after getting the updated state of all controls
+	 * @see {@link ControlTogglerManager#update}
+	 */
+	update(options?: ControlTogglerRequestOptions): Promise<void> {
+		return this.#manager.update(options);
+	}
+
+	/**
+	 * Start automatically updating the status of all managed controls.
+	 *
+	 * @param when an optional offset in milliseconds to start at (defaults to 20)
+	 * @returns this object
+	 */
+	start(when?: number): this {
+		this.#manager.start(when);
+		return this;
+	}
+
+	/**
+	 * Stop automatically updating the status of all managed controls.
+	 *
+	 * @returns this object
+	 */
+	stop(): this {
+		this.#manager.stop();
+		return this;
+	}
+}
+
+export default ControlTogglerGroup;
@@ -0,0 +1,460 @@
+import {
+	CommonInstructionTopicName,
+	InstructionInfo,
+	InstructionParameter,
+} from "solarnetwork-api-core/lib/domain";
+import { Logger as log } from "solarnetwork-api-core/lib/util";
+import {
+	AuthorizationV2Builder,
+	SolarQueryApi,
+	SolarUserApi,
+} from "solarnetwork-api-core/lib/net";
+import ControlToggler, {
+	ControlTogglerRequestOptions,
+	ControlValueType,
+} from "./controlToggler.js";
+import { ControlPendingChangeEvent } from "./controlTogglerEvents.js";
+import { ControlAbortError } from "./errors.js";
+import InstructionTracker from "./instructionTracker.js";
+import { ControlTransportOptions, queryAuthorization } from "./net.js";
+import SharedControlStateLoader from "./sharedControlStateLoader.js";
+import {
+	requireNonNegative,
+	requireNonNegativeInteger,
+	requirePositive,
+} from "./validation.js";
+
+/**
+ * Manage the state of many controls across many nodes, sharing SolarNetwork requests between them.
+ *
+ * Use an instance of this class instead of many individual {@link ControlToggler} instances
+ * when you need to keep track of many controls, possibly across many nodes. Each refresh cycle
+ * makes a single most recent datum query and a single pending instructions query for all
+ * controls on all nodes, and the results are then applied to each control's toggler so that
+ * the per-control state and callbacks behave exactly as they do for a standalone toggler.
+ *
+ * Togglers with an in-flight instruction also need that instruction refreshed. The
+ * {@link ControlTogglerManager#requestBudget} property limits the number of instruction
+ * requests made per refresh cycle; instruction refreshes over that budget are deferred to the
+ * next cycle.
+ *
+ * @example
+ * const manager = new ControlTogglerManager(new SolarUserApi(), auth);
+ * manager.requestBudget = 5;
+ * const toggler1 = manager.add(123, '/power/switch/1');
+ * const toggler2 = manager.add(234, '/power/switch/1');
+ *
+ * // enable automatic keeping track of state for all controls
+ * manager.start();
+ */
+class ControlTogglerManager {
+	readonly #api: SolarUserApi;
+	readonly #auth: AuthorizationV2Builder;
+	readonly #queryApi?: SolarQueryApi;
+	readonly #loader: SharedControlStateLoader;
+	readonly #transport?: ControlTransportOptions;
+	readonly #togglers = new Map<number, Map<string, ControlToggler>>();
+
+	/** A timeout identifier. */
+	#timer?: any;
+
+	/** Flag set when automatic updates have been started. */
+	#started = false;
+
+	/** Flag set while an update is in progress. */
+	#updating = false;
+
+	#refreshMs = 20000;
+	#pendingRefreshMs = 5000;
+
+	/**
+	 * Constructor.
+	 * @param api the URL helper to use
+	 * @param auth the auth builder to authenticate requests with; the required credentials
+	 *                    must be set appropriately
+	 * @param queryApi a URL helper for accessing node datum via SolarQuery; if not provided one
+	 *                 will be created using the environment from `api`. Useful in a development
+	 *                 environment when the SolarUser and SolarQuery hosts are different.
+	 * @param transport optional transport options, such as a custom `fetch()` implementation
+	 *                  or extra headers, to make requests with
+	 */
+	constructor(
+		api: SolarUserApi,
+		auth: AuthorizationV2Builder,
+		queryApi?: SolarQueryApi,
+		transport?: ControlTransportOptions
+	) {
+		this.#api = api;
+		this.#auth = auth;
+		this.#queryApi = queryApi;
+		this.#transport = transport;
+		this.#loader = new SharedControlStateLoader(
+			api,
+			auth,
+			queryApi || new SolarQueryApi(api.environment),
+			queryAuthorization(auth, queryApi),
+			transport
+		);
+	}
+
+	/**
+	 * The refresh rate, in milliseconds.
+	 * Defaults to 20 seconds.
+	 *
+	 * @throws RangeError if set to a value that is not a positive number
+	 */
+	get refreshMs(): number {
+		return this.#refreshMs;
+	}
+
+	set refreshMs(ms: number) {
+		this.#refreshMs = requirePositive("refreshMs", ms);
+	}
+
+	/**
+	 * The refresh rate, in milliseconds, when a toggle instruction is queued for any control.
+	 * Defaults to 5 seconds.
+	 *
+	 * @throws RangeError if set to a value that is not a positive number
+	 */
+	get pendingRefreshMs(): number {
+		return this.#pendingRefreshMs;
+	}
+
+	set pendingRefreshMs(ms: number) {
+		this.#pendingRefreshMs = requirePositive("pendingRefreshMs", ms);
+	}
+
+	/**
+	 * The maximum number of in-flight instructions to refresh per refresh cycle, or `0` for no
+	 * limit. Defaults to `0`.
+	 *
+	 * This is an instruction fetch budget: each refresh cycle also makes one request for the
+	 * most recent datum and one request for the pending instructions of all controls on all
+	 * nodes, which do not count against it. A refresh cycle therefore makes at most two
+	 * requests plus this budget, however many nodes are managed.
+	 *
+	 * @throws RangeError if set to a value that is not a non-negative integer
+	 */
+	get requestBudget(): number {
+		return this.#loader.requestBudget;
+	}
+
+	set requestBudget(budget: number) {
+		this.#loader.requestBudget = requireNonNegativeInteger(
+			"requestBudget",
+			budget
+		);
+	}
+
+	/**
+	 * The maximum time to wait for each HTTP request to complete, in milliseconds, or `0` for
+	 * no limit. Requests that take longer are aborted and reported to the affected togglers as
+	 * a {@link ControlTimeoutError}. Defaults to `0`.
+	 *
+	 * @throws RangeError if set to a value that is not a non-negative number
+	 */
+	get requestTimeoutMs(): number {
+		return this.#loader.requestTimeoutMs;
+	}
+
+	set requestTimeoutMs(ms: number) {
+		this.#loader.requestTimeoutMs = requireNonNegative(
+			"requestTimeoutMs",
+			ms
+		);
+	}
+
+	/**
+	 * Get the IDs of all nodes with controls managed by this manager.
+	 */
+	get nodeIds(): number[] {
+		return Array.from(this.#togglers.keys());
+	}
+
+	/**
+	 * Get the togglers managed by this manager.
+	 *
+	 * @param nodeId an optional node ID to get the togglers for; if not provided then
+	 *               the togglers for all nodes will be returned
+	 * @returns the togglers
+	 */
+	togglers(nodeId?: number): ControlToggler[] {
+		const result: ControlToggler[] = [];
+		for (const [id, togglers] of this.#togglers) {
+			if (nodeId === undefined || nodeId === id) {
+				result.push(...togglers.values());
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Get the toggler for a control managed by this manager.
+	 *
+	 * @param nodeId the ID of the node with the control
+	 * @param controlId the ID of the control to get the toggler for
+	 * @returns the toggler, or `undefined` if the control is not managed by this manager
+	 */
+	toggler(nodeId: number, controlId: string): ControlToggler | undefined {
+		return this.#togglers.get(nodeId)?.get(controlId);
+	}
+
+	/**
+	 * Add a control to be managed by this manager.
+	 *
+	 * @param nodeId the ID of the node with the control
+	 * @param controlId the ID of the control to manage
+	 * @returns the toggler for the control; if the control is already managed by this
+	 *          manager the existing toggler will be returned
+	 */
+	add(nodeId: number, controlId: string): ControlToggler {
+		let nodeTogglers = this.#togglers.get(nodeId);
+		if (!nodeTogglers) {
+			nodeTogglers = new Map();
+			this.#togglers.set(nodeId, nodeTogglers);
+		}
+		let toggler = nodeTogglers.get(controlId);
+		if (!toggler) {
+			toggler = new ControlToggler(
+				this.#api,
+				this.#auth,
+				nodeId,
+				controlId,
+				this.#queryApi,
+				this.#loader,
+				this.#transport
+			);
+			toggler.addEventListener(
+				"pendingchange",
+				this.#handlePendingChange
+			);
+			nodeTogglers.set(controlId, toggler);
+		}
+		return toggler;
+	}
+
+	/**
+	 * Remove a control from this manager.
+	 *
+	 * @param nodeId the ID of the node with the control
+	 * @param controlId the ID of the control to stop managing
+	 * @returns `true` if the control was managed by this manager
+	 */
+	remove(nodeId: number, controlId: string): boolean {
+		const nodeTogglers = this.#togglers.get(nodeId);
+		const toggler = nodeTogglers?.get(controlId);
+		if (!nodeTogglers || !toggler) {
+			return false;
+		}
+		toggler.removeEventListener("pendingchange", this.#handlePendingChange);
+		nodeTogglers.delete(controlId);
+		if (!nodeTogglers.size) {
+			this.#togglers.delete(nodeId);
+		}
+		return true;
+	}
+
+	/**
+	 * Set the values of several controls on a node together, using a single
+	 * `SetControlParameter` instruction with one parameter per control.
+	 *
+	 * The node applies all the changes of the instruction together, which is useful for
+	 * interlocked hardware. The instruction is tracked by the toggler of each included control,
+	 * so their state is updated as the instruction progresses.
+	 *
+	 * @param nodeId the ID of the node with the controls to change
+	 * @param values the desired control values, by control ID; all the controls must be
+	 *               managed by this manager
+	 * @param options the request options
+	 * @returns a promise that resolves to the enqueued instruction; the promise is rejected if
+	 *          no values are provided, a control is not managed by this manager, or a value is
+	 *          not valid for the value codec of its toggler
+	 */
+	values(
+		nodeId: number,
+		values: Record<string, ControlValueType>,
+		options?: ControlTogglerRequestOptions
+	): Promise<InstructionInfo> {
+		const entries = Object.entries(values || {});
+		if (!entries.length) {
+			return Promise.reject(
+				new TypeError("At least one control value must be provided.")
+			);
+		}
+		if (!this.#auth.signingKeyValid) {
+			return Promise.reject(
+				new Error("Valid credentials not configured")
+			);
+		}
+		const togglers: ControlToggler[] = [];
+		const parameters: InstructionParameter[] = [];
+		for (const [controlId, value] of entries) {
+			const toggler = this.toggler(nodeId, controlId);
+			if (!toggler) {
+				return Promise.reject(
+					new Error(
+						`Control ${controlId} on node ${nodeId} is not managed.`
+					)
+				);
+			}
+			const codec = toggler.valueCodec;
+			const desired = codec.decode(value);
+			if (desired === undefined) {
+				return Promise.reject(
+					new TypeError(
+						`Invalid ${codec.type} value for control ${controlId}: ${value}`
+					)
+				);
+			}
+			togglers.push(toggler);
+			parameters.push({ name: controlId, value: codec.encode(desired) });
+		}
+		log.debug(
+			"Request node %d to change controls %s",
+			nodeId,
+			parameters.map((p) => `${p.name} to ${p.value}`).join(", ")
+		);
+		const tracker = new InstructionTracker(this.#api, this.#auth, {
+			autoUpdate: false,
+			requestTimeoutMs: this.requestTimeoutMs,
+			transport: this.#transport,
+		});
+		return tracker
+			.queue(
+				nodeId,
+				CommonInstructionTopicName.SetControlParameter,
+				parameters,
+				options
+			)
+			.then(() => {
+				const instruction = tracker.info!;
+				for (const toggler of togglers) {
+					toggler.trackInstruction(instruction);
+				}
+				return instruction;
+			});
+	}
+
+	/**
+	 * Test if a state change is pending confirmation for any control.
+	 *
+	 * @returns `true` if a state change is pending (not complete) on any control
+	 */
+	get hasPendingStateChange(): boolean {
+		return this.togglers().some((t) => t.hasPendingStateChange);
+	}
+
+	/**
+	 * Handle a pending change event from a managed toggler.
+	 *
+	 * When a state change becomes pending outside of an update, e.g. from a call to
+	 * {@link ControlToggler#value}, the refresh timer is restarted so the pending refresh
+	 * rate is used.
+	 *
+	 * @param event the event
+	 * @private
+	 */
+	#handlePendingChange = (event: ControlPendingChangeEvent) => {
+		if (event.pending && this.#started && !this.#updating) {
+			this.#schedule(this.pendingRefreshMs);
+		}
+	};
+
+	/**
+	 * Calculate the refresh rate to use.
+	 * @returns the refresh rate to use, in milliseconds
+	 * @private
+	 */
+	#currentRefreshMs(): number {
+		return this.hasPendingStateChange
+			? this.pendingRefreshMs
+			: this.refreshMs;
+	}
+
+	/**
+	 * Refresh the state of all controls from SolarNetwork.
+	 *
+	 * Once the {@link ControlTogglerManager#start} method is called, this method is invoked
+	 * periodically automatically. Only call this directly if you need to manually update the
+	 * state of the controls.
+	 *
+	 * @param options optional request options; the shared requests are cancelled if the
+	 *        signal is aborted
+	 * @returns promise that resolves after getting the updated state of all controls, or is
+	 *          rejected with a {@link ControlAbortError} if the signal is aborted
+	 */
+	update(options?: ControlTogglerRequestOptions): Promise<void> {
+		const signal = options?.signal;
+		if (signal?.aborted) {
+			return Promise.reject(new ControlAbortError("Request aborted"));
+		}
+		this.#updating = true;
+		return Promise.all(
+			this.togglers().map((toggler) =>
+				toggler.update({ signal: signal }).catch((error) => {
+					if (signal?.aborted && error instanceof ControlAbortError) {
+						return;
+					}
+					log.error(
+						"Error updating node %d control toggler %s: %s",
+						toggler.nodeId,
+						toggler.controlId,
+						error
+					);
+				})
+			)
+		).then(() => {
+			this.#updating = false;
+
+			// if started, keep going as if interval set
+			if (this.#started) {
+				this.#schedule(this.#currentRefreshMs());
+			}
+
+			if (signal?.aborted) {
+				throw new ControlAbortError("Request aborted");
+			}
+		});
+	}
+
+	/**
+	 * Schedule the next automatic update, replacing any scheduled update.
+	 * @param ms the offset in milliseconds to schedule the update at
+	 * @private
+	 */
+	#schedule(ms: number) {
+		clearTimeout(this.#timer);
+		this.#timer = setTimeout(() => {
+			this.update();
+		}, ms);
+	}
+
+	/**
+	 * Start automatically updating the status of all managed controls.
+	 *
+	 * @param when an optional offset in milliseconds to start at (defaults to 20)
+	 * @returns this object
+	 */
+	start(when?: number): this {
+		if (!this.#started) {
+			this.#started = true;
+			this.#schedule(when || 20);
+		}
+		return this;
+	}
+
+	/**
+	 * Stop automatically updating the status of all managed controls.
+	 *
+	 * @returns this object
+	 */
+	stop(): this {
+		this.#started = false;
+		clearTimeout(this.#timer);
+		this.#timer = null;
+		return this;
+	}
+}
+
+export default ControlTogglerManager;
@@ -0,0 +1,266 @@
+import type { ControlValueType } from "./controlToggler.js";
+
+/**
+ * API for normalizing, encoding, and comparing control values of a specific type.
+ *
+ * Control values are read from both datum properties and instruction parameters, which do not
+ * always use the same JSON type for the same value (for example `1`, `"1"`, and `true`). A codec
+ * normalizes these into a single representation so they can be compared reliably.
+ */
+export interface ControlValueCodec {
+	/** A descriptive name of the value type, for error messages. */
+	readonly type: string;
+
+	/**
+	 * Normalize a value.
+	 *
+	 * @param value the value to normalize, as read from a datum or instruction parameter
+	 * @returns the normalized value, or `undefined` if `value` is not valid for this type
+	 */
+	decode(value: unknown): ControlValueType | undefined;
+
+	/**
+	 * Encode a normalized value as an instruction parameter value.
+	 *
+	 * @param value the normalized value to encode
+	 * @returns the encoded value
+	 */
+	encode(value: ControlValueType): string;
+
+	/**
+	 * Compare two normalized values for equality.
+	 *
+	 * @param l the left value
+	 * @param r the right value
+	 * @returns `true` if the values are considered equal
+	 */
+	equals(l?: ControlValueType, r?: ControlValueType): boolean;
+}
+
+/**
+ * Compare two values with strict equality, treating missing values as equal.
+ *
+ * @param l the left value
+ * @param r the right value
+ * @returns `true` if the values are equal
+ * @private
+ */
+function strictEquals(l?: ControlValueType, r?: ControlValueType): boolean {
+	return l === r;
+}
+
+/**
+ * Parse a number from a value.
+ *
+ * @param value the value to parse
+ * @returns the number, or `undefined` if `value` does not represent a finite number
+ * @private
+ */
+function parseNumber(value: unknown): number | undefined {
+	let n: number | undefined;
+	if (typeof value === "number") {
+		n = value;
+	} else if (typeof value === "boolean") {
+		n = value ? 1 : 0;
+	} else if (typeof value === "string" && value.trim()) {
+		n = Number(value);
+	}
+	return n !== undefined && Number.isFinite(n) ? n : undefined;
+}
+
+/**
+ * Codec that preserves values as-is and compares them with loose equality.
+ *
+ * This is the default codec, for compatibility with togglers that do not declare a
+ * value type.
+ */
+export class LooseValueCodec implements ControlValueCodec {
+	readonly type = "any";
+
+	decode(value: unknown): ControlValueType | undefined {
+		return value === null
+			? undefined
+			: (value as ControlValueType | undefined);
+	}
+
+	encode(value: ControlValueType): string {
+		return String(value);
+	}
+
+	equals(l?: ControlValueType, r?: ControlValueType): boolean {
+		/* !!!!!
+		   Note the loose `==` equality check for type flexibility
+		   !!!!! */
+		return l == r;
+	}
+}
+
+/**
+ * Codec for boolean values.
+ *
+ * The numbers `0` and `1` and the (case-insensitive) strings `true`, `false`, `yes`, `no`, `on`,
+ * `off`, `1`, and `0` are accepted.
+ */
+export class BooleanValueCodec implements ControlValueCodec {
+	readonly type = "boolean";
+
+	decode(value: unknown): boolean | undefined {
+		if (typeof value === "boolean") {
+			return value;
+		} else if (typeof value === "number") {
+			return value === 1 ? true : value === 0 ? false : undefined;
+		} else if (typeof value === "string") {
+			switch (value.trim().toLowerCase()) {
+				case "true":
+				case "yes":
+				case "on":
+				case "1":
+					return true;
+
+				case "false":
+				case "no":
+				case "off":
+				case "0":
+					return false;
+			}
+		}
+		return undefined;
+	}
+
+	encode(value: ControlValueType): string {
+		return String(value);
+	}
+
+	equals(l?: ControlValueType, r?: ControlValueType): boolean {
+		return strictEquals(l, r);
+	}
+}
+
+/**
+ * Codec for integer values.
+ */
+export class IntegerValueCodec implements ControlValueCodec {
+	readonly type = "integer";
+
+	decode(value: unknown): number | undefined {
+		const n = parseNumber(value);
+		return n !== undefined && Number.isSafeInteger(n) ? n : undefined;
+	}
+
+	encode(value: ControlValueType): string {
+		return String(value);
+	}
+
+	equals(l?: ControlValueType, r?: ControlValueType): boolean {
+		return strictEquals(l, r);
+	}
+}
+
+/**
+ * Codec for floating point values, compared within a tolerance.
+ */
+export class FloatValueCodec implements ControlValueCodec {
+	readonly type = "float";
+
+	/** The maximum difference between two values that are considered equal. */
+	readonly tolerance: number;
+
+	/**
+	 * Constructor.
+	 * @param tolerance the maximum difference between two values that are considered equal;
+	 *                  defaults to `0`
+	 * @throws RangeError if `tolerance` is negative
+	 */
+	constructor(tolerance?: number) {
+		if (tolerance !== undefined && !(tolerance >= 0)) {
+			throw new RangeError(
+				`The tolerance value must be a number greater than or equal to 0, but was ${tolerance}.`
+			);
+		}
+		this.tolerance = tolerance || 0;
+	}
+
+	decode(value: unknown): number | undefined {
+		return parseNumber(value);
+	}
+
+	encode(value: ControlValueType): string {
+		return String(value);
+	}
+
+	equals(l?: ControlValueType, r?: ControlValueType): boolean {
+		if (typeof l !== "number" || typeof r !== "number") {
+			return strictEquals(l, r);
+		}
+		return Math.abs(l - r) <= this.tolerance;
+	}
+}
+
+/**
+ * Codec for string values.
+ */
+export class StringValueCodec implements ControlValueCodec {
+	readonly type = "string";
+
+	decode(value: unknown): string | undefined {
+		return typeof value === "string" ||
+			typeof value === "number" ||
+			typeof value === "boolean"
+			? String(value)
+			: undefined;
+	}
+
+	encode(value: ControlValueType): string {
+		return String(value);
+	}
+
+	equals(l?: ControlValueType, r?: ControlValueType): boolean {
+		return strictEquals(l, r);
+	}
+}
+
+/**
+ * Codec for a fixed set of allowed values.
+ *
+ * Values are matched to the allowed values by their string form, and normalized to the
+ * matching allowed value.
+ */
+export class EnumValueCodec implements ControlValueCodec {
+	readonly type: string;
+
+	/** The allowed values. */
+	readonly values: readonly (string | number)[];
+
+	/**
+	 * Constructor.
+	 * @param values the allowed values
+	 * @throws RangeError if `values` is empty
+	 */
+	constructor(values: readonly (string | number)[]) {
+		if (!values?.length) {
+			throw new RangeError("At least one enum value must be provided.");
+		}
+		this.values = values;
+		this.type = `enum (${values.join(", ")})`;
+	}
+
+	decode(value: unknown): string | number | undefined {
+		if (
+			typeof value !== "string" &&
+			typeof value !== "number" &&
+			typeof value !== "boolean"
+		) {
+			return undefined;
+		}
+		const s = String(value).trim();
+		return this.values.find((v) => String(v) === s);
+	}
+
+	encode(value: ControlValueType): string {
+		return String(value);
+	}
+
+	equals(l?: ControlValueType, r?: ControlValueType): boolean {
+		return strictEquals(l, r);
+	}
+}
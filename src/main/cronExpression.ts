@@ -0,0 +1,391 @@
+/**
+ * The maximum number of days to search for the next matching time, which is enough to find
+ * rare combinations such as February 29th on a Monday.
+ * @private
+ */
+const MAX_SEARCH_DAYS = 366 * 28;
+
+/**
+ * The number of milliseconds in one day.
+ * @private
+ */
+const DAY_MS = 86400000;
+
+/**
+ * Month names, in month order.
+ * @private
+ */
+const MONTH_NAMES = [
+	"JAN",
+	"FEB",
+	"MAR",
+	"APR",
+	"MAY",
+	"JUN",
+	"JUL",
+	"AUG",
+	"SEP",
+	"OCT",
+	"NOV",
+	"DEC",
+];
+
+/**
+ * Day of week names, in day order starting on Sunday.
+ * @private
+ */
+const DAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+/**
+ * A cron expression field definition.
+ * @private
+ */
+interface CronField {
+	readonly name: string;
+	readonly min: number;
+	readonly max: number;
+	readonly names?: string[];
+}
+
+/**
+ * The cron expression fields, in expression order.
+ * @private
+ */
+const CRON_FIELDS: readonly CronField[] = [
+	{ name: "minute", min: 0, max: 59 },
+	{ name: "hour", min: 0, max: 23 },
+	{ name: "day of month", min: 1, max: 31 },
+	{ name: "month", min: 1, max: 12, names: MONTH_NAMES },
+	{ name: "day of week", min: 0, max: 7, names: DAY_NAMES },
+];
+
+/**
+ * The date and time fields of an instant in a time zone.
+ * @private
+ */
+interface WallTime {
+	readonly year: number;
+	readonly month: number;
+	readonly day: number;
+	readonly hour: number;
+	readonly minute: number;
+	readonly second: number;
+}
+
+/**
+ * Parse a single cron field value.
+ *
+ * @param expression the full expression, for error messages
+ * @param field the field being parsed
+ * @param value the value to parse
+ * @returns the parsed value
+ * @throws TypeError if the value is not a number or name
+ * @throws RangeError if the value is out of range for the field
+ * @private
+ */
+function parseFieldValue(
+	expression: string,
+	field: CronField,
+	value: string
+): number {
+	let n: number;
+	const nameIndex = field.names
+		? field.names.indexOf(value.toUpperCase())
+		: -1;
+	if (nameIndex >= 0) {
+		n = nameIndex + (field.min === 1 ? 1 : 0);
+	} else if (/^\d+$/.test(value)) {
+		n = Number(value);
+	} else {
+		throw new TypeError(
+			`Invalid cron expression "${expression}": ${field.name} value "${value}" is not valid.`
+		);
+	}
+	if (n < field.min || n > field.max) {
+		throw new RangeError(
+			`Invalid cron expression "${expression}": ${field.name} value ${n} must be between ${field.min} and ${field.max}.`
+		);
+	}
+	return n;
+}
+
+/**
+ * Parse a cron field into the set of values it matches.
+ *
+ * Each field is a comma-delimited list of `*`, a value, or a `from-to` range, each optionally
+ * followed by a `/step`.
+ *
+ * @param expression the full expression, for error messages
+ * @param field the field being parsed
+ * @param text the field text
+ * @returns the sorted matching values
+ * @private
+ */
+function parseField(
+	expression: string,
+	field: CronField,
+	text: string
+): number[] {
+	const result = new Set<number>();
+	for (const part of text.split(",")) {
+		const [range, stepText, extra] = part.split("/");
+		if (extra !== undefined || !range) {
+			throw new TypeError(
+				`Invalid cron expression "${expression}": ${field.name} "${part}" is not valid.`
+			);
+		}
+		let step = 1;
+		if (stepText !== undefined) {
+			if (!/^\d+$/.test(stepText) || Number(stepText) < 1) {
+				throw new TypeError(
+					`Invalid cron expression "${expression}": ${field.name} step "${stepText}" is not valid.`
+				);
+			}
+			step = Number(stepText);
+		}
+		let from: number;
+		let to: number;
+		if (range === "*") {
+			from = field.min;
+			to = field.max;
+		} else {
+			const [fromText, toText, more] = range.split("-");
+			if (more !== undefined) {
+				throw new TypeError(
+					`Invalid cron expression "${expression}": ${field.name} "${part}" is not valid.`
+				);
+			}
+			from = parseFieldValue(expression, field, fromText);
+			to =
+				toText !== undefined
+					? parseFieldValue(expression, field, toText)
+					: stepText !== undefined
+						? field.max
+						: from;
+			if (to < from) {
+				throw new RangeError(
+					`Invalid cron expression "${expression}": ${field.name} range "${range}" is reversed.`
+				);
+			}
+		}
+		for (let n = from; n <= to; n += step) {
+			result.add(n);
+		}
+	}
+	return Array.from(result).sort((l, r) => l - r);
+}
+
+/**
+ * A cron-like schedule expression, evaluated in a specific time zone.
+ *
+ * Expressions have five space-delimited fields: minute (0-59), hour (0-23), day of month
+ * (1-31), month (1-12 or `JAN`-`DEC`), and day of week (0-7 or `SUN`-`SAT`, where both `0`
+ * and `7` are Sunday). Each field can be `*`, a value, a `from-to` range, or a comma-delimited
+ * list of these, each optionally followed by a `/step`. As with standard cron, if both the day
+ * of month and day of week fields are restricted, a day matches if either field matches.
+ *
+ * Times are evaluated in the configured time zone, including daylight saving time changes: a
+ * time that does not exist because clocks move forward is skipped, and a time that occurs
+ * twice because clocks move back matches only once.
+ *
+ * @example
+ * // 6pm every weekday, in New Zealand
+ * const cron = new CronExpression('0 18 * * MON-FRI', 'Pacific/Auckland');
+ * const next = cron.next(new Date());
+ */
+class CronExpression {
+	/** The expression. */
+	readonly expression: string;
+
+	/** The time zone the expression is evaluated in, or `undefined` for the local time zone. */
+	readonly timeZone?: string;
+
+	readonly #format: Intl.DateTimeFormat;
+	readonly #minutes: number[];
+	readonly #hours: number[];
+	readonly #days: Set<number>;
+	readonly #months: Set<number>;
+	readonly #weekdays: Set<number>;
+	readonly #daysRestricted: boolean;
+	readonly #weekdaysRestricted: boolean;
+
+	/**
+	 * Constructor.
+	 * @param expression the cron expression
+	 * @param timeZone the IANA time zone to evaluate the expression in, for example
+	 *                 `America/New_York`; defaults to the local time zone
+	 * @throws TypeError if `expression` is not a valid cron expression
+	 * @throws RangeError if a field value in `expression` is out of range, or `timeZone` is
+	 *         not a supported time zone
+	 */
+	constructor(expression: string, timeZone?: string) {
+		const fields =
+			typeof expression === "string"
+				? expression.trim().split(/\s+/)
+				: [];
+		if (fields.length !== CRON_FIELDS.length) {
+			throw new TypeError(
+				`Invalid cron expression "${expression}": ${CRON_FIELDS.length} fields are required.`
+			);
+		}
+		this.expression = fields.join(" ");
+		this.timeZone = timeZone;
+		this.#format = new Intl.DateTimeFormat("en-US", {
+			timeZone: timeZone,
+			hourCycle: "h23",
+			year: "numeric",
+			month: "numeric",
+			day: "numeric",
+			hour: "numeric",
+			minute: "numeric",
+			second: "numeric",
+		});
+		const values = fields.map((text, i) =>
+			parseField(this.expression, CRON_FIELDS[i], text)
+		);
+		this.#minutes = values[0];
+		this.#hours = values[1];
+		this.#days = new Set(values[2]);
+		this.#months = new Set(values[3]);
+		this.#weekdays = new Set(values[4].map((d) => d % 7));
+		this.#daysRestricted = !fields[2].startsWith("*");
+		this.#weekdaysRestricted = !fields[4].startsWith("*");
+	}
+
+	/**
+	 * Get the date and time fields of an instant in the configured time zone.
+	 *
+	 * @param ts the instant, as milliseconds since the epoch
+	 * @returns the fields
+	 * @private
+	 */
+	#wallTime(ts: number): WallTime {
+		const parts: Record<string, number> = {};
+		for (const part of this.#format.formatToParts(new Date(ts))) {
+			if (part.type !== "literal") {
+				parts[part.type] = Number(part.value);
+			}
+		}
+		return {
+			year: parts.year,
+			month: parts.month,
+			day: parts.day,
+			hour: parts.hour % 24,
+			minute: parts.minute,
+			second: parts.second,
+		};
+	}
+
+	/**
+	 * Get the offset of the configured time zone from UTC at an instant.
+	 *
+	 * @param ts the instant, as milliseconds since the epoch
+	 * @returns the offset, in milliseconds
+	 * @private
+	 */
+	#offset(ts: number): number {
+		const t = this.#wallTime(ts);
+		return (
+			Date.UTC(t.year, t.month - 1, t.day, t.hour, t.minute, t.second) -
+			Math.floor(ts / 1000) * 1000
+		);
+	}
+
+	/**
+	 * Get the instant of a date and time in the configured time zone.
+	 *
+	 * @returns the instant, as milliseconds since the epoch, or `undefined` if the date and
+	 *          time does not exist in the time zone
+	 * @private
+	 */
+	#instant(
+		year: number,
+		month: number,
+		day: number,
+		hour: number,
+		minute: number
+	): number | undefined {
+		const local = Date.UTC(year, month - 1, day, hour, minute);
+		let ts = local - this.#offset(local);
+		const offset = this.#offset(ts);
+		if (local - ts !== offset) {
+			ts = local - offset;
+		}
+		const t = this.#wallTime(ts);
+		return t.day === day && t.hour === hour && t.minute === minute
+			? ts
+			: undefined;
+	}
+
+	/**
+	 * Test if a day matches the day of month and day of week fields.
+	 *
+	 * @param day the day of the month
+	 * @param weekday the day of the week, with Sunday as `0`
+	 * @returns `true` if the day matches
+	 * @private
+	 */
+	#dayMatches(day: number, weekday: number): boolean {
+		const dayMatch = this.#days.has(day);
+		const weekdayMatch = this.#weekdays.has(weekday);
+		if (this.#daysRestricted && this.#weekdaysRestricted) {
+			return dayMatch || weekdayMatch;
+		}
+		return dayMatch && weekdayMatch;
+	}
+
+	/**
+	 * Get the next time matching the expression.
+	 *
+	 * @param after the date to find the next matching time after
+	 * @returns the next matching time, or `undefined` if the expression never matches (for
+	 *          example February 30th)
+	 */
+	next(after: Date): Date | undefined {
+		const afterTs = after.getTime();
+		const start = this.#wallTime(afterTs);
+		let date = Date.UTC(start.year, start.month - 1, start.day);
+		for (let i = 0; i < MAX_SEARCH_DAYS; i += 1, date += DAY_MS) {
+			const d = new Date(date);
+			const year = d.getUTCFullYear();
+			const month = d.getUTCMonth() + 1;
+			const day = d.getUTCDate();
+			if (
+				!this.#months.has(month) ||
+				!this.#dayMatches(day, d.getUTCDay())
+			) {
+				continue;
+			}
+			for (const hour of this.#hours) {
+				if (i === 0 && hour < start.hour) {
+					continue;
+				}
+				for (const minute of this.#minutes) {
+					if (
+						i === 0 &&
+						hour === start.hour &&
+						minute < start.minute
+					) {
+						continue;
+					}
+					const ts = this.#instant(year, month, day, hour, minute);
+					if (ts !== undefined && ts > afterTs) {
+						return new Date(ts);
+					}
+				}
+			}
+		}
+		return undefined;
+	}
+
+	/**
+	 * Get the expression.
+	 *
+	 * @returns the expression
+	 */
+	toString(): string {
+		return this.expression;
+	}
+}
+
+export default CronExpression;
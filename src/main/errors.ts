@@ -0,0 +1,86 @@
+import { Instruction } from "solarnetwork-api-core/lib/domain";
+import { instructionResultMessage } from "./instructionStates.js";
+
+/**
+ * Error thrown when an operation does not complete within a configured amount of time.
+ *
+ * The `name` of this error is `TimeoutError`, matching the name used by `AbortSignal.timeout()`.
+ */
+export class ControlTimeoutError extends Error {
+	/**
+	 * Constructor.
+	 * @param message the error message
+	 */
+	constructor(message: string) {
+		super(message);
+		this.name = "TimeoutError";
+	}
+}
+
+/**
+ * Error thrown when an operation is aborted via an `AbortSignal`.
+ *
+ * The `name` of this error is `AbortError`, matching the name used by `AbortController.abort()`.
+ */
+export class ControlAbortError extends Error {
+	/**
+	 * Constructor.
+	 * @param message the error message
+	 */
+	constructor(message: string) {
+		super(message);
+		this.name = "AbortError";
+	}
+}
+
+/**
+ * Error thrown when a request to change a control value is replaced by a newer request before
+ * it was sent.
+ *
+ * This is a {@link ControlAbortError}, so code that ignores aborted requests ignores superseded
+ * requests as well.
+ */
+export class ControlSupersededError extends ControlAbortError {
+	/** The value of the superseded request. */
+	readonly value: unknown;
+
+	/**
+	 * Constructor.
+	 * @param message the error message
+	 * @param value the value of the superseded request
+	 */
+	constructor(message: string, value: unknown) {
+		super(message);
+		this.name = "SupersededError";
+		this.value = value;
+	}
+}
+
+/**
+ * Error thrown when an instruction is declined.
+ *
+ * The `reason` is taken from the `message` and `code` result parameters returned by the node,
+ * when available.
+ */
+export class InstructionDeclinedError extends Error {
+	/** The declined instruction. */
+	readonly instruction: Instruction;
+
+	/** The reason the instruction was declined, if provided. */
+	readonly reason?: string;
+
+	/**
+	 * Constructor.
+	 * @param instruction the declined instruction
+	 */
+	constructor(instruction: Instruction) {
+		const reason = instructionResultMessage(instruction);
+		super(
+			`Instruction ${instruction.id} declined` +
+				(reason ? `: ${reason}` : "")
+		);
+		this.name = "InstructionDeclinedError";
+		this.instruction = instruction;
+		this.reason = reason;
+	}
+}
@@ -57,6 +57,8 @@ interface RequestInit {
 	headers?: HeadersInit;
 	/** A string to set request's method. */
 	method?: string;
+	/** An AbortSignal to set request's signal. */
+	signal?: AbortSignal | null;
 }
 
 type RequestInfo = Request | string;
@@ -84,4 +86,20 @@ declare function fetch(
 	init?: RequestInit
 ): Promise<Response>;
 
+/**
+ * The request options passed to a {@link FetchFn}.
+ */
+interface FetchFnInit extends Omit<RequestInit, "body" | "headers"> {
+	/** The request body. */
+	body?: string | null;
+	/** The request headers. */
+	headers?: Record<string, string>;
+}
+
+/**
+ * A function compatible with the Fetch API `fetch()` function, such as the global `fetch()`.
+ */
+type FetchFn = (input: string, init?: FetchFnInit) => Promise<Response>;
+
 export default fetch;
+export type { FetchFn };
@@ -1,12 +1,195 @@
+import {
+	default as ControlCoordinator,
+	ControlCoordinatorChannel,
+	ControlCoordinatorDataEvent,
+	ControlCoordinatorEventListener,
+	ControlCoordinatorEventMap,
+	ControlCoordinatorEventType,
+	ControlCoordinatorLeaderEvent,
+	ControlCoordinatorOptions,
+	ControlCoordinatorRequestHandler,
+} from "./controlCoordinator.js";
+import {
+	ControlScheduleEntry,
+	ControlScheduleEntryOptions,
+	ControlScheduleMissedRunPolicy,
+	ControlScheduleOutcome,
+	default as ControlScheduler,
+	ControlSchedulerEventListener,
+	ControlSchedulerEventMap,
+	ControlSchedulerEventType,
+	ControlSchedulerOptions,
+	ControlScheduleRunEvent,
+} from "./controlScheduler.js";
+import {
+	ControlPollingChangeEvent,
+	ControlPollingPolicy,
+	ControlPollingPolicyEventListener,
+	ControlPollingPolicyEventMap,
+	ControlPollingPolicyEventType,
+	default as EnvironmentPollingPolicy,
+	EnvironmentPollingPolicyOptions,
+} from "./controlPollingPolicy.js";
+import {
+	ControlFluxClient,
+	ControlFluxDecoder,
+	ControlRealtimeOptions,
+	decodeFluxJson,
+	fluxDatumTopic,
+} from "./controlRealtime.js";
+import {
+	ControlStateStorage,
+	ControlTogglerState,
+	MemoryStateStorage,
+} from "./controlStateStorage.js";
+import { ControlStatus, ControlStatusTransition } from "./controlStatus.js";
 import {
 	ControlDatum,
 	default as ControlToggler,
 	ControlCallbackFn,
+	ControlStateLoader,
+	ControlTogglerCancelResult,
+	ControlTogglerChangesOptions,
+	ControlTogglerConfirmOptions,
+	ControlTogglerCoordinationOptions,
+	ControlTogglerOptions,
+	ControlTogglerRequestOptions,
+	ControlTogglerSnapshot,
+	ControlValueExtractor,
 	ControlValueType,
 } from "./controlToggler.js";
+import {
+	ControlChangeEvent,
+	ControlCircuitChangeEvent,
+	ControlConflictEvent,
+	ControlErrorEvent,
+	ControlInstructionExpiredEvent,
+	ControlInstructionStateChangeEvent,
+	ControlLeaderChangeEvent,
+	ControlPendingChangeEvent,
+	ControlRealtimeChangeEvent,
+	ControlRollbackEvent,
+	ControlRollbackReason,
+	ControlStatusChangeEvent,
+	ControlTogglerEventListener,
+	ControlTogglerEventListenerOptions,
+	ControlTogglerEventMap,
+	ControlTogglerEventType,
+	ControlValueChangeEvent,
+} from "./controlTogglerEvents.js";
+import {
+	BooleanValueCodec,
+	ControlValueCodec,
+	EnumValueCodec,
+	FloatValueCodec,
+	IntegerValueCodec,
+	LooseValueCodec,
+	StringValueCodec,
+} from "./controlValueCodecs.js";
+import CronExpression from "./cronExpression.js";
+import {
+	ControlAbortError,
+	ControlSupersededError,
+	ControlTimeoutError,
+	InstructionDeclinedError,
+} from "./errors.js";
+import {
+	default as InstructionTracker,
+	InstructionTrackerEventListener,
+	InstructionTrackerEventMap,
+	InstructionTrackerEventType,
+	InstructionTrackerOptions,
+} from "./instructionTracker.js";
+import ControlTogglerGroup from "./controlTogglerGroup.js";
+import ControlTogglerManager from "./controlTogglerManager.js";
+import { type FetchFn } from "./fetch.js";
+import { type ControlTransportOptions } from "./net.js";
 export {
+	BooleanValueCodec,
+	ControlAbortError,
+	ControlChangeEvent,
+	ControlCircuitChangeEvent,
+	ControlConflictEvent,
+	ControlCoordinator,
+	ControlCoordinatorDataEvent,
+	ControlCoordinatorLeaderEvent,
 	ControlDatum,
+	ControlErrorEvent,
+	ControlInstructionExpiredEvent,
+	ControlInstructionStateChangeEvent,
+	ControlLeaderChangeEvent,
+	ControlPendingChangeEvent,
+	ControlPollingChangeEvent,
+	ControlRealtimeChangeEvent,
+	ControlRollbackEvent,
+	ControlScheduler,
+	ControlScheduleRunEvent,
+	ControlStatus,
+	ControlStatusChangeEvent,
+	ControlSupersededError,
+	ControlTimeoutError,
 	ControlToggler,
+	ControlTogglerGroup,
+	ControlTogglerManager,
+	ControlValueChangeEvent,
+	CronExpression,
+	decodeFluxJson,
+	EnumValueCodec,
+	EnvironmentPollingPolicy,
+	FloatValueCodec,
+	fluxDatumTopic,
+	InstructionDeclinedError,
+	InstructionTracker,
+	IntegerValueCodec,
+	LooseValueCodec,
+	MemoryStateStorage,
+	StringValueCodec,
 	type ControlCallbackFn,
+	type ControlCoordinatorChannel,
+	type ControlCoordinatorEventListener,
+	type ControlCoordinatorEventMap,
+	type ControlCoordinatorEventType,
+	type ControlCoordinatorOptions,
+	type ControlCoordinatorRequestHandler,
+	type ControlFluxClient,
+	type ControlFluxDecoder,
+	type ControlPollingPolicy,
+	type ControlPollingPolicyEventListener,
+	type ControlPollingPolicyEventMap,
+	type ControlPollingPolicyEventType,
+	type ControlRealtimeOptions,
+	type ControlRollbackReason,
+	type ControlScheduleEntry,
+	type ControlScheduleEntryOptions,
+	type ControlScheduleMissedRunPolicy,
+	type ControlScheduleOutcome,
+	type ControlSchedulerEventListener,
+	type ControlSchedulerEventMap,
+	type ControlSchedulerEventType,
+	type ControlSchedulerOptions,
+	type ControlStateLoader,
+	type ControlStateStorage,
+	type ControlStatusTransition,
+	type ControlTogglerCancelResult,
+	type ControlTogglerChangesOptions,
+	type ControlTogglerConfirmOptions,
+	type ControlTogglerCoordinationOptions,
+	type ControlTogglerEventListener,
+	type ControlTogglerEventListenerOptions,
+	type ControlTogglerEventMap,
+	type ControlTogglerEventType,
+	type ControlTogglerOptions,
+	type ControlTogglerRequestOptions,
+	type ControlTogglerSnapshot,
+	type ControlTogglerState,
+	type ControlTransportOptions,
+	type ControlValueCodec,
+	type ControlValueExtractor,
 	type ControlValueType,
+	type EnvironmentPollingPolicyOptions,
+	type FetchFn,
+	type InstructionTrackerEventListener,
+	type InstructionTrackerEventMap,
+	type InstructionTrackerEventType,
+	type InstructionTrackerOptions,
 };
@@ -0,0 +1,63 @@
+import {
+	InstructionInfo,
+	InstructionState,
+	InstructionStates,
+} from "solarnetwork-api-core/lib/domain";
+
+/**
+ * Instruction states that indicate an instruction is in-flight.
+ * @private
+ */
+export const InstructionActiveStates = new Set<InstructionState>([
+	InstructionStates.Queuing,
+	InstructionStates.Queued,
+	InstructionStates.Received,
+	InstructionStates.Executing,
+]);
+
+/**
+ * Instruction states that indicate an instruction is completed or declined.
+ * @private
+ */
+export const InstructionFinishedStates = new Set<InstructionState>([
+	InstructionStates.Completed,
+	InstructionStates.Declined,
+]);
+
+/**
+ * The order instruction states progress through, from first to last.
+ * @private
+ */
+export const InstructionStateOrder: readonly InstructionState[] = [
+	InstructionStates.Queuing,
+	InstructionStates.Queued,
+	InstructionStates.Received,
+	InstructionStates.Executing,
+	InstructionStates.Completed,
+];
+
+/**
+ * Get a descriptive message from the result parameters of an instruction.
+ *
+ * Nodes typically return a `message` result parameter, and optionally a `code`, when they
+ * decline an instruction.
+ *
+ * @param instruction the instruction to get the message from
+ * @returns the message, or `undefined` if the instruction has no `message` or `code` result
+ *          parameter
+ * @private
+ */
+export function instructionResultMessage(
+	instruction?: InstructionInfo
+): string | undefined {
+	const message = instruction?.resultParameters?.message;
+	const code = instruction?.resultParameters?.code;
+	if (message === undefined || message === null || message === "") {
+		return code !== undefined && code !== null && code !== ""
+			? String(code)
+			: undefined;
+	}
+	return code !== undefined && code !== null && code !== ""
+		? `${message} (${code})`
+		: String(message);
+}
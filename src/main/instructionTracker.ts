@@ -0,0 +1,601 @@
+import {
+	Instruction,
+	InstructionInfo,
+	InstructionParameter,
+	InstructionState,
+	InstructionStates,
+} from "solarnetwork-api-core/lib/domain";
+import { Logger as log } from "solarnetwork-api-core/lib/util";
+import {
+	AuthorizationV2Builder,
+	HttpMethod,
+	SolarUserApi,
+} from "solarnetwork-api-core/lib/net";
+import type { ControlTogglerRequestOptions } from "./controlToggler.js";
+import {
+	ControlErrorEvent,
+	ControlInstructionStateChangeEvent,
+	ControlTogglerEventListenerOptions,
+} from "./controlTogglerEvents.js";
+import { ControlAbortError, InstructionDeclinedError } from "./errors.js";
+import {
+	InstructionFinishedStates,
+	InstructionStateOrder,
+} from "./instructionStates.js";
+import { ControlTransportOptions, fetchData } from "./net.js";
+import { requireNonNegative, requirePositive } from "./validation.js";
+
+/**
+ * Options for constructing an {@link InstructionTracker}.
+ */
+export interface InstructionTrackerOptions {
+	/**
+	 * The rate to refresh the instruction state at, in milliseconds. Must be positive.
+	 * Defaults to 5 seconds.
+	 */
+	pollMs?: number;
+
+	/**
+	 * Set to `false` to refresh the instruction state only when {@link InstructionTracker#update}
+	 * is called, instead of automatically every {@link InstructionTracker#pollMs}
+	 * milliseconds. Defaults to `true`.
+	 */
+	autoUpdate?: boolean;
+
+	/**
+	 * The maximum time to wait for each HTTP request to complete, in milliseconds, or `0` for
+	 * no limit. Defaults to `0`.
+	 */
+	requestTimeoutMs?: number;
+
+	/** Transport options, such as a custom `fetch()` implementation or extra headers. */
+	transport?: ControlTransportOptions;
+}
+
+/**
+ * Mapping of instruction tracker event types to associated event classes.
+ */
+export interface InstructionTrackerEventMap {
+	/** The state of the tracked instruction changed. */
+	instructionstatechange: ControlInstructionStateChangeEvent;
+
+	/** An error occurred refreshing the instruction state. */
+	error: ControlErrorEvent;
+}
+
+/**
+ * An instruction tracker event type.
+ */
+export type InstructionTrackerEventType = keyof InstructionTrackerEventMap;
+
+/**
+ * An instruction tracker event listener function.
+ */
+export type InstructionTrackerEventListener<
+	K extends InstructionTrackerEventType,
+> = (
+	/** The instruction tracker dispatching the event. */
+	this: InstructionTracker,
+
+	/** The event. */
+	event: InstructionTrackerEventMap[K]
+) => void;
+
+/**
+ * Queue an instruction of any topic and follow it through to a finished state.
+ *
+ * Once an instruction is queued with {@link InstructionTracker#queue}, or an existing instruction
+ * is provided to {@link InstructionTracker#track}, the tracker refreshes the instruction state
+ * every {@link InstructionTracker#pollMs} milliseconds until it reaches the `Completed` or
+ * `Declined` state. An `instructionstatechange` event is dispatched for every state change, and
+ * {@link InstructionTracker#whenState} and {@link InstructionTracker#done} provide promises for
+ * specific state transitions. With the `autoUpdate` option set to `false` the instruction state
+ * is only refreshed when {@link InstructionTracker#update} is called, which lets the caller
+ * schedule the refreshes itself, as {@link ControlToggler} does.
+ *
+ * Each tracker handles a single instruction; create a new tracker for each instruction.
+ *
+ * @example
+ * const tracker = new InstructionTracker(new SolarUserApi(), auth);
+ * tracker.addEventListener('instructionstatechange', (event) => {
+ *   console.log(`Instruction ${event.instruction.id} is ${event.instruction.state}`);
+ * });
+ * await tracker.queue(123, 'Signal', [{ name: '/some/control', value: 'identify' }]);
+ * const instruction = await tracker.done();
+ */
+class InstructionTracker extends EventTarget {
+	readonly #api: SolarUserApi;
+	readonly #auth: AuthorizationV2Builder;
+	readonly #transport?: ControlTransportOptions;
+	readonly #autoUpdate: boolean;
+
+	/** A timeout identifier. */
+	#timer?: any;
+
+	/** Flag set once an instruction has been queued or provided. */
+	#started = false;
+
+	/** Flag set while the instruction state is automatically refreshed. */
+	#polling = false;
+
+	/** The tracked instruction. */
+	#instruction?: Instruction;
+
+	/** The tracked instruction data, as last received. */
+	#info?: InstructionInfo;
+
+	/** Functions to invoke after each state change, to resolve waiting promises. */
+	readonly #waiters = new Set<() => void>();
+
+	#pollMs = 5000;
+	#requestTimeoutMs = 0;
+
+	/**
+	 * Constructor.
+	 * @param api the URL helper to use
+	 * @param auth the auth builder to authenticate requests with; the required credentials
+	 *                    must be set appropriately
+	 * @param options the tracker options
+	 * @throws RangeError if a numeric option is out of range
+	 */
+	constructor(
+		api: SolarUserApi,
+		auth: AuthorizationV2Builder,
+		options?: InstructionTrackerOptions
+	) {
+		super();
+		this.#api = api;
+		this.#auth = auth;
+		this.#transport = options?.transport;
+		this.#autoUpdate = options?.autoUpdate ?? true;
+		if (options?.pollMs !== undefined) {
+			this.pollMs = options.pollMs;
+		}
+		if (options?.requestTimeoutMs !== undefined) {
+			this.requestTimeoutMs = options.requestTimeoutMs;
+		}
+	}
+
+	/**
+	 * Add an event listener.
+	 *
+	 * @param type the event type
+	 * @param listener the listener to add
+	 * @param options the listener options
+	 */
+	addEventListener<K extends InstructionTrackerEventType>(
+		type: K,
+		listener: InstructionTrackerEventListener<K>,
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	addEventListener(
+		type: string,
+		listener: Parameters<EventTarget["addEventListener"]>[1],
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	addEventListener(
+		type: string,
+		listener: any,
+		options?: ControlTogglerEventListenerOptions
+	): void {
+		super.addEventListener(type, listener, options);
+	}
+
+	/**
+	 * Remove an event listener.
+	 *
+	 * @param type the event type
+	 * @param listener the listener to remove
+	 * @param options the listener options
+	 */
+	removeEventListener<K extends InstructionTrackerEventType>(
+		type: K,
+		listener: InstructionTrackerEventListener<K>,
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	removeEventListener(
+		type: string,
+		listener: Parameters<EventTarget["removeEventListener"]>[1],
+		options?: ControlTogglerEventListenerOptions
+	): void;
+	removeEventListener(
+		type: string,
+		listener: any,
+		options?: ControlTogglerEventListenerOptions
+	): void {
+		super.removeEventListener(type, listener, options);
+	}
+
+	/**
+	 * The rate to refresh the instruction state at, in milliseconds.
+	 * Defaults to 5 seconds.
+	 *
+	 * @throws RangeError if set to a value that is not a positive number
+	 */
+	get pollMs(): number {
+		return this.#pollMs;
+	}
+
+	set pollMs(ms: number) {
+		this.#pollMs = requirePositive("pollMs", ms);
+	}
+
+	/**
+	 * The maximum time to wait for each HTTP request to complete, in milliseconds, or `0` for
+	 * no limit. Defaults to `0`.
+	 *
+	 * @throws RangeError if set to a negative value
+	 */
+	get requestTimeoutMs(): number {
+		return this.#requestTimeoutMs;
+	}
+
+	set requestTimeoutMs(ms: number) {
+		this.#requestTimeoutMs = requireNonNegative("requestTimeoutMs", ms);
+	}
+
+	/**
+	 * Get the tracked instruction.
+	 *
+	 * @returns the instruction, or `undefined` if no instruction has been queued yet
+	 */
+	get instruction(): Instruction | undefined {
+		return this.#instruction;
+	}
+
+	/**
+	 * Get the tracked instruction data, as last received from SolarNetwork.
+	 *
+	 * Unlike {@link InstructionTracker#instruction}, the data is supported by the structured
+	 * clone algorithm.
+	 *
+	 * @returns the instruction data, or `undefined` if no instruction has been queued yet
+	 */
+	get info(): Readonly<InstructionInfo> | undefined {
+		return this.#info;
+	}
+
+	/**
+	 * Get the state of the tracked instruction.
+	 *
+	 * @returns the instruction state, or `undefined` if no instruction has been queued yet
+	 */
+	get state(): InstructionState | undefined {
+		return this.#instruction?.instructionState;
+	}
+
+	/**
+	 * Test if the tracked instruction has reached a finished state.
+	 *
+	 * @returns `true` if the instruction is `Completed` or `Declined`
+	 */
+	get finished(): boolean {
+		const state = this.state;
+		return state !== undefined && InstructionFinishedStates.has(state);
+	}
+
+	/**
+	 * Make an HTTP request.
+	 *
+	 * @template T the expected result type
+	 * @param method the HTTP method to use
+	 * @param url the URL to request
+	 * @param signal an optional signal to abort the request with
+	 * @returns promise of the results
+	 * @private
+	 */
+	#fetch<T>(
+		method: HttpMethod,
+		url: string,
+		signal?: AbortSignal
+	): Promise<T> {
+		return fetchData<T>(method, url, this.#auth, {
+			...this.#transport,
+			signal: signal,
+			timeoutMs: this.requestTimeoutMs,
+		});
+	}
+
+	/**
+	 * Queue an instruction and start tracking it.
+	 *
+	 * @param nodeId the ID of the node to queue the instruction for
+	 * @param topic the instruction topic
+	 * @param parameters the instruction parameters
+	 * @param options the request options
+	 * @returns a promise that resolves to the queued instruction
+	 */
+	queue(
+		nodeId: number,
+		topic: string,
+		parameters?: InstructionParameter[],
+		options?: ControlTogglerRequestOptions
+	): Promise<Instruction> {
+		if (this.#started) {
+			return Promise.reject(
+				new Error("An instruction has already been tracked.")
+			);
+		}
+		if (!this.#auth.signingKeyValid) {
+			return Promise.reject(
+				new Error("Valid credentials not configured")
+			);
+		}
+		this.#started = true;
+		this.#polling = this.#autoUpdate;
+		log.debug("Request node %d to execute %s instruction", nodeId, topic);
+		return this.#fetch<InstructionInfo>(
+			HttpMethod.POST,
+			this.#api.queueInstructionUrl(topic, parameters, nodeId),
+			options?.signal
+		).then(
+			(info) => {
+				this.#apply(info);
+				return this.#instruction!;
+			},
+			(error) => {
+				this.#started = false;
+				this.#polling = false;
+				throw error;
+			}
+		);
+	}
+
+	/**
+	 * Start tracking an existing instruction.
+	 *
+	 * @param instruction the instruction to track
+	 * @returns this object
+	 * @throws Error if an instruction has already been tracked
+	 */
+	track(instruction: InstructionInfo): this {
+		if (this.#started) {
+			throw new Error("An instruction has already been tracked.");
+		}
+		this.#started = true;
+		this.#polling = this.#autoUpdate;
+		this.#apply(instruction);
+		return this;
+	}
+
+	/**
+	 * Get a promise that resolves when the tracked instruction reaches a given state.
+	 *
+	 * The promise also resolves if the instruction progresses past the given state without it
+	 * being observed, for example from `Queued` directly to `Completed` when waiting for
+	 * `Executing`.
+	 *
+	 * @param state the state to wait for
+	 * @param options the request options, to stop waiting with
+	 * @returns a promise that resolves to the instruction once it reaches `state`; the promise
+	 *          is rejected if the instruction finishes without reaching `state`, or with a
+	 *          {@link ControlAbortError} if `options.signal` is aborted
+	 */
+	whenState(
+		state: InstructionState,
+		options?: ControlTogglerRequestOptions
+	): Promise<Instruction> {
+		const target = InstructionStateOrder.indexOf(state);
+		return this.#wait(options?.signal, (instr) => {
+			if (InstructionStates.Declined.equals(instr.instructionState)) {
+				if (InstructionStates.Declined.equals(state)) {
+					return true;
+				}
+				throw new InstructionDeclinedError(instr);
+			}
+			if (
+				target >= 0 &&
+				InstructionStateOrder.indexOf(instr.instructionState) >= target
+			) {
+				return true;
+			} else if (InstructionFinishedStates.has(instr.instructionState)) {
+				throw new Error(
+					`Instruction ${instr.id} finished in state ${instr.state}`
+				);
+			}
+			return false;
+		});
+	}
+
+	/**
+	 * Get a promise that resolves when the tracked instruction reaches a finished state.
+	 *
+	 * @param options the request options, to stop waiting with
+	 * @returns a promise that resolves to the instruction once it is `Completed` or `Declined`;
+	 *          the promise is rejected with a {@link ControlAbortError} if `options.signal` is
+	 *          aborted
+	 */
+	done(options?: ControlTogglerRequestOptions): Promise<Instruction> {
+		return this.#wait(options?.signal, (instr) =>
+			InstructionFinishedStates.has(instr.instructionState)
+		);
+	}
+
+	/**
+	 * Wait for the tracked instruction to satisfy a condition.
+	 *
+	 * @param signal an optional signal to stop waiting with
+	 * @param test the condition to wait for; throwing an error rejects the returned promise
+	 * @returns a promise that resolves to the instruction once `test` returns `true`
+	 * @private
+	 */
+	#wait(
+		signal: AbortSignal | undefined,
+		test: (instruction: Instruction) => boolean
+	): Promise<Instruction> {
+		return new Promise<Instruction>((resolve, reject) => {
+			const finish = (error?: Error) => {
+				this.#waiters.delete(check);
+				signal?.removeEventListener("abort", abort);
+				if (error) {
+					reject(error);
+				} else {
+					resolve(this.#instruction!);
+				}
+			};
+			const check = () => {
+				const instr = this.#instruction;
+				if (!instr) {
+					return;
+				}
+				try {
+					if (test(instr)) {
+						finish();
+					}
+				} catch (error) {
+					finish(error as Error);
+				}
+			};
+			const abort = () => {
+				finish(new ControlAbortError("Request aborted"));
+			};
+			if (signal?.aborted) {
+				abort();
+				return;
+			}
+			signal?.addEventListener("abort", abort, { once: true });
+			this.#waiters.add(check);
+			check();
+		});
+	}
+
+	/**
+	 * Cancel the tracked instruction, by changing its state to `Declined`.
+	 *
+	 * Only instructions that have not yet been delivered to the node, i.e. in the `Queued`
+	 * state, can be cancelled.
+	 *
+	 * @param options the request options
+	 * @returns a promise that resolves to the declined instruction
+	 */
+	cancel(options?: ControlTogglerRequestOptions): Promise<Instruction> {
+		const instr = this.#instruction;
+		if (
+			!instr ||
+			!InstructionStates.Queued.equals(instr.instructionState)
+		) {
+			return Promise.reject(
+				new Error(
+					`Instruction ${instr?.id} cannot be cancelled in state ${instr?.state}.`
+				)
+			);
+		}
+		log.debug("Canceling node %d instruction %d", instr.nodeId, instr.id);
+		return this.#fetch<void>(
+			HttpMethod.POST,
+			this.#api.updateInstructionStateUrl(
+				instr.id,
+				InstructionStates.Declined
+			),
+			options?.signal
+		).then(() => {
+			this.#apply({ ...this.#info!, state: "Declined" });
+			return this.#instruction!;
+		});
+	}
+
+	/**
+	 * Refresh the state of the tracked instruction.
+	 *
+	 * This method is invoked periodically automatically while the instruction is not finished.
+	 * Errors are reported via an `error` event.
+	 *
+	 * @param options the request options
+	 * @returns a promise that resolves to the instruction
+	 */
+	update(
+		options?: ControlTogglerRequestOptions
+	): Promise<Instruction | undefined> {
+		const instr = this.#instruction;
+		if (!instr) {
+			return Promise.resolve(undefined);
+		}
+		const signal = options?.signal;
+		return this.#fetch<InstructionInfo>(
+			HttpMethod.GET,
+			this.#api.viewInstructionUrl(instr.id),
+			signal
+		)
+			.then((info) => {
+				if (info) {
+					this.#apply(info);
+				} else {
+					this.#schedule();
+				}
+				return this.#instruction;
+			})
+			.catch((error) => {
+				if (signal?.aborted && error instanceof ControlAbortError) {
+					throw error;
+				}
+				log.error(
+					"Error refreshing instruction %d state: %s",
+					instr.id,
+					error
+				);
+				this.dispatchEvent(new ControlErrorEvent(error));
+				this.#schedule();
+				return this.#instruction;
+			});
+	}
+
+	/**
+	 * Stop automatically refreshing the instruction state.
+	 *
+	 * @returns this object
+	 */
+	stop(): this {
+		this.#polling = false;
+		const timer = this.#timer;
+		if (timer) {
+			clearTimeout(timer);
+			this.#timer = null;
+		}
+		return this;
+	}
+
+	/**
+	 * Apply an updated instruction, dispatching events and scheduling the next refresh.
+	 * @param info the updated instruction
+	 * @private
+	 */
+	#apply(info: InstructionInfo) {
+		const prev = this.#instruction;
+		const instr = new Instruction(info);
+		this.#instruction = instr;
+		this.#info = info;
+		if (!prev || prev.state !== instr.state) {
+			this.dispatchEvent(
+				new ControlInstructionStateChangeEvent(
+					instr,
+					prev?.instructionState
+				)
+			);
+		}
+		for (const waiter of Array.from(this.#waiters)) {
+			waiter();
+		}
+		if (this.finished) {
+			this.stop();
+		} else {
+			this.#schedule();
+		}
+	}
+
+	/**
+	 * Schedule the next refresh, if the instruction is not finished.
+	 * @private
+	 */
+	#schedule() {
+		if (!this.#polling || this.finished) {
+			return;
+		}
+		clearTimeout(this.#timer);
+		this.#timer = setTimeout(() => {
+			this.#timer = null;
+			this.update();
+		}, this.pollMs);
+	}
+}
+
+export default InstructionTracker;
@@ -0,0 +1,221 @@
+import { Result } from "solarnetwork-api-core/lib/domain";
+import {
+	AuthorizationV2Builder,
+	HttpContentType,
+	HttpHeaders,
+	HttpMethod,
+	SolarQueryApi,
+} from "solarnetwork-api-core/lib/net";
+import { ControlAbortError, ControlTimeoutError } from "./errors.js";
+import fetch, { type FetchFn } from "./fetch.js";
+
+/**
+ * Options for the transport used to make HTTP requests.
+ */
+export interface ControlTransportOptions {
+	/**
+	 * The `fetch()` implementation to make requests with, for example one configured with a
+	 * proxy or instrumentation. Defaults to the global `fetch()` function.
+	 */
+	fetch?: FetchFn;
+
+	/**
+	 * Extra HTTP headers to include in every request. Headers required by SolarNetwork, such as
+	 * `Authorization`, take precedence over these.
+	 */
+	headers?: Record<string, string>;
+}
+
+/**
+ * Options for HTTP requests.
+ */
+export interface RequestOptions extends ControlTransportOptions {
+	/** A signal to abort the request with. */
+	signal?: AbortSignal;
+
+	/** A maximum time to wait for the request to complete, in milliseconds, or `0` for no limit. */
+	timeoutMs?: number;
+}
+
+/**
+ * Wrap a promise so that it is rejected when a signal is aborted.
+ *
+ * The wrapped promise itself is not cancelled, so this is useful for sharing a request
+ * between many callers that might each abort.
+ *
+ * @template T the promise result type
+ * @param promise the promise to wrap
+ * @param signal the signal to abort with
+ * @returns the wrapped promise, which is rejected with a {@link ControlAbortError} if `signal`
+ *          is aborted before `promise` settles
+ * @private
+ */
+export function abortable<T>(
+	promise: Promise<T>,
+	signal?: AbortSignal
+): Promise<T> {
+	if (!signal) {
+		return promise;
+	}
+	if (signal.aborted) {
+		return Promise.reject(new ControlAbortError("Request aborted"));
+	}
+	return new Promise<T>((resolve, reject) => {
+		const abort = () => {
+			reject(new ControlAbortError("Request aborted"));
+		};
+		signal.addEventListener("abort", abort, { once: true });
+		promise.then(
+			(result) => {
+				signal.removeEventListener("abort", abort);
+				resolve(result);
+			},
+			(error) => {
+				signal.removeEventListener("abort", abort);
+				reject(error);
+			}
+		);
+	});
+}
+
+/**
+ * Create an authorization builder suitable for SolarQuery requests.
+ *
+ * @param auth the auth builder used for SolarUser requests
+ * @param queryApi an optional SolarQuery URL helper; if provided a new builder for its
+ *                 environment will be created, using the same credentials as `auth`
+ * @returns the authorization builder to use for SolarQuery requests
+ * @private
+ */
+export function queryAuthorization(
+	auth: AuthorizationV2Builder,
+	queryApi?: SolarQueryApi
+): AuthorizationV2Builder {
+	return queryApi
+		? new AuthorizationV2Builder(auth.tokenId, queryApi.environment).key(
+				auth.key()!
+			)
+		: auth;
+}
+
+/**
+ * Fetch a URL, returning the `data` property of the SolarNetwork response.
+ *
+ * @template T the expected result type
+ * @param method the HTTP method to use
+ * @param url the URL to request
+ * @param auth the auth builder to authenticate the request with
+ * @param options the request options
+ * @returns promise of the results; if the request is aborted the promise will be rejected
+ *          with a {@link ControlAbortError}, or if the request times out a
+ *          {@link ControlTimeoutError}
+ * @private
+ */
+export function fetchData<T>(
+	method: HttpMethod,
+	url: string,
+	auth: AuthorizationV2Builder,
+	options?: RequestOptions
+): Promise<T> {
+	let fetchUrl: string = url;
+	let reqData: string | null = null;
+	let contentType: HttpContentType | undefined = undefined;
+	if (method !== HttpMethod.GET) {
+		const queryIndex = url.indexOf("?");
+		if (queryIndex) {
+			reqData = url.substring(queryIndex + 1);
+			contentType = HttpContentType.FORM_URLENCODED_UTF8;
+			fetchUrl = url.substring(0, queryIndex);
+		}
+	}
+
+	const headers: any = Object.assign(
+		{
+			Accept: "application/json",
+		},
+		options?.headers
+	);
+	if (auth.signingKeyValid) {
+		auth.reset().snDate(true).method(method).url(url);
+		if (contentType) {
+			auth.contentType(contentType);
+			headers[HttpHeaders.CONTENT_TYPE] = contentType;
+		}
+		headers[HttpHeaders.AUTHORIZATION] = auth.buildWithSavedKey();
+		headers[HttpHeaders.X_SN_DATE] = auth.requestDateHeaderValue;
+	}
+
+	const signal = options?.signal;
+	const timeoutMs = options?.timeoutMs || 0;
+	if (signal?.aborted) {
+		return Promise.reject(new ControlAbortError("Request aborted"));
+	}
+	const ctrl = new AbortController();
+	let timedOut = false;
+	const timer =
+		timeoutMs > 0
+			? setTimeout(() => {
+					timedOut = true;
+					ctrl.abort();
+				}, timeoutMs)
+			: undefined;
+	const abort = () => {
+		ctrl.abort();
+	};
+	signal?.addEventListener("abort", abort, { once: true });
+	const done = () => {
+		clearTimeout(timer);
+		signal?.removeEventListener("abort", abort);
+	};
+
+	const fetchFn = options?.fetch || fetch;
+	return fetchFn(fetchUrl, {
+		method: method,
+		headers: headers,
+		body: reqData,
+		signal: ctrl.signal,
+	})
+		.then((res) => {
+			return res.json().then(
+				(json) => {
+					const r = json as Result<T>;
+					if (!r.success) {
+						let msg = r.message;
+						if (!msg) {
+							msg = `HTTP ${res.status}`;
+						}
+						if (r.code) {
+							msg += " (" + r.code + ")";
+						}
+						throw new Error(msg);
+					}
+					return r.data!;
+				},
+				(error) => {
+					const msg = res.ok
+						? error
+						: `HTTP ${res.status}` +
+							(res.statusText ? ": " + res.statusText : "");
+
+					throw new Error(msg);
+				}
+			);
+		})
+		.then(
+			(result) => {
+				done();
+				return result;
+			},
+			(error) => {
+				done();
+				if (timedOut) {
+					throw new ControlTimeoutError(
+						`Request timed out after ${timeoutMs}ms`
+					);
+				} else if (ctrl.signal.aborted) {
+					throw new ControlAbortError("Request aborted");
+				}
+				throw error;
+			}
+		);
+}
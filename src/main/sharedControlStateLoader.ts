@@ -0,0 +1,371 @@
+import {
+	DatumFilter,
+	DatumInfo,
+	FilterResults,
+	InstructionInfo,
+} from "solarnetwork-api-core/lib/domain";
+import { Logger as log } from "solarnetwork-api-core/lib/util";
+import {
+	AuthorizationV2Builder,
+	HttpMethod,
+	SolarQueryApi,
+	SolarUserApi,
+} from "solarnetwork-api-core/lib/net";
+import { ControlStateLoader } from "./controlToggler.js";
+import {
+	abortable,
+	ControlTransportOptions,
+	fetchData,
+	RequestOptions,
+} from "./net.js";
+
+/**
+ * The requests executed for a batch.
+ * @private
+ */
+interface LoaderBatchResults {
+	/** Promise of the most recent datum for all requested nodes and controls. */
+	readonly mostRecent: Promise<DatumInfo[]>;
+
+	/** Promise of the pending instructions for all requested nodes. */
+	readonly pending: Promise<InstructionInfo[]>;
+
+	/** Promises of the requested instructions, by ID. */
+	readonly instructions: Map<number, Promise<InstructionInfo | undefined>>;
+}
+
+/**
+ * A batch of requests to share.
+ * @private
+ */
+interface LoaderBatch {
+	/** The node IDs to request the most recent datum for. */
+	readonly nodeIds: Set<number>;
+
+	/** The control IDs to request the most recent datum for. */
+	readonly controlIds: Set<string>;
+
+	/** The node IDs to request the pending instructions for. */
+	readonly pendingNodeIds: Set<number>;
+
+	/** The IDs of the instructions to request. */
+	readonly instructionIds: Set<number>;
+
+	/** The abort signals of the callers of the batch. */
+	readonly signals: Set<AbortSignal>;
+
+	/** `true` if any caller of the batch did not provide an abort signal. */
+	unsignalled: boolean;
+
+	/** Promise of the executed batch requests. */
+	readonly results: Promise<LoaderBatchResults>;
+}
+
+/**
+ * Create a signal that is aborted once all of a set of signals are aborted.
+ *
+ * @param signals the signals to combine
+ * @returns the combined signal, with a function to release the listeners added to `signals`,
+ *          or `undefined` if `signals` is empty
+ * @private
+ */
+function allAborted(
+	signals: Set<AbortSignal>
+): { signal: AbortSignal; release: () => void } | undefined {
+	if (!signals.size) {
+		return undefined;
+	}
+	const controller = new AbortController();
+	const check = () => {
+		for (const signal of signals) {
+			if (!signal.aborted) {
+				return;
+			}
+		}
+		controller.abort();
+	};
+	const release = () => {
+		for (const signal of signals) {
+			signal.removeEventListener("abort", check);
+		}
+	};
+	for (const signal of signals) {
+		signal.addEventListener("abort", check);
+	}
+	check();
+	return { signal: controller.signal, release: release };
+}
+
+/**
+ * Loader that combines the requests made by many togglers into shared requests.
+ *
+ * All requests made within the same JavaScript task are combined into one batch, so that
+ * a single most recent datum query and a single pending instructions query (for all requested
+ * nodes and control IDs) are made. Requests for specific instructions are limited by
+ * {@link SharedControlStateLoader#requestBudget}, with any instruction requests over that
+ * budget deferred to a later batch. A batch therefore makes at most two requests plus the
+ * budget, however many nodes and controls are requested.
+ *
+ * Shared requests are not cancelled when a caller's abort signal is aborted, as other callers
+ * might still be waiting on them; only that caller's promise is rejected. Once the signals of
+ * all the callers of a batch are aborted, the batch requests are cancelled.
+ * @private
+ */
+export default class SharedControlStateLoader implements ControlStateLoader {
+	readonly #api: SolarUserApi;
+	readonly #auth: AuthorizationV2Builder;
+	readonly #queryApi: SolarQueryApi;
+	readonly #queryAuth: AuthorizationV2Builder;
+	readonly #transport?: ControlTransportOptions;
+
+	/** The IDs of instructions that were deferred in the last batch. */
+	#deferredInstructionIds = new Set<number>();
+
+	#batch?: LoaderBatch;
+
+	/**
+	 * The maximum number of instructions to request per batch, or `0` for no limit.
+	 *
+	 * This is an instruction fetch budget: the single most recent datum and pending
+	 * instructions queries are always made, and do not count against it.
+	 */
+	requestBudget: number = 0;
+
+	/**
+	 * The maximum time to wait for each HTTP request to complete, in milliseconds, or `0` for
+	 * no limit.
+	 */
+	requestTimeoutMs: number = 0;
+
+	constructor(
+		api: SolarUserApi,
+		auth: AuthorizationV2Builder,
+		queryApi: SolarQueryApi,
+		queryAuth: AuthorizationV2Builder,
+		transport?: ControlTransportOptions
+	) {
+		this.#api = api;
+		this.#auth = auth;
+		this.#queryApi = queryApi;
+		this.#queryAuth = queryAuth;
+		this.#transport = transport;
+	}
+
+	/**
+	 * Get the options to make requests with.
+	 *
+	 * @returns the request options
+	 */
+	#requestOptions(signal?: AbortSignal): RequestOptions {
+		return {
+			...this.#transport,
+			signal: signal,
+			timeoutMs: this.requestTimeoutMs,
+		};
+	}
+
+	/**
+	 * Get a URL to view the pending instructions of a set of nodes.
+	 *
+	 * The API only provides a URL for a single node, so for many nodes the URL is derived from
+	 * the API base URL and a filter with the node IDs.
+	 *
+	 * @param nodeIds the node IDs
+	 * @returns the URL
+	 */
+	#pendingInstructionsUrl(nodeIds: number[]): string {
+		if (nodeIds.length === 1) {
+			return this.#api.viewPendingInstructionsUrl(nodeIds[0]);
+		}
+		const filter = new DatumFilter();
+		filter.nodeIds = nodeIds;
+		return `${this.#api.baseUrl()}/instr/viewPending?${filter.toUriEncoding()}`;
+	}
+
+	/**
+	 * Add a caller to a batch.
+	 *
+	 * @param batch the batch to add the caller to
+	 * @param signal the caller's abort signal
+	 * @returns the batch
+	 */
+	#join(batch: LoaderBatch, signal?: AbortSignal): LoaderBatch {
+		if (signal) {
+			batch.signals.add(signal);
+		} else {
+			batch.unsignalled = true;
+		}
+		return batch;
+	}
+
+	/**
+	 * Get the active batch, creating a new one if needed.
+	 *
+	 * The batch requests are not executed until the current task completes, so
+	 * that all requests made by the togglers can be combined.
+	 *
+	 * @returns the active batch
+	 */
+	#activeBatch(): LoaderBatch {
+		if (this.#batch) {
+			return this.#batch;
+		}
+		const batch: LoaderBatch = {
+			nodeIds: new Set(),
+			controlIds: new Set(),
+			pendingNodeIds: new Set(),
+			instructionIds: new Set(),
+			signals: new Set(),
+			unsignalled: false,
+			results: Promise.resolve().then(() => {
+				if (this.#batch === batch) {
+					this.#batch = undefined;
+				}
+				return this.#execute(batch);
+			}),
+		};
+		this.#batch = batch;
+		return batch;
+	}
+
+	/**
+	 * Execute the requests of a batch.
+	 *
+	 * @param batch the batch to execute
+	 * @returns the batch results
+	 */
+	#execute(batch: LoaderBatch): LoaderBatchResults {
+		const abort = batch.unsignalled ? undefined : allAborted(batch.signals);
+		const signal = abort?.signal;
+		let mostRecent: Promise<DatumInfo[]> = Promise.resolve([]);
+		if (batch.controlIds.size) {
+			const filter = new DatumFilter();
+			filter.nodeIds = Array.from(batch.nodeIds);
+			filter.sourceIds = Array.from(batch.controlIds);
+			mostRecent = fetchData<FilterResults<DatumInfo>>(
+				HttpMethod.GET,
+				this.#queryApi.mostRecentDatumUrl(filter),
+				this.#queryAuth,
+				this.#requestOptions(signal)
+			).then((results) =>
+				Array.isArray(results?.results) ? results.results : []
+			);
+		}
+
+		let pending: Promise<InstructionInfo[]> = Promise.resolve([]);
+		if (batch.pendingNodeIds.size) {
+			pending = fetchData<InstructionInfo[]>(
+				HttpMethod.GET,
+				this.#pendingInstructionsUrl(Array.from(batch.pendingNodeIds)),
+				this.#auth,
+				this.#requestOptions(signal)
+			).then((results) => (Array.isArray(results) ? results : []));
+		}
+
+		// request previously deferred instructions first, so none are starved
+		const prevDeferredIds = this.#deferredInstructionIds;
+		const instructionIds = Array.from(batch.instructionIds).sort(
+			(l, r) =>
+				(prevDeferredIds.has(l) ? 0 : 1) -
+				(prevDeferredIds.has(r) ? 0 : 1)
+		);
+		let remaining =
+			this.requestBudget > 0 ? this.requestBudget : Number.MAX_VALUE;
+		const deferredIds = new Set<number>();
+		const instructions = new Map<
+			number,
+			Promise<InstructionInfo | undefined>
+		>();
+		for (const instructionId of instructionIds) {
+			if (remaining < 1) {
+				deferredIds.add(instructionId);
+				instructions.set(instructionId, Promise.resolve(undefined));
+				continue;
+			}
+			instructions.set(
+				instructionId,
+				fetchData<InstructionInfo>(
+					HttpMethod.GET,
+					this.#api.viewInstructionUrl(instructionId),
+					this.#auth,
+					this.#requestOptions(signal)
+				)
+			);
+			remaining -= 1;
+		}
+		if (deferredIds.size) {
+			log.debug(
+				"Instruction budget %d exceeded: deferring instructions %s",
+				this.requestBudget,
+				Array.from(deferredIds)
+			);
+		}
+		this.#deferredInstructionIds = deferredIds;
+
+		if (abort) {
+			Promise.allSettled([
+				mostRecent,
+				pending,
+				...instructions.values(),
+			]).then(abort.release);
+		}
+
+		return {
+			mostRecent: mostRecent,
+			pending: pending,
+			instructions: instructions,
+		};
+	}
+
+	mostRecentDatum(
+		nodeId: number,
+		controlId: string,
+		signal?: AbortSignal
+	): Promise<DatumInfo | undefined> {
+		const batch = this.#join(this.#activeBatch(), signal);
+		batch.nodeIds.add(nodeId);
+		batch.controlIds.add(controlId);
+		return abortable(
+			batch.results
+				.then((results) => results.mostRecent)
+				.then((list) =>
+					list.find(
+						(e) => e.nodeId === nodeId && e.sourceId === controlId
+					)
+				),
+			signal
+		);
+	}
+
+	pendingInstructions(
+		nodeId: number,
+		signal?: AbortSignal
+	): Promise<InstructionInfo[]> {
+		const batch = this.#join(this.#activeBatch(), signal);
+		batch.pendingNodeIds.add(nodeId);
+		return abortable(
+			batch.results
+				.then((results) => results.pending)
+				.then((list) =>
+					batch.pendingNodeIds.size > 1
+						? list.filter((e) => e.nodeId === nodeId)
+						: list
+				),
+			signal
+		);
+	}
+
+	instruction(
+		instructionId: number,
+		signal?: AbortSignal
+	): Promise<InstructionInfo | undefined> {
+		const batch = this.#join(this.#activeBatch(), signal);
+		batch.instructionIds.add(instructionId);
+		return abortable(
+			batch.results.then((results) =>
+				results.instructions.get(instructionId)
+			),
+			signal
+		);
+	}
+}
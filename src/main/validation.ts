@@ -0,0 +1,53 @@
+/**
+ * Validate that a value is a positive, finite number.
+ *
+ * @param name the name of the value, for error messages
+ * @param value the value to validate
+ * @returns the value
+ * @throws RangeError if `value` is not a positive, finite number
+ * @private
+ */
+export function requirePositive(name: string, value: number): number {
+	if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+		throw new RangeError(
+			`The ${name} value must be a positive number, but was ${value}.`
+		);
+	}
+	return value;
+}
+
+/**
+ * Validate that a value is a non-negative, finite number.
+ *
+ * @param name the name of the value, for error messages
+ * @param value the value to validate
+ * @returns the value
+ * @throws RangeError if `value` is not a non-negative, finite number
+ * @private
+ */
+export function requireNonNegative(name: string, value: number): number {
+	if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+		throw new RangeError(
+			`The ${name} value must be a number greater than or equal to 0, but was ${value}.`
+		);
+	}
+	return value;
+}
+
+/**
+ * Validate that a value is a non-negative integer.
+ *
+ * @param name the name of the value, for error messages
+ * @param value the value to validate
+ * @returns the value
+ * @throws RangeError if `value` is not a non-negative integer
+ * @private
+ */
+export function requireNonNegativeInteger(name: string, value: number): number {
+	if (!Number.isSafeInteger(value) || value < 0) {
+		throw new RangeError(
+			`The ${name} value must be an integer greater than or equal to 0, but was ${value}.`
+		);
+	}
+	return value;
+}
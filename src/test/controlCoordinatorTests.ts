@@ -0,0 +1,409 @@
+import test from "ava";
+
+import ControlCoordinator, {
+	ControlCoordinatorChannel,
+	ControlCoordinatorDataEvent,
+	ControlCoordinatorLeaderEvent,
+} from "../main/controlCoordinator.js";
+import {
+	ControlSupersededError,
+	ControlTimeoutError,
+	InstructionDeclinedError,
+} from "../main/errors.js";
+import {
+	Instruction,
+	InstructionStates,
+} from "solarnetwork-api-core/lib/domain";
+
+const TEST_OPTIONS = { heartbeatMs: 20, leaderTimeoutMs: 60 };
+
+let channelCount = 0;
+
+function channelName(): string {
+	channelCount += 1;
+	return `test-channel-${process.pid}-${channelCount}`;
+}
+
+function nextLeaderChange(
+	coordinator: ControlCoordinator
+): Promise<ControlCoordinatorLeaderEvent> {
+	return new Promise((resolve) => {
+		coordinator.addEventListener("leaderchange", resolve, { once: true });
+	});
+}
+
+async function startLeader(name: string): Promise<ControlCoordinator> {
+	const leader = new ControlCoordinator(name, TEST_OPTIONS);
+	const change = nextLeaderChange(leader);
+	leader.start();
+	await change;
+	return leader;
+}
+
+test("construct", (t) => {
+	const coordinator = new ControlCoordinator("test", TEST_OPTIONS);
+	t.is(coordinator.name, "test");
+	t.is(coordinator.heartbeatMs, 20);
+	t.is(coordinator.leaderTimeoutMs, 60);
+	t.is(coordinator.requestTimeoutMs, 60000, "default request timeout");
+	t.truthy(coordinator.id, "unique ID assigned");
+	t.false(coordinator.running, "not started");
+	t.false(coordinator.leader, "not leader until started");
+});
+
+test("construct:invalid", (t) => {
+	t.throws(() => new ControlCoordinator("test", { heartbeatMs: 0 }), {
+		instanceOf: RangeError,
+	});
+	t.throws(() => new ControlCoordinator("test", { requestTimeoutMs: -1 }), {
+		instanceOf: RangeError,
+	});
+	t.throws(
+		() =>
+			new ControlCoordinator("test", {
+				heartbeatMs: 100,
+				leaderTimeoutMs: 100,
+			}),
+		{
+			instanceOf: RangeError,
+			message:
+				"The leaderTimeoutMs value must be greater than heartbeatMs.",
+		}
+	);
+});
+
+test.serial("elect", async (t) => {
+	// GIVEN
+	const name = channelName();
+	const leader = await startLeader(name);
+	t.teardown(() => leader.stop());
+	const follower = new ControlCoordinator(name, TEST_OPTIONS);
+	t.teardown(() => follower.stop());
+
+	// WHEN
+	const change = nextLeaderChange(follower);
+	follower.start();
+	const event = await change;
+
+	// THEN
+	t.true(leader.leader, "first coordinator elected");
+	t.is(leader.leaderId, leader.id);
+	t.false(event.leader, "second coordinator follows");
+	t.is(event.leaderId, leader.id, "leader discovered");
+	t.false(follower.leader);
+});
+
+test.serial("failover:resign", async (t) => {
+	// GIVEN
+	const name = channelName();
+	const leader = await startLeader(name);
+	t.teardown(() => leader.stop());
+	const follower = new ControlCoordinator(name, TEST_OPTIONS);
+	t.teardown(() => follower.stop());
+	const following = nextLeaderChange(follower);
+	follower.start();
+	await following;
+
+	// WHEN
+	const leaderChanges: boolean[] = [];
+	follower.addEventListener("leaderchange", (event) => {
+		leaderChanges.push(event.leader);
+	});
+	const leading = new Promise<void>((resolve) => {
+		follower.addEventListener("leaderchange", (event) => {
+			if (event.leader) {
+				resolve();
+			}
+		});
+	});
+	leader.stop();
+	await leading;
+
+	// THEN
+	t.false(leader.leader, "stopped leader resigned");
+	t.true(follower.leader, "follower took over");
+	t.deepEqual(leaderChanges, [false, true], "leader lost then taken over");
+});
+
+test.serial("failover:timeout", async (t) => {
+	// GIVEN
+	const name = channelName();
+	let leaderChannel: ControlCoordinatorChannel | undefined;
+	const leader = new ControlCoordinator(name, {
+		...TEST_OPTIONS,
+		channelFactory: (name) => {
+			leaderChannel = new BroadcastChannel(
+				name
+			) as unknown as ControlCoordinatorChannel;
+			return leaderChannel;
+		},
+	});
+	t.teardown(() => leader.stop());
+	const leading = nextLeaderChange(leader);
+	leader.start();
+	await leading;
+	const follower = new ControlCoordinator(name, TEST_OPTIONS);
+	t.teardown(() => follower.stop());
+	const following = nextLeaderChange(follower);
+	follower.start();
+	await following;
+
+	// WHEN
+	const takeover = new Promise<void>((resolve) => {
+		follower.addEventListener("leaderchange", (event) => {
+			if (event.leader) {
+				resolve();
+			}
+		});
+	});
+	// simulate the leader tab closing, without resigning
+	leaderChannel!.onmessage = null;
+	leaderChannel!.close();
+	const start = Date.now();
+	await takeover;
+
+	// THEN
+	t.true(follower.leader, "follower took over");
+	t.true(
+		Date.now() - start >= follower.leaderTimeoutMs,
+		"leader timeout waited for"
+	);
+});
+
+test.serial("request", async (t) => {
+	// GIVEN
+	const name = channelName();
+	const leader = await startLeader(name);
+	t.teardown(() => leader.stop());
+	leader.requestHandler = (data) => {
+		if (data === "fail") {
+			throw new Error("Nope");
+		}
+		return Promise.resolve((data as number) * 2);
+	};
+	const follower = new ControlCoordinator(name, TEST_OPTIONS);
+	t.teardown(() => follower.stop());
+	const following = nextLeaderChange(follower);
+	follower.start();
+	await following;
+
+	// WHEN
+	const result = await follower.request(21);
+
+	// THEN
+	t.is(result, 42, "leader handled request");
+	await t.throwsAsync(follower.request("fail"), { message: "Nope" });
+	t.is(await leader.request(1), 2, "leader handles own requests");
+});
+
+test.serial("request:slow", async (t) => {
+	// GIVEN
+	const name = channelName();
+	const leader = await startLeader(name);
+	t.teardown(() => leader.stop());
+	leader.requestHandler = (data) => {
+		return new Promise((resolve) => setTimeout(() => resolve(data), 150));
+	};
+	const follower = new ControlCoordinator(name, TEST_OPTIONS);
+	t.teardown(() => follower.stop());
+	const following = nextLeaderChange(follower);
+	follower.start();
+	await following;
+
+	// WHEN
+	const result = await follower.request(1);
+
+	// THEN
+	t.is(result, 1, "response waited for longer than leader timeout");
+});
+
+test.serial("request:timeout", async (t) => {
+	// GIVEN
+	const name = channelName();
+	const leader = await startLeader(name);
+	t.teardown(() => leader.stop());
+	leader.requestHandler = () => new Promise(() => {});
+	const follower = new ControlCoordinator(name, {
+		...TEST_OPTIONS,
+		requestTimeoutMs: 50,
+	});
+	t.teardown(() => follower.stop());
+	const following = nextLeaderChange(follower);
+	follower.start();
+	await following;
+
+	// WHEN
+	const result = follower.request(1);
+
+	// THEN
+	await t.throwsAsync(result, {
+		instanceOf: ControlTimeoutError,
+		message: `No response from leader of ${name} within 50ms.`,
+	});
+});
+
+test.serial("request:noLeader", async (t) => {
+	// GIVEN
+	const name = channelName();
+	const posted: unknown[] = [];
+	const follower = new ControlCoordinator(name, {
+		...TEST_OPTIONS,
+		channelFactory: (channelName) => {
+			const channel = new BroadcastChannel(channelName);
+			const post = channel.postMessage.bind(channel);
+			channel.postMessage = (msg: any) => {
+				if (msg?.type === "request") {
+					posted.push(msg.to);
+				}
+				post(msg);
+			};
+			return channel;
+		},
+	});
+	t.teardown(() => follower.stop());
+	const other = new ControlCoordinator(name, TEST_OPTIONS);
+	t.teardown(() => other.stop());
+	const handled: string[] = [];
+	for (const coordinator of [follower, other]) {
+		coordinator.requestHandler = (data) => {
+			handled.push(coordinator.id);
+			return Promise.resolve((data as number) * 2);
+		};
+	}
+	follower.start();
+
+	// WHEN
+	const result = follower.request(21);
+	other.start();
+
+	// THEN
+	t.is(follower.leaderId, undefined, "no leader elected when request made");
+	t.is(await result, 42, "request handled once leader elected");
+	t.deepEqual(handled, [follower.leaderId], "handled once, by leader");
+	t.false(
+		posted.includes(undefined),
+		"request not sent before leader elected"
+	);
+});
+
+test.serial("request:errorTypes", async (t) => {
+	// GIVEN
+	const name = channelName();
+	const leader = await startLeader(name);
+	t.teardown(() => leader.stop());
+	const declined = new Instruction({
+		id: 1,
+		created: "2024-01-01 00:00:00Z",
+		nodeId: 123,
+		topic: "SetControlParameter",
+		instructionDate: "2024-01-01 00:00:00Z",
+		state: "Declined",
+		statusDate: "2024-01-01 00:00:01Z",
+		parameters: [{ name: "test-control", value: "1" }],
+		resultParameters: { message: "Not allowed." },
+	});
+	leader.requestHandler = (data) => {
+		switch (data) {
+			case "timeout":
+				throw new ControlTimeoutError("Too slow.");
+			case "superseded":
+				throw new ControlSupersededError("Replaced.", true);
+			case "declined":
+				throw new InstructionDeclinedError(declined);
+			default:
+				throw new TypeError("Bad request.");
+		}
+	};
+	const follower = new ControlCoordinator(name, TEST_OPTIONS);
+	t.teardown(() => follower.stop());
+	const following = nextLeaderChange(follower);
+	follower.start();
+	await following;
+
+	// WHEN
+	const timeout = follower.request("timeout");
+	const superseded = follower.request("superseded");
+	const declinedResult = follower.request("declined");
+	const other = follower.request("other");
+
+	// THEN
+	await t.throwsAsync(timeout, {
+		instanceOf: ControlTimeoutError,
+		message: "Too slow.",
+	});
+	const supersededError = await t.throwsAsync(superseded, {
+		instanceOf: ControlSupersededError,
+		name: "SupersededError",
+		message: "Replaced.",
+	});
+	t.is(supersededError?.value, true, "superseding value preserved");
+	const declinedError = await t.throwsAsync(declinedResult, {
+		instanceOf: InstructionDeclinedError,
+	});
+	t.is(declinedError?.instruction.id, 1, "instruction preserved");
+	t.is(declinedError?.instruction.state, "Declined");
+	t.is(declinedError?.reason, declined.resultParameters?.message);
+	await t.throwsAsync(other, {
+		instanceOf: TypeError,
+		message: "Bad request.",
+	});
+});
+
+test.serial("request:abort", async (t) => {
+	// GIVEN
+	const name = channelName();
+	const leader = await startLeader(name);
+	t.teardown(() => leader.stop());
+	let handled = 0;
+	leader.requestHandler = (data) => {
+		handled += 1;
+		return new Promise((resolve) => setTimeout(() => resolve(data), 20));
+	};
+	const follower = new ControlCoordinator(name, TEST_OPTIONS);
+	t.teardown(() => follower.stop());
+	const following = nextLeaderChange(follower);
+	follower.start();
+	await following;
+
+	// WHEN
+	const controller = new AbortController();
+	const result = follower.request(1, controller.signal);
+	controller.abort();
+
+	// THEN
+	await t.throwsAsync(result, { name: "AbortError" });
+	await t.throwsAsync(follower.request(1, controller.signal), {
+		name: "AbortError",
+	});
+	await t.throwsAsync(leader.request(1, controller.signal), {
+		name: "AbortError",
+	});
+	await new Promise((resolve) => setTimeout(resolve, 100));
+	t.is(handled, 1, "only request sent before abort handled");
+});
+
+test.serial("broadcast", async (t) => {
+	// GIVEN
+	const name = channelName();
+	const leader = await startLeader(name);
+	t.teardown(() => leader.stop());
+	const follower = new ControlCoordinator(name, TEST_OPTIONS);
+	t.teardown(() => follower.stop());
+	follower.start();
+
+	// WHEN
+	const received = new Promise<ControlCoordinatorDataEvent>((resolve) => {
+		follower.addEventListener("data", resolve, { once: true });
+	});
+	leader.broadcast({ hello: "world" });
+
+	// THEN
+	t.deepEqual((await received).data, { hello: "world" });
+});
+
+test("request:notStarted", async (t) => {
+	const coordinator = new ControlCoordinator("test", TEST_OPTIONS);
+	await t.throwsAsync(coordinator.request(1), {
+		message: "Coordinator test not started.",
+	});
+});
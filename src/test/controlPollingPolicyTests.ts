@@ -0,0 +1,67 @@
+import test from "ava";
+
+import EnvironmentPollingPolicy, {
+	ControlPollingChangeEvent,
+} from "../main/controlPollingPolicy.js";
+
+test("construct", (t) => {
+	const policy = new EnvironmentPollingPolicy({
+		hiddenRefreshMs: 60000,
+		offlineRefreshMs: 120000,
+	});
+	t.is(policy.hiddenRefreshMs, 60000);
+	t.is(policy.offlineRefreshMs, 120000);
+	t.true(policy.visible, "visible without a document");
+	t.true(policy.online, "online without navigator.onLine");
+	t.true(policy.active);
+	policy.dispose();
+});
+
+test("construct:invalid", (t) => {
+	t.throws(() => new EnvironmentPollingPolicy({ hiddenRefreshMs: -1 }), {
+		instanceOf: RangeError,
+	});
+});
+
+test("delay", (t) => {
+	const policy = new EnvironmentPollingPolicy({
+		hiddenRefreshMs: 60000,
+		watch: false,
+	});
+	t.is(policy.delay(20000), 20000, "normal delay while active");
+
+	policy.visible = false;
+	t.is(policy.delay(20000), 60000, "slowed while hidden");
+	t.is(policy.delay(90000), 90000, "longer delays kept while hidden");
+
+	policy.online = false;
+	t.is(policy.delay(20000), undefined, "paused while offline");
+});
+
+test("change", (t) => {
+	// GIVEN
+	const policy = new EnvironmentPollingPolicy({ watch: false });
+	const events: ControlPollingChangeEvent[] = [];
+	policy.addEventListener("change", (event) => {
+		events.push(event);
+	});
+
+	// WHEN
+	policy.visible = false;
+	policy.visible = false;
+	policy.online = false;
+	policy.visible = true;
+	policy.online = true;
+
+	// THEN
+	t.deepEqual(
+		events.map((e) => [e.active, e.resumed]),
+		[
+			[false, false],
+			[false, false],
+			[false, false],
+			[true, true],
+		],
+		"events dispatched for changes, resumed when active again"
+	);
+});
@@ -0,0 +1,60 @@
+import test from "ava";
+
+import {
+	addFluxTopicSubscriber,
+	ControlFluxClient,
+	decodeFluxJson,
+	fluxDatumTopic,
+	fluxTopicMatches,
+	removeFluxTopicSubscriber,
+} from "../main/controlRealtime.js";
+
+test("fluxDatumTopic", (t) => {
+	t.is(
+		fluxDatumTopic(1, 123, "switch/1"),
+		"user/1/node/123/datum/0/switch/1"
+	);
+	t.is(
+		fluxDatumTopic(1, 123, "/switch/1"),
+		"user/1/node/123/datum/0/switch/1",
+		"leading slash removed"
+	);
+});
+
+test("fluxTopicMatches", (t) => {
+	t.true(fluxTopicMatches("a/b/c", "a/b/c"));
+	t.false(fluxTopicMatches("a/b/c", "a/b/d"));
+	t.false(fluxTopicMatches("a/b", "a/b/c"));
+	t.false(fluxTopicMatches("a/b/c", "a/b"));
+	t.true(fluxTopicMatches("a/+/c", "a/b/c"));
+	t.false(fluxTopicMatches("a/+", "a/b/c"));
+	t.true(fluxTopicMatches("a/#", "a/b/c"));
+	t.true(fluxTopicMatches("#", "a/b/c"));
+});
+
+test("decodeFluxJson", (t) => {
+	const encoder = new TextEncoder();
+	t.deepEqual(decodeFluxJson(encoder.encode('{"created":1,"val":1}')), {
+		created: 1,
+		val: 1,
+	} as any);
+	t.is(decodeFluxJson(encoder.encode("[1]")), undefined, "array ignored");
+	t.is(decodeFluxJson(encoder.encode("null")), undefined, "null ignored");
+	t.throws(() => decodeFluxJson(encoder.encode("nope")), {
+		instanceOf: SyntaxError,
+	});
+});
+
+test("fluxTopicSubscriber", (t) => {
+	const client = {} as ControlFluxClient;
+	addFluxTopicSubscriber(client, "a/b");
+	addFluxTopicSubscriber(client, "a/b");
+	addFluxTopicSubscriber(client, "a/c");
+	t.false(removeFluxTopicSubscriber(client, "a/b"), "other subscriber");
+	t.true(removeFluxTopicSubscriber(client, "a/b"), "last subscriber");
+	t.true(removeFluxTopicSubscriber(client, "a/c"), "only subscriber");
+	t.true(
+		removeFluxTopicSubscriber({} as ControlFluxClient, "a/b"),
+		"unknown client"
+	);
+});
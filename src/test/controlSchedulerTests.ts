@@ -0,0 +1,314 @@
+import anyTest, { TestFn } from "ava";
+import { MockAgent, setGlobalDispatcher } from "undici";
+
+import { Logger as log, LogLevel } from "solarnetwork-api-core/lib/util";
+import {
+	AuthorizationV2Builder,
+	SolarUserApi,
+} from "solarnetwork-api-core/lib/net";
+
+import ControlScheduler, {
+	ControlScheduleOutcome,
+} from "../main/controlScheduler.js";
+import ControlToggler from "../main/controlToggler.js";
+import { BooleanValueCodec } from "../main/controlValueCodecs.js";
+import CronExpression from "../main/cronExpression.js";
+
+const test = anyTest as TestFn<{
+	agent: MockAgent;
+	toggler: ControlToggler;
+}>;
+
+log.level = LogLevel.DEBUG;
+
+const TEST_TOKEN_ID = "test-token";
+const TEST_TOKEN_SECRET = "secret";
+const TEST_NODE_ID = 123;
+const TEST_CONTROL_ID = "test-control";
+
+test.beforeEach((t) => {
+	const agent = new MockAgent();
+	agent.disableNetConnect();
+	setGlobalDispatcher(agent);
+	t.context = {
+		agent: agent,
+		toggler: new ControlToggler({
+			api: new SolarUserApi({ protocol: "http", host: "localhost" }),
+			auth: new AuthorizationV2Builder(TEST_TOKEN_ID).saveSigningKey(
+				TEST_TOKEN_SECRET
+			),
+			nodeId: TEST_NODE_ID,
+			controlId: TEST_CONTROL_ID,
+			valueCodec: new BooleanValueCodec(),
+		}),
+	};
+});
+
+function queueIntercept(agent: MockAgent, value: string) {
+	agent
+		.get("http://localhost")
+		.intercept({
+			path: "/solaruser/api/v1/sec/instr/add/SetControlParameter",
+			method: "POST",
+			body: `nodeId=123&parameters%5B0%5D.name=test-control&parameters%5B0%5D.value=${value}`,
+		})
+		.reply(200, {
+			success: true,
+			data: {
+				id: 12345,
+				created: "2017-07-26 05:57:49.608Z",
+				topic: "SetControlParameter",
+				state: "Queued",
+				parameters: [{ name: TEST_CONTROL_ID, value: value }],
+			},
+		});
+}
+
+function nextRun(scheduler: ControlScheduler): Promise<ControlScheduleOutcome> {
+	return new Promise((resolve) => {
+		scheduler.addEventListener(
+			"run",
+			(event) => {
+				resolve(event.outcome);
+			},
+			{ once: true }
+		);
+	});
+}
+
+test("construct", (t) => {
+	const scheduler = new ControlScheduler(t.context.toggler, {
+		timeZone: "Pacific/Auckland",
+		missedRunPolicy: "catchUp",
+		missedRunThresholdMs: 1000,
+	});
+	t.is(scheduler.toggler, t.context.toggler);
+	t.is(scheduler.timeZone, "Pacific/Auckland");
+	t.is(scheduler.missedRunPolicy, "catchUp");
+	t.is(scheduler.missedRunThresholdMs, 1000);
+	t.false(scheduler.running, "not started");
+	t.deepEqual(scheduler.entries, []);
+});
+
+test("construct:invalid", (t) => {
+	t.throws(() => new ControlScheduler(undefined as any), {
+		instanceOf: TypeError,
+	});
+	t.throws(
+		() =>
+			new ControlScheduler(t.context.toggler, {
+				missedRunThresholdMs: 0,
+			}),
+		{ instanceOf: RangeError }
+	);
+});
+
+test("schedule:cron", (t) => {
+	// GIVEN
+	const scheduler = new ControlScheduler(t.context.toggler, {
+		timeZone: "UTC",
+	});
+
+	// WHEN
+	const entry = scheduler.schedule("0 18 * * *", true, {
+		id: "on",
+		lastRunDate: new Date("2024-06-01T18:00:00.000Z"),
+	});
+
+	// THEN
+	t.is(entry.id, "on");
+	t.true(entry.cron instanceof CronExpression, "cron expression parsed");
+	t.is(entry.cron?.timeZone, "UTC", "scheduler time zone used");
+	t.deepEqual(entry.nextRunDate, new Date("2024-06-02T18:00:00.000Z"));
+	t.deepEqual(scheduler.entries, [entry]);
+
+	scheduler.schedule("0 19 * * *", false, { id: "on" });
+	t.is(scheduler.entries.length, 1, "entry with same ID replaced");
+	t.true(scheduler.unschedule("on"), "entry removed");
+	t.deepEqual(scheduler.entries, []);
+});
+
+test("schedule:invalid", (t) => {
+	const scheduler = new ControlScheduler(t.context.toggler);
+	t.throws(() => scheduler.schedule(new Date(), "maybe"), {
+		instanceOf: TypeError,
+		message: "Invalid boolean value for control test-control: maybe",
+	});
+	t.throws(() => scheduler.schedule(new Date(NaN), true), {
+		instanceOf: TypeError,
+	});
+	t.throws(() => scheduler.schedule("* * *", true), {
+		instanceOf: TypeError,
+	});
+});
+
+test.serial("run:date", async (t) => {
+	// GIVEN
+	queueIntercept(t.context.agent, "true");
+	const scheduler = new ControlScheduler(t.context.toggler);
+	t.teardown(() => scheduler.stop());
+	const date = new Date(Date.now() + 50);
+	scheduler.schedule(date, true, { id: "once" });
+
+	// WHEN
+	const run = nextRun(scheduler);
+	scheduler.start();
+	const outcome = await run;
+
+	// THEN
+	t.is(outcome.status, "success");
+	t.is(outcome.entry.id, "once");
+	t.deepEqual(outcome.scheduledDate, date);
+	t.false(outcome.missed);
+	t.is(outcome.skippedCount, 0);
+	t.is(outcome.instruction?.id, 12345, "instruction provided");
+	t.deepEqual(scheduler.entries, [], "one-off entry removed after run");
+});
+
+test.serial("run:failure", async (t) => {
+	// GIVEN
+	t.context.agent
+		.get("http://localhost")
+		.intercept({
+			path: "/solaruser/api/v1/sec/instr/add/SetControlParameter",
+			method: "POST",
+		})
+		.reply(500, { success: false, message: "Whoops" });
+	const scheduler = new ControlScheduler(t.context.toggler);
+	t.teardown(() => scheduler.stop());
+	scheduler.schedule(new Date(), true);
+
+	// WHEN
+	const run = nextRun(scheduler);
+	scheduler.start();
+	const outcome = await run;
+
+	// THEN
+	t.is(outcome.status, "failure");
+	t.is(outcome.error?.message, "Whoops");
+	t.is(outcome.instruction, undefined);
+});
+
+test.serial("run:missed:skip", async (t) => {
+	// GIVEN
+	const scheduler = new ControlScheduler(t.context.toggler, {
+		missedRunThresholdMs: 1,
+	});
+	t.teardown(() => scheduler.stop());
+	const lastRunDate = new Date(Date.now() - 10 * 60000 - 30000);
+	scheduler.schedule("* * * * *", true, { lastRunDate: lastRunDate });
+
+	// WHEN
+	const run = nextRun(scheduler);
+	scheduler.start();
+	const outcome = await run;
+
+	// THEN
+	t.is(outcome.status, "skipped");
+	t.true(outcome.missed);
+	t.true(outcome.skippedCount >= 10, "all missed runs skipped");
+	t.true(
+		outcome.entry.nextRunDate!.getTime() > Date.now(),
+		"next run in future"
+	);
+	t.is(scheduler.entries.length, 1, "recurring entry kept");
+});
+
+test.serial("run:missed:catchUp", async (t) => {
+	// GIVEN
+	queueIntercept(t.context.agent, "false");
+	const scheduler = new ControlScheduler(t.context.toggler, {
+		missedRunPolicy: "catchUp",
+		missedRunThresholdMs: 1,
+	});
+	t.teardown(() => scheduler.stop());
+	const lastRunDate = new Date(Date.now() - 10 * 60000 - 30000);
+	scheduler.schedule("* * * * *", false, { lastRunDate: lastRunDate });
+
+	// WHEN
+	const run = nextRun(scheduler);
+	scheduler.start();
+	const outcome = await run;
+
+	// THEN
+	t.is(outcome.status, "success", "most recent missed run performed");
+	t.true(outcome.missed);
+	t.true(outcome.skippedCount >= 9, "earlier missed runs skipped");
+	t.true(
+		Date.now() - outcome.scheduledDate.getTime() < 60000,
+		"most recent run performed"
+	);
+	t.is(outcome.instruction?.id, 12345);
+});
+
+test.serial("run:missed:catchUp:order", async (t) => {
+	// GIVEN
+	const values: string[] = [];
+	t.context.agent
+		.get("http://localhost")
+		.intercept({
+			path: "/solaruser/api/v1/sec/instr/add/SetControlParameter",
+			method: "POST",
+		})
+		.reply(200, (opts) => {
+			const value = new URLSearchParams(String(opts.body)).get(
+				"parameters[0].value"
+			)!;
+			values.push(value);
+			return {
+				success: true,
+				data: {
+					id: values.length,
+					created: "2017-07-26 05:57:49.608Z",
+					topic: "SetControlParameter",
+					state: "Queued",
+					parameters: [{ name: TEST_CONTROL_ID, value: value }],
+				},
+			};
+		})
+		.times(2);
+	t.context.agent
+		.get("http://localhost")
+		.intercept({
+			path: "/solaruser/api/v1/sec/instr/updateState",
+			method: "POST",
+			body: "id=1&state=Declined",
+		})
+		.reply(200, { success: true });
+	const scheduler = new ControlScheduler(t.context.toggler, {
+		missedRunPolicy: "catchUp",
+		missedRunThresholdMs: 1,
+	});
+	t.teardown(() => scheduler.stop());
+	const now = Date.now();
+	scheduler.schedule(new Date(now - 60 * 60000), false, { id: "off" });
+	scheduler.schedule(new Date(now - 5 * 60 * 60000), true, { id: "on" });
+	const outcomes: ControlScheduleOutcome[] = [];
+	const runs = new Promise<void>((resolve) => {
+		scheduler.addEventListener("run", (event) => {
+			outcomes.push(event.outcome);
+			if (outcomes.length === 2) {
+				resolve();
+			}
+		});
+	});
+
+	// WHEN
+	scheduler.start();
+	await runs;
+
+	// THEN
+	t.deepEqual(
+		values,
+		["true", "false"],
+		"missed runs performed in scheduled order"
+	);
+	t.deepEqual(
+		outcomes.map((o) => [o.entry.id, o.status]),
+		[
+			["on", "success"],
+			["off", "success"],
+		],
+		"most recent missed run applied last"
+	);
+});
@@ -1,7 +1,11 @@
 import anyTest, { TestFn } from "ava";
+import { EventEmitter } from "node:events";
 import { MockAgent, setGlobalDispatcher } from "undici";
 
-import { Instruction } from "solarnetwork-api-core/lib/domain";
+import {
+	Instruction,
+	type InstructionInfo,
+} from "solarnetwork-api-core/lib/domain";
 import { Logger as log, LogLevel } from "solarnetwork-api-core/lib/util";
 import {
 	AuthorizationV2Builder,
@@ -9,10 +13,36 @@ import {
 	SolarUserApi,
 } from "solarnetwork-api-core/lib/net";
 
+import EnvironmentPollingPolicy from "../main/controlPollingPolicy.js";
+import { decodeFluxJson, fluxTopicMatches } from "../main/controlRealtime.js";
+import { MemoryStateStorage } from "../main/controlStateStorage.js";
+import { ControlStatus } from "../main/controlStatus.js";
 import ControlTogger, {
 	ControlCallbackFn,
+	type ControlTogglerSnapshot,
 	type ControlValueType,
 } from "../main/controlToggler.js";
+import {
+	ControlChangeEvent,
+	ControlConflictEvent,
+	ControlErrorEvent,
+	ControlInstructionExpiredEvent,
+	ControlInstructionStateChangeEvent,
+	ControlLeaderChangeEvent,
+	ControlRealtimeChangeEvent,
+	ControlRollbackEvent,
+} from "../main/controlTogglerEvents.js";
+import {
+	BooleanValueCodec,
+	FloatValueCodec,
+} from "../main/controlValueCodecs.js";
+import {
+	ControlAbortError,
+	ControlSupersededError,
+	ControlTimeoutError,
+	InstructionDeclinedError,
+} from "../main/errors.js";
+import { type FetchFn } from "../main/fetch.js";
 
 const test = anyTest as TestFn<{
 	agent: MockAgent;
@@ -71,6 +101,94 @@ test("construct", (t) => {
 	t.is(toggler.controlId, TEST_CONTROL_ID, "control ID assigned");
 });
 
+test("construct:options", (t) => {
+	const callback: ControlCallbackFn = () => {};
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		refreshMs: 1000,
+		pendingRefreshMs: 500,
+		requestTimeoutMs: 100,
+		circuitBreakerThreshold: 3,
+		callback: callback,
+	});
+	t.is(toggler.nodeId, TEST_NODE_ID, "node ID assigned");
+	t.is(toggler.controlId, TEST_CONTROL_ID, "control ID assigned");
+	t.is(toggler.refreshMs, 1000, "refresh assigned");
+	t.is(toggler.pendingRefreshMs, 500, "pending refresh assigned");
+	t.is(toggler.requestTimeoutMs, 100, "request timeout assigned");
+	t.is(toggler.retryDelayMs, 5000, "default retry delay");
+	t.is(toggler.circuitBreakerThreshold, 3, "circuit threshold assigned");
+	t.is(toggler.callback, callback, "callback assigned");
+});
+
+test("construct:options:invalid", (t) => {
+	const options = {
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+	};
+	t.throws(() => new ControlTogger({ ...options, nodeId: 1.5 }), {
+		instanceOf: TypeError,
+		message: "The node ID must be an integer, but was 1.5.",
+	});
+	t.throws(() => new ControlTogger({ ...options, controlId: " " }), {
+		instanceOf: TypeError,
+		message: "The control ID must not be empty.",
+	});
+	t.throws(() => new ControlTogger({ ...options, refreshMs: 0 }), {
+		instanceOf: RangeError,
+		message: "The refreshMs value must be a positive number, but was 0.",
+	});
+	t.throws(() => new ControlTogger({ ...options, pendingRefreshMs: -1 }), {
+		instanceOf: RangeError,
+	});
+	t.throws(
+		() =>
+			new ControlTogger(t.context.api, t.context.auth, TEST_NODE_ID, ""),
+		{ instanceOf: TypeError },
+		"positional arguments validated"
+	);
+
+	const toggler = new ControlTogger(options);
+	t.throws(
+		() => {
+			toggler.refreshMs = -1;
+		},
+		{ instanceOf: RangeError },
+		"property assignment validated"
+	);
+	t.is(toggler.refreshMs, 20000, "invalid value not assigned");
+});
+
+test.serial("construct:options:start", async (t) => {
+	// GIVEN
+	updateIntercepts(t.context.agent, 1);
+
+	// WHEN
+	const values: Array<ControlValueType | undefined> = [];
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		listeners: {
+			valuechange(event) {
+				values.push(event.newValue);
+			},
+		},
+		start: 10,
+	});
+
+	// THEN
+	await timeout(100);
+	toggler.stop();
+	t.deepEqual(values, [1], "listener invoked after automatic start");
+});
+
 test.serial("setValue", async (t) => {
 	// GIVEN
 	const http = t.context.agent.get("http://localhost");
@@ -112,6 +230,55 @@ test.serial("setValue", async (t) => {
 	);
 });
 
+test.serial("setValue:transport", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/add/SetControlParameter",
+		method: "POST",
+		headers: {
+			accept: "application/json",
+			authorization: AUTH_POST_REGEX,
+			"x-test": "test",
+		},
+	}).reply(200, {
+		success: true,
+		data: {
+			id: 12345,
+			created: "2015-02-26 21:00:00.000Z",
+			topic: "SetControlParameter",
+			state: "Queued",
+			parameters: [{ name: "test-control", value: "1" }],
+		},
+	});
+
+	const fetchUrls: string[] = [];
+	const fetchFn: FetchFn = (input, init) => {
+		fetchUrls.push(input);
+		return fetch(input, init);
+	};
+
+	// WHEN
+	const toggler = new ControlTogger(
+		t.context.api,
+		t.context.auth,
+		TEST_NODE_ID,
+		TEST_CONTROL_ID,
+		undefined,
+		undefined,
+		{ fetch: fetchFn, headers: { "X-Test": "test" } }
+	);
+	const info = await toggler.value(1);
+
+	// THEN
+	t.is(info.id, 12345, "instruction returned via custom transport");
+	t.deepEqual(
+		fetchUrls,
+		["http://localhost/solaruser/api/v1/sec/instr/add/SetControlParameter"],
+		"custom fetch used"
+	);
+});
+
 test.serial("setValue:queuing", async (t) => {
 	// GIVEN
 	const http = t.context.agent.get("http://localhost");
@@ -1243,6 +1410,105 @@ test.serial("start", async (t) => {
 	t.deepEqual(callbackValues, [1], "callback invoked for update");
 });
 
+test.serial("start:retry", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+	})
+		.reply(500)
+		.times(2);
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: {
+			results: [
+				{
+					created: "2017-07-26 05:57:49.608Z",
+					nodeId: 123,
+					sourceId: "test-control",
+					val: 1,
+				},
+			],
+		},
+	});
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	})
+		.reply(200, { success: true, data: [] })
+		.times(3);
+
+	const failureCounts: number[] = [];
+	const circuitStates: boolean[] = [];
+
+	// WHEN
+	const toggler = createToggler(t.context.api, t.context.auth);
+	t.teardown(() => {
+		toggler.stop();
+	});
+	toggler.refreshMs = 1000;
+	toggler.retryDelayMs = 10;
+	toggler.maxRetryDelayMs = 200;
+	toggler.circuitBreakerThreshold = 2;
+	toggler.addEventListener("error", function () {
+		failureCounts.push(this.failureCount);
+	});
+	toggler.addEventListener("circuitchange", (event) => {
+		circuitStates.push(event.open);
+	});
+	toggler.start(10);
+
+	// THEN
+	await timeout(50);
+	t.is(toggler.failureCount, 2, "failures counted");
+	t.true(toggler.circuitOpen, "circuit opened after threshold");
+	t.truthy(toggler.nextRetryDate, "next retry date provided");
+
+	await timeout(300);
+	toggler.stop();
+
+	t.deepEqual(failureCounts, [1, 2], "failure count incremented");
+	t.deepEqual(circuitStates, [true, false], "circuit opened then closed");
+	t.is(toggler.failureCount, 0, "failure count reset after success");
+	t.false(toggler.circuitOpen, "circuit closed after success");
+	t.is(toggler.nextRetryDate, undefined, "no retry after success");
+	t.is(toggler.value(), 1, "value updated after retry");
+});
+
+test.serial("start:retry:credentials", async (t) => {
+	// GIVEN
+	const auth = new AuthorizationV2Builder(TEST_TOKEN_ID);
+	const errors: Error[] = [];
+
+	// WHEN
+	const toggler = createToggler(t.context.api, auth);
+	t.teardown(() => {
+		toggler.stop();
+	});
+	toggler.retryDelayMs = 10;
+	toggler.maxRetryDelayMs = 20;
+	const failed = new Promise<void>((resolve) => {
+		toggler.addEventListener("error", (event) => {
+			errors.push(event.error);
+			if (errors.length === 2) {
+				resolve();
+			}
+		});
+	});
+	toggler.start(10);
+	await failed;
+	toggler.stop();
+
+	// THEN
+	t.is(errors[0].message, "Valid credentials not configured");
+	t.is(errors.length, 2, "update retried after rejection");
+	t.is(toggler.failureCount, 2, "failures counted");
+});
+
 test.serial("stop", async (t) => {
 	// GIVEN
 	const http = t.context.agent.get("http://localhost");
@@ -1350,3 +1616,2219 @@ test.serial("stop", async (t) => {
 	t.is(toggler.value(), 2, "most recent datum value returned");
 	t.deepEqual(callbackValues, [1, 2], "callback invoked for each update");
 });
+
+test.serial("events", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	const results = [
+		// set value 1
+		{
+			id: 12345,
+			created: "2017-07-26 05:57:49.608Z",
+			topic: "SetControlParameter",
+			state: "Queued",
+			parameters: [{ name: "test-control", value: "1" }],
+		},
+		// most recent value, still at 0
+		{
+			totalResults: 1,
+			startingOffset: 0,
+			returnedResultCount: 1,
+			results: [
+				{
+					created: "2017-07-26 05:57:49.608Z",
+					nodeId: 123,
+					sourceId: "test-control",
+					val: 0,
+				},
+			],
+		},
+		// view instruction; now completed and updated to 1
+		{
+			id: 12345,
+			created: "2017-07-26 05:58:00.000Z",
+			topic: "SetControlParameter",
+			state: "Completed",
+			parameters: [{ name: "test-control", value: "1" }],
+		},
+	];
+
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/add/SetControlParameter",
+		method: "POST",
+	}).reply(200, {
+		success: true,
+		data: results[0],
+	});
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: results[1],
+	});
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: [],
+	});
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/view?id=12345",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: results[2],
+	});
+
+	const events: string[] = [];
+
+	// WHEN
+	const toggler = createToggler(t.context.api, t.context.auth);
+	toggler.addEventListener("instructionstatechange", function (event) {
+		t.is(this, toggler, "this is toggler");
+		events.push(
+			`instruction ${event.instruction.id} ${event.previousState?.name} -> ${event.instruction.state}`
+		);
+	});
+	toggler.addEventListener("pendingchange", (event) => {
+		events.push(`pending ${event.pending}`);
+	});
+	toggler.addEventListener("valuechange", (event) => {
+		events.push(`value ${event.oldValue} -> ${event.newValue}`);
+		t.is(event.datum?.val, event.newValue, "datum provided");
+	});
+	toggler.callback = () => {
+		events.push("callback");
+	};
+
+	await toggler.value(1);
+	await toggler.update();
+
+	// THEN
+	t.deepEqual(events, [
+		"instruction 12345 undefined -> Queued",
+		"pending true",
+		"callback",
+		"instruction 12345 Queued -> Completed",
+		"pending false",
+		"value undefined -> 1",
+		"callback",
+	]);
+});
+
+test.serial("events:error", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/add/SetControlParameter",
+		method: "POST",
+	}).reply(500);
+
+	const errors: Error[] = [];
+	const listener = (event: ControlErrorEvent) => {
+		errors.push(event.error);
+	};
+	const removedListener = () => {
+		t.fail("removed listener not invoked");
+	};
+
+	// WHEN
+	const toggler = createToggler(t.context.api, t.context.auth);
+	toggler.addEventListener("error", listener);
+	toggler.addEventListener("error", removedListener);
+	toggler.removeEventListener("error", removedListener);
+	await t.throwsAsync(toggler.value(1));
+
+	// THEN
+	t.is(errors.length, 1, "error event dispatched");
+	t.regex(errors[0].message, /^HTTP 500/);
+});
+
+test.serial("changes", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: {
+			results: [
+				{
+					created: "2017-07-26 05:57:49.608Z",
+					nodeId: 123,
+					sourceId: "test-control",
+					val: 1,
+				},
+			],
+		},
+	});
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: [],
+	});
+
+	const toggler = createToggler(t.context.api, t.context.auth);
+	toggler.refreshMs = 30;
+	const errors: Error[] = [];
+	toggler.addEventListener("error", (event) => {
+		errors.push(event.error);
+	});
+
+	// WHEN
+	const changes: ControlTogglerSnapshot[] = [];
+	for await (const change of toggler.changes()) {
+		changes.push(change);
+		break;
+	}
+
+	// sleep past refresh time, to verify polling stopped
+	await timeout(100);
+
+	// THEN
+	t.deepEqual(changes, [
+		{
+			value: 1,
+			status: ControlStatus.Idle,
+			pending: false,
+			optimistic: false,
+			instruction: undefined,
+			resultMessage: undefined,
+			datum: toggler.datum,
+			error: undefined,
+		},
+	]);
+	t.deepEqual(errors, [], "no more updates after iteration ended");
+});
+
+test.serial("changes:abort", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+	}).reply(500);
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: [],
+	});
+
+	const toggler = createToggler(t.context.api, t.context.auth);
+	const ctrl = new AbortController();
+
+	// WHEN
+	const changes: ControlTogglerSnapshot[] = [];
+	for await (const change of toggler.changes({ signal: ctrl.signal })) {
+		changes.push(change);
+		ctrl.abort();
+	}
+
+	// THEN
+	t.is(changes.length, 1, "one change before abort");
+	t.regex(changes[0].error!.message, /^HTTP 500/, "error provided");
+});
+
+test.serial("value:expired", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	queueInstructionIntercept(t.context.agent);
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/view?id=12345",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: {
+			id: 12345,
+			created: "2017-07-26 05:57:49.608Z",
+			topic: "SetControlParameter",
+			state: "Queued",
+			parameters: [{ name: "test-control", value: "1" }],
+		},
+	});
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/updateState",
+		method: "POST",
+		body: "id=12345&state=Declined",
+	}).reply(200, {
+		success: true,
+	});
+
+	// WHEN
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		instructionMaxAgeMs: 50,
+	});
+	const expired = new Promise<ControlInstructionExpiredEvent>((resolve) => {
+		toggler.addEventListener("instructionexpired", resolve, {
+			once: true,
+		});
+	});
+	await toggler.value(1);
+	t.true(toggler.hasPendingStateChange, "instruction pending");
+	const event = await expired;
+
+	// THEN
+	t.is(event.instruction.id, 12345, "expired instruction provided");
+	t.is(event.instruction.state, "Declined", "expired instruction declined");
+	t.is(event.maxAgeMs, 50, "max age provided");
+	t.is(
+		toggler.instruction?.state,
+		"Declined",
+		"tracked instruction declined"
+	);
+	t.false(toggler.hasPendingStateChange, "no longer pending");
+});
+
+function expiryIntercepts(agent: MockAgent, instructionId: number) {
+	const http = agent.get("http://localhost");
+	http.intercept({
+		path: `/solaruser/api/v1/sec/instr/view?id=${instructionId}`,
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: {
+			id: instructionId,
+			created: "2017-07-26 05:57:49.608Z",
+			topic: "SetControlParameter",
+			state: "Queued",
+			parameters: [{ name: "test-control", value: "1" }],
+		},
+	});
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/updateState",
+		method: "POST",
+		body: `id=${instructionId}&state=Declined`,
+	}).reply(200, {
+		success: true,
+	});
+}
+
+test.serial("value:expired:age", async (t) => {
+	// GIVEN
+	expiryIntercepts(t.context.agent, 1);
+	expiryIntercepts(t.context.agent, 2);
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		instructionMaxAgeMs: 200,
+	});
+	const expired: [number, number][] = [];
+	const start = Date.now();
+	const allExpired = new Promise<void>((resolve) => {
+		toggler.addEventListener("instructionexpired", (event) => {
+			expired.push([event.instruction.id, Date.now() - start]);
+			if (expired.length === 2) {
+				resolve();
+			}
+		});
+	});
+
+	// WHEN
+	toggler.trackInstruction({
+		id: 1,
+		created: new Date(start - 100).toISOString(),
+		topic: "SetControlParameter",
+		state: "Queued",
+		parameters: [{ name: "test-control", value: "1" }],
+	} as InstructionInfo);
+	toggler.trackInstruction({
+		id: 2,
+		created: new Date(start).toISOString(),
+		topic: "SetControlParameter",
+		state: "Queued",
+		parameters: [{ name: "test-control", value: "0" }],
+	} as InstructionInfo);
+	await allExpired;
+
+	// THEN
+	t.deepEqual(
+		expired.map((e) => e[0]),
+		[1, 2],
+		"every tracked instruction expired, oldest first"
+	);
+	t.true(expired[0][1] < 190, "age measured from creation date");
+	t.true(expired[1][1] >= 190, "instruction expired at max age");
+});
+
+test.serial("state:restore:expired", async (t) => {
+	// GIVEN
+	expiryIntercepts(t.context.agent, 12345);
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		instructionMaxAgeMs: 60000,
+	});
+	const expired = new Promise<ControlInstructionExpiredEvent>((resolve) => {
+		toggler.addEventListener("instructionexpired", resolve, {
+			once: true,
+		});
+	});
+
+	// WHEN
+	toggler.restore({
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		date: new Date().toISOString(),
+		instruction: {
+			id: 12345,
+			created: "2017-07-26 05:57:49.608Z",
+			topic: "SetControlParameter",
+			state: "Queued",
+			parameters: [{ name: "test-control", value: "1" }],
+		} as InstructionInfo,
+		ownInstructionIds: [12345],
+	});
+	const event = await expired;
+
+	// THEN
+	t.is(event.instruction.id, 12345, "stale restored instruction expired");
+	t.is(toggler.instruction?.state, "Declined");
+});
+
+test.serial("value:expired:notQueued", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	queueInstructionIntercept(t.context.agent);
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/view?id=12345",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: {
+			id: 12345,
+			created: "2017-07-26 05:57:49.608Z",
+			topic: "SetControlParameter",
+			state: "Executing",
+			parameters: [{ name: "test-control", value: "1" }],
+		},
+	});
+
+	// WHEN
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		instructionMaxAgeMs: 10,
+	});
+	const events: ControlInstructionExpiredEvent[] = [];
+	toggler.addEventListener("instructionexpired", (event) => {
+		events.push(event);
+	});
+	await toggler.value(1);
+	await timeout(100);
+
+	// THEN
+	t.deepEqual(events, [], "instruction no longer queued not expired");
+	t.is(toggler.instruction?.state, "Queued", "instruction not declined");
+});
+
+test.serial("value:serialized", async (t) => {
+	// GIVEN
+	queueInstructionIntercept(t.context.agent);
+	const toggler = createToggler(t.context.api, t.context.auth);
+
+	// WHEN
+	const first = toggler.value(1);
+	const superseded = toggler.value(0);
+	const last = toggler.value(1);
+
+	// THEN
+	await t.throwsAsync(superseded, {
+		instanceOf: ControlSupersededError,
+		message: "Change to 0 superseded by 1",
+	});
+	t.is((await first).id, 12345, "first request sent");
+	t.is(
+		(await last).id,
+		12345,
+		"last request resolved to queued instruction without another request"
+	);
+});
+
+test.serial("value:debounce", async (t) => {
+	// GIVEN
+	t.context.agent
+		.get("http://localhost")
+		.intercept({
+			path: "/solaruser/api/v1/sec/instr/add/SetControlParameter",
+			method: "POST",
+			body: "nodeId=123&parameters%5B0%5D.name=test-control&parameters%5B0%5D.value=1",
+		})
+		.reply(200, {
+			success: true,
+			data: {
+				id: 12345,
+				created: "2017-07-26 05:57:49.608Z",
+				topic: "SetControlParameter",
+				state: "Queued",
+				parameters: [{ name: "test-control", value: "1" }],
+			},
+		});
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		valueDebounceMs: 20,
+	});
+	const controller = new AbortController();
+
+	// WHEN
+	const aborted = toggler.value(1, { signal: controller.signal });
+	controller.abort();
+	const superseded = toggler.value(0);
+	const last = toggler.value(1);
+
+	// THEN
+	await t.throwsAsync(aborted, { instanceOf: ControlAbortError });
+	const error = await t.throwsAsync(superseded, {
+		instanceOf: ControlSupersededError,
+	});
+	t.is(error?.value, 0, "superseded value provided");
+	t.is((await last).id, 12345, "only latest value sent");
+});
+
+test.serial("value:debounce:optimistic", async (t) => {
+	// GIVEN
+	queueInstructionIntercept(t.context.agent);
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		optimistic: true,
+		optimisticTimeoutMs: 500,
+		valueDebounceMs: 50,
+	});
+	const rollbacks: ControlRollbackEvent[] = [];
+	toggler.addEventListener("rollback", (event) => {
+		rollbacks.push(event);
+	});
+	const controller = new AbortController();
+
+	// WHEN
+	const aborted = toggler.value(0, { signal: controller.signal });
+
+	// THEN
+	t.is(toggler.value(), 0, "desired value reported while waiting");
+	t.true(toggler.hasPendingStateChange, "pending while waiting");
+	t.is(toggler.status, ControlStatus.Queuing, "queuing while waiting");
+
+	// WHEN
+	controller.abort();
+
+	// THEN
+	await t.throwsAsync(aborted, { instanceOf: ControlAbortError });
+	t.is(toggler.value(), undefined, "aborted value rolled back");
+	t.false(toggler.hasPendingStateChange, "no longer pending");
+	t.deepEqual(
+		rollbacks.map((e) => [e.value, e.reason]),
+		[[0, "cancelled"]]
+	);
+
+	// WHEN
+	const superseded = toggler.value(0);
+	const last = toggler.value(1);
+
+	// THEN
+	t.is(toggler.value(), 1, "latest desired value reported");
+	await t.throwsAsync(superseded, { instanceOf: ControlSupersededError });
+	t.is((await last).id, 12345, "latest value sent");
+	t.is(toggler.value(), 1, "desired value reported until confirmed");
+	t.is(toggler.status, ControlStatus.Pending);
+	t.is(rollbacks.length, 1, "superseded value replaced");
+});
+
+test("valueDebounceMs:invalid", (t) => {
+	const toggler = createToggler(t.context.api, t.context.auth);
+	t.throws(
+		() => {
+			toggler.valueDebounceMs = -1;
+		},
+		{ instanceOf: RangeError }
+	);
+});
+
+test.serial("state:restore", async (t) => {
+	// GIVEN
+	updateIntercepts(t.context.agent, 0);
+	queueInstructionIntercept(t.context.agent);
+	updateIntercepts(t.context.agent, 1, "Completed");
+	const toggler = createToggler(t.context.api, t.context.auth);
+	await toggler.update();
+	await toggler.value(1);
+
+	// WHEN
+	const state = JSON.parse(JSON.stringify(toggler));
+	const restored = createToggler(t.context.api, t.context.auth);
+	const values: any[] = [];
+	restored.addEventListener("valuechange", (event) => {
+		values.push(event.newValue);
+	});
+	restored.restore(state);
+
+	// THEN
+	t.is(state.instruction.id, 12345, "instruction saved");
+	t.is(restored.value(), 0, "value restored");
+	t.is(restored.datum?.sourceId, TEST_CONTROL_ID, "datum restored");
+	t.is(restored.instruction?.state, "Queued", "instruction restored");
+	t.true(restored.hasPendingStateChange, "pending change restored");
+	t.true(restored.isOwnInstruction(12345), "own instructions restored");
+	t.is(restored.status, ControlStatus.Pending, "status restored");
+
+	await restored.update();
+	t.is(
+		restored.instruction?.state,
+		"Completed",
+		"restored instruction tracked"
+	);
+	t.deepEqual(values, [0, "1"], "listeners notified");
+});
+
+test("state:restore:mismatch", (t) => {
+	const toggler = createToggler(t.context.api, t.context.auth);
+	t.throws(
+		() =>
+			toggler.restore({
+				nodeId: TEST_NODE_ID,
+				controlId: "other-control",
+				date: new Date().toISOString(),
+			}),
+		{
+			instanceOf: TypeError,
+			message:
+				"State for node 123 control other-control does not match node 123 control test-control.",
+		}
+	);
+});
+
+test.serial("state:storage", async (t) => {
+	// GIVEN
+	updateIntercepts(t.context.agent, 1);
+	const storage = new MemoryStateStorage();
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		stateStorage: storage,
+	});
+
+	// WHEN
+	await toggler.update();
+	const restored = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		stateStorage: storage,
+	});
+
+	// THEN
+	t.truthy(
+		storage.getItem("solarnetwork-control-toggler/123/test-control"),
+		"state saved with default key"
+	);
+	t.is(restored.value(), 1, "state restored when created");
+	t.is(restored.status, ControlStatus.Idle);
+});
+
+test.serial("state:storage:async", async (t) => {
+	// GIVEN
+	const memory = new MemoryStateStorage();
+	memory.setItem(
+		"my-key",
+		JSON.stringify({
+			nodeId: TEST_NODE_ID,
+			controlId: TEST_CONTROL_ID,
+			date: new Date().toISOString(),
+			datum: {
+				created: "2017-07-26 05:57:49.608Z",
+				nodeId: TEST_NODE_ID,
+				sourceId: TEST_CONTROL_ID,
+				val: 1,
+			},
+		})
+	);
+	const storage = {
+		getItem: async (key: string) => memory.getItem(key),
+		setItem: async (key: string, value: string) =>
+			memory.setItem(key, value),
+	};
+
+	// WHEN
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		stateStorage: storage,
+		stateKey: "my-key",
+	});
+	t.is(toggler.value(), undefined, "not restored yet");
+	const change = new Promise<ControlChangeEvent>((resolve) => {
+		toggler.addEventListener("change", resolve, { once: true });
+	});
+
+	// THEN
+	t.is((await change).snapshot.value, 1, "state restored");
+	t.is(toggler.stateKey, "my-key");
+});
+
+function coordinatedToggler(
+	t: { context: { api: SolarUserApi; auth: AuthorizationV2Builder } },
+	channelName: string
+): ControlTogger {
+	return new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		coordination: {
+			channelName: channelName,
+			heartbeatMs: 20,
+			leaderTimeoutMs: 60,
+		},
+	});
+}
+
+function nextLeaderChange(toggler: ControlTogger): Promise<boolean> {
+	return new Promise((resolve) => {
+		toggler.addEventListener(
+			"leaderchange",
+			(event) => resolve(event.leader),
+			{ once: true }
+		);
+	});
+}
+
+function leadership(toggler: ControlTogger): Promise<void> {
+	return new Promise((resolve) => {
+		const listener = (event: ControlLeaderChangeEvent) => {
+			if (event.leader) {
+				toggler.removeEventListener("leaderchange", listener);
+				resolve();
+			}
+		};
+		toggler.addEventListener("leaderchange", listener);
+	});
+}
+
+test.serial("coordination", async (t) => {
+	// GIVEN
+	const channelName = `test-toggler-${process.pid}`;
+	updateIntercepts(t.context.agent, 1);
+	queueInstructionIntercept(t.context.agent, "Queued", "0");
+	const leader = coordinatedToggler(t, channelName);
+	t.teardown(() => leader.stop());
+	const follower = coordinatedToggler(t, channelName);
+	t.teardown(() => follower.stop());
+
+	const leading = leadership(leader);
+	const leaderValue = new Promise<void>((resolve) => {
+		leader.addEventListener("valuechange", () => resolve(), {
+			once: true,
+		});
+	});
+	leader.start();
+	await leading;
+	t.true(leader.leader, "first toggler leads");
+	await leaderValue;
+
+	// WHEN
+	const followerValue = new Promise<any>((resolve) => {
+		follower.addEventListener(
+			"valuechange",
+			(event) => resolve(event.newValue),
+			{ once: true }
+		);
+	});
+	const following = nextLeaderChange(follower);
+	follower.start();
+
+	// THEN
+	t.false(await following, "second toggler follows");
+	t.false(follower.leader);
+	t.is(await followerValue, 1, "follower received leader state");
+
+	// WHEN
+	const followerPending = new Promise<void>((resolve) => {
+		follower.addEventListener("pendingchange", () => resolve(), {
+			once: true,
+		});
+	});
+	const instr = await follower.value(0);
+
+	// THEN
+	t.is(instr.id, 12345, "value change forwarded to leader");
+	t.is(leader.instruction?.id, 12345, "leader tracks instruction");
+	await followerPending;
+	t.is(follower.instruction?.id, 12345, "follower received instruction");
+
+	// WHEN
+	const takeover = leadership(follower);
+	leader.stop();
+	await takeover;
+
+	// THEN
+	t.true(follower.leader, "follower takes over when leader stops");
+	follower.stop();
+	t.true(follower.leader, "uncoordinated once stopped");
+});
+
+test.serial("coordination:setAndConfirm:follower", async (t) => {
+	// GIVEN
+	const channelName = `test-toggler-confirm-${process.pid}`;
+	updateIntercepts(t.context.agent, 0);
+	queueInstructionIntercept(t.context.agent);
+	updateIntercepts(t.context.agent, 1, "Completed");
+	updateIntercepts(t.context.agent, 1);
+	const leader = coordinatedToggler(t, channelName);
+	t.teardown(() => leader.stop());
+	leader.pendingRefreshMs = 50;
+	let followerFetchCount = 0;
+	const follower = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		pendingRefreshMs: 10,
+		transport: {
+			fetch: (input, init) => {
+				followerFetchCount += 1;
+				return fetch(input, init);
+			},
+		},
+		coordination: {
+			channelName: channelName,
+			heartbeatMs: 20,
+			leaderTimeoutMs: 60,
+		},
+	});
+	t.teardown(() => follower.stop());
+
+	const leading = leadership(leader);
+	const leaderValue = new Promise<void>((resolve) => {
+		leader.addEventListener("valuechange", () => resolve(), {
+			once: true,
+		});
+	});
+	leader.start();
+	await leading;
+	await leaderValue;
+	const following = nextLeaderChange(follower);
+	follower.start();
+	t.false(await following, "second toggler follows");
+
+	// WHEN
+	const snapshot = await follower.setAndConfirm(1, { timeoutMs: 1000 });
+
+	// THEN
+	t.is(snapshot.value, "1", "change confirmed from leader state");
+	t.is(followerFetchCount, 0, "follower made no requests");
+});
+
+test.serial("coordination:value:abort", async (t) => {
+	// GIVEN
+	const channelName = `test-toggler-abort-${process.pid}`;
+	updateIntercepts(t.context.agent, 1);
+	queueInstructionIntercept(t.context.agent, "Queued", "0");
+	const leader = coordinatedToggler(t, channelName);
+	t.teardown(() => leader.stop());
+	const follower = coordinatedToggler(t, channelName);
+	t.teardown(() => follower.stop());
+
+	const leading = leadership(leader);
+	leader.start();
+	await leading;
+	const following = nextLeaderChange(follower);
+	follower.start();
+	t.false(await following, "second toggler follows");
+
+	// WHEN
+	const controller = new AbortController();
+	const result = follower.value(0, { signal: controller.signal });
+	controller.abort();
+
+	// THEN
+	await t.throwsAsync(result, { name: "AbortError" });
+});
+
+test.serial("pollingPolicy", async (t) => {
+	// GIVEN
+	const policy = new EnvironmentPollingPolicy({ watch: false });
+	policy.visible = false;
+	updateIntercepts(t.context.agent, 1);
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		pollingPolicy: policy,
+	});
+	t.teardown(() => toggler.stop());
+
+	// WHEN
+	toggler.start();
+
+	// THEN
+	t.true(toggler.paused, "paused while hidden");
+
+	// WHEN
+	const change = new Promise<void>((resolve) => {
+		toggler.addEventListener("valuechange", () => resolve(), {
+			once: true,
+		});
+	});
+	policy.visible = true;
+
+	// THEN
+	t.false(toggler.paused, "resumed when visible");
+	await change;
+	t.is(toggler.value(), 1, "updated immediately when visible");
+
+	// WHEN
+	policy.online = false;
+
+	// THEN
+	t.true(toggler.paused, "paused while offline");
+	toggler.stop();
+	t.false(toggler.paused, "not paused once stopped");
+});
+
+test.serial("pollingPolicy:stop", (t) => {
+	// GIVEN
+	const policy = new EnvironmentPollingPolicy({ watch: false });
+	const listeners = new Set<unknown>();
+	const spy = policy as any;
+	const add = spy.addEventListener.bind(policy);
+	const remove = spy.removeEventListener.bind(policy);
+	spy.addEventListener = (type: string, listener: unknown) => {
+		listeners.add(listener);
+		add(type, listener);
+	};
+	spy.removeEventListener = (type: string, listener: unknown) => {
+		listeners.delete(listener);
+		remove(type, listener);
+	};
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		pollingPolicy: policy,
+	});
+	t.teardown(() => toggler.stop());
+	t.is(listeners.size, 0, "no listener until started");
+
+	// WHEN
+	toggler.start(60000);
+
+	// THEN
+	t.is(listeners.size, 1, "listener added when started");
+
+	// WHEN
+	toggler.stop();
+
+	// THEN
+	t.is(listeners.size, 0, "listener removed when stopped");
+
+	// WHEN
+	toggler.start(60000);
+	policy.visible = false;
+
+	// THEN
+	t.is(listeners.size, 1, "listener added again when restarted");
+	t.true(toggler.paused, "policy applied after restart");
+});
+
+/**
+ * A SolarFlux client that publishes messages locally.
+ *
+ * Like an MQTT.js client, a topic subscribed to many times is a single subscription, removed by
+ * a single unsubscribe, and message payloads are buffers.
+ */
+class TestFluxClient extends EventEmitter {
+	connected = false;
+	readonly subscriptions = new Set<string>();
+
+	subscribe(topic: string, callback?: (error?: Error | null) => void) {
+		this.subscriptions.add(topic);
+		callback?.(null);
+	}
+
+	unsubscribe(topic: string) {
+		this.subscriptions.delete(topic);
+	}
+
+	connect() {
+		this.connected = true;
+		this.emit("connect");
+	}
+
+	close() {
+		this.connected = false;
+		this.emit("close");
+	}
+
+	publish(topic: string, message: string | Record<string, any>) {
+		if (
+			!Array.from(this.subscriptions).some((filter) =>
+				fluxTopicMatches(filter, topic)
+			)
+		) {
+			return;
+		}
+		this.emit(
+			"message",
+			topic,
+			Buffer.from(
+				typeof message === "string" ? message : JSON.stringify(message)
+			)
+		);
+	}
+}
+
+const TEST_FLUX_TOPIC = "user/1/node/123/datum/0/test-control";
+
+test.serial("realtime", async (t) => {
+	// GIVEN
+	updateIntercepts(t.context.agent, 0);
+	const client = new TestFluxClient();
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		realtime: { client: client, userId: 1, decode: decodeFluxJson },
+	});
+	t.teardown(() => toggler.stop());
+	const realtimeChanges: boolean[] = [];
+	toggler.addEventListener("realtimechange", (event) => {
+		t.true(event instanceof ControlRealtimeChangeEvent);
+		realtimeChanges.push(event.connected);
+	});
+	const values: ControlValueType[] = [];
+	const loaded = new Promise<void>((resolve) => {
+		toggler.addEventListener("valuechange", (event) => {
+			values.push(event.newValue!);
+			resolve();
+		});
+	});
+
+	// WHEN
+	toggler.start();
+	await loaded;
+	client.connect();
+
+	// THEN
+	t.true(toggler.realtime, "real-time updates connected");
+	t.deepEqual(
+		Array.from(client.subscriptions),
+		[TEST_FLUX_TOPIC],
+		"datum subscribed"
+	);
+
+	// WHEN
+	client.publish("user/1/node/123/datum/0/other-control", {
+		created: Date.now(),
+		val: 1,
+	});
+	client.publish(TEST_FLUX_TOPIC, "not JSON");
+	client.publish(TEST_FLUX_TOPIC, {
+		created: "2017-07-26 05:00:00.000Z",
+		nodeId: 123,
+		sourceId: "test-control",
+		val: 1,
+	});
+
+	// THEN
+	t.is(toggler.value(), 0, "other, invalid, and older messages ignored");
+
+	// WHEN
+	client.publish(TEST_FLUX_TOPIC, {
+		created: Date.now(),
+		nodeId: 123,
+		sourceId: "test-control",
+		val: 1,
+		watts: 100,
+	});
+
+	// THEN
+	t.is(toggler.value(), 1, "value updated from message");
+	t.is(toggler.datum?.watts, 100, "datum updated from message");
+	t.deepEqual(values, [0, 1], "value changes dispatched");
+
+	// WHEN
+	client.close();
+
+	// THEN
+	t.false(toggler.realtime, "fell back to polling");
+	t.deepEqual(realtimeChanges, [true, false]);
+
+	// WHEN
+	toggler.stop();
+
+	// THEN
+	t.is(client.listenerCount("message"), 0, "listeners removed when stopped");
+});
+
+test.serial("realtime:connected", (t) => {
+	// GIVEN
+	const client = new TestFluxClient();
+	client.connected = true;
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		realtime: {
+			client: client,
+			topic: "node/123/datum/0/#",
+			decode: decodeFluxJson,
+		},
+	});
+
+	// WHEN
+	toggler.start(60000);
+
+	// THEN
+	t.true(toggler.realtime, "subscribed with connected client");
+	t.deepEqual(Array.from(client.subscriptions), ["node/123/datum/0/#"]);
+
+	// WHEN
+	toggler.stop();
+
+	// THEN
+	t.false(toggler.realtime, "disconnected when stopped");
+	t.is(client.subscriptions.size, 0, "unsubscribed when stopped");
+});
+
+test.serial("realtime:sharedTopic", (t) => {
+	// GIVEN
+	const client = new TestFluxClient();
+	client.connected = true;
+	const realtime = { client: client, userId: 1, decode: decodeFluxJson };
+	const toggler1 = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		realtime: realtime,
+	});
+	t.teardown(() => toggler1.stop());
+	const toggler2 = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		realtime: realtime,
+	});
+	t.teardown(() => toggler2.stop());
+	toggler1.start(60000);
+	toggler2.start(60000);
+
+	// WHEN
+	toggler1.stop();
+	client.publish(TEST_FLUX_TOPIC, {
+		created: Date.now(),
+		nodeId: 123,
+		sourceId: "test-control",
+		val: 1,
+	});
+
+	// THEN
+	t.deepEqual(
+		Array.from(client.subscriptions),
+		[TEST_FLUX_TOPIC],
+		"topic still subscribed for other toggler"
+	);
+	t.true(toggler2.realtime, "other toggler still connected");
+	t.is(toggler2.value(), 1, "other toggler still receives messages");
+
+	// WHEN
+	toggler2.stop();
+
+	// THEN
+	t.is(client.subscriptions.size, 0, "unsubscribed once no togglers remain");
+});
+
+test("realtime:invalid", (t) => {
+	const options = {
+		api: new SolarUserApi(),
+		auth: new AuthorizationV2Builder(TEST_TOKEN_ID),
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+	};
+	t.throws(
+		() =>
+			new ControlTogger({
+				...options,
+				realtime: {
+					client: new TestFluxClient(),
+					decode: decodeFluxJson,
+				},
+			}),
+		{
+			instanceOf: TypeError,
+			message: "The realtime userId or topic option is required.",
+		}
+	);
+	t.throws(
+		() =>
+			new ControlTogger({
+				...options,
+				realtime: { client: new TestFluxClient(), userId: 1 } as any,
+			}),
+		{
+			instanceOf: TypeError,
+			message: "The realtime decode option is required.",
+		}
+	);
+	t.throws(
+		() =>
+			new ControlTogger({
+				...options,
+				realtime: {
+					client: new TestFluxClient(),
+					userId: 1,
+					decode: decodeFluxJson,
+					refreshMs: 0,
+				},
+			}),
+		{ instanceOf: RangeError }
+	);
+});
+
+function viewInstructionIntercept(agent: MockAgent, state: string) {
+	agent
+		.get("http://localhost")
+		.intercept({
+			path: "/solaruser/api/v1/sec/instr/view?id=12345",
+			method: "GET",
+		})
+		.reply(200, {
+			success: true,
+			data: {
+				id: 12345,
+				created: "2017-07-26 05:57:49.608Z",
+				topic: "SetControlParameter",
+				state: state,
+				parameters: [{ name: "test-control", value: "1" }],
+			},
+		});
+}
+
+test.serial("cancelPending", async (t) => {
+	// GIVEN
+	queueInstructionIntercept(t.context.agent);
+	viewInstructionIntercept(t.context.agent, "Queued");
+	t.context.agent
+		.get("http://localhost")
+		.intercept({
+			path: "/solaruser/api/v1/sec/instr/updateState",
+			method: "POST",
+			body: "id=12345&state=Declined",
+		})
+		.reply(200, {
+			success: true,
+		});
+	const toggler = createToggler(t.context.api, t.context.auth);
+	const pendingChanges: boolean[] = [];
+	toggler.addEventListener("pendingchange", (event) => {
+		pendingChanges.push(event.pending);
+	});
+
+	// WHEN
+	await toggler.value(1);
+	const result = await toggler.cancelPending();
+
+	// THEN
+	t.true(result.cancelled, "instruction cancelled");
+	t.is(result.instruction?.id, 12345, "instruction provided");
+	t.is(result.instruction?.state, "Declined", "instruction declined");
+	t.is(
+		toggler.instruction?.state,
+		"Declined",
+		"tracked instruction declined"
+	);
+	t.false(toggler.hasPendingStateChange, "no longer pending");
+	t.deepEqual(pendingChanges, [true, false], "listeners notified");
+});
+
+test.serial("cancelPending:tooLate", async (t) => {
+	// GIVEN
+	queueInstructionIntercept(t.context.agent);
+	viewInstructionIntercept(t.context.agent, "Executing");
+	const toggler = createToggler(t.context.api, t.context.auth);
+
+	// WHEN
+	await toggler.value(1);
+	const result = await toggler.cancelPending();
+
+	// THEN
+	t.false(result.cancelled, "instruction not cancelled");
+	t.is(result.instruction?.state, "Executing", "current state provided");
+	t.true(toggler.hasPendingStateChange, "still pending");
+});
+
+test.serial("cancelPending:none", async (t) => {
+	const toggler = createToggler(t.context.api, t.context.auth);
+	t.deepEqual(await toggler.cancelPending(), { cancelled: false });
+});
+
+test.serial("cancelPending:error", async (t) => {
+	// GIVEN
+	queueInstructionIntercept(t.context.agent);
+	viewInstructionIntercept(t.context.agent, "Queued");
+	t.context.agent
+		.get("http://localhost")
+		.intercept({
+			path: "/solaruser/api/v1/sec/instr/updateState",
+			method: "POST",
+		})
+		.reply(500, { success: false, message: "Whoops" });
+	const toggler = createToggler(t.context.api, t.context.auth);
+	const errors: Error[] = [];
+	toggler.addEventListener("error", (event) => {
+		errors.push(event.error);
+	});
+
+	// WHEN
+	await toggler.value(1);
+	await t.throwsAsync(toggler.cancelPending(), { message: "Whoops" });
+
+	// THEN
+	t.is(errors.length, 1, "error dispatched");
+	t.true(toggler.hasPendingStateChange, "still pending");
+});
+
+function optimisticToggler(t: {
+	context: { api: SolarUserApi; auth: AuthorizationV2Builder };
+}) {
+	return new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		optimistic: true,
+	});
+}
+
+test.serial("optimistic:confirmed", async (t) => {
+	// GIVEN
+	updateIntercepts(t.context.agent, 0);
+	queueInstructionIntercept(t.context.agent);
+	updateIntercepts(t.context.agent, 1, "Completed");
+	const toggler = optimisticToggler(t);
+	await toggler.update();
+	const snapshots: ControlTogglerSnapshot[] = [];
+	toggler.addEventListener("change", (event) => {
+		snapshots.push(event.snapshot);
+	});
+	const rollbacks: ControlRollbackEvent[] = [];
+	toggler.addEventListener("rollback", (event) => {
+		rollbacks.push(event);
+	});
+
+	// WHEN
+	const result = toggler.value(1);
+
+	// THEN
+	t.is(toggler.value(), 1, "desired value reported immediately");
+	t.true(toggler.hasPendingStateChange, "change pending");
+	t.like(
+		snapshots[0],
+		{ value: 1, pending: true, optimistic: true },
+		"optimistic snapshot"
+	);
+
+	await result;
+	await toggler.update();
+	t.is(toggler.value(), "1", "value confirmed from instruction");
+	t.false(toggler.hasPendingStateChange, "change confirmed");
+	t.like(
+		snapshots[snapshots.length - 1],
+		{ value: "1", pending: false, optimistic: false },
+		"confirmed snapshot"
+	);
+	t.deepEqual(rollbacks, [], "no rollback");
+});
+
+test.serial("optimistic:declined", async (t) => {
+	// GIVEN
+	updateIntercepts(t.context.agent, 0);
+	queueInstructionIntercept(t.context.agent);
+	updateIntercepts(t.context.agent, 0, "Declined", {
+		message: "Device offline",
+	});
+	const toggler = optimisticToggler(t);
+	await toggler.update();
+	const values: [
+		ControlValueType | undefined,
+		ControlValueType | undefined,
+	][] = [];
+	toggler.addEventListener("valuechange", (event) => {
+		values.push([event.oldValue, event.newValue]);
+	});
+	const rollbacks: ControlRollbackEvent[] = [];
+	toggler.addEventListener("rollback", (event) => {
+		rollbacks.push(event);
+	});
+
+	// WHEN
+	await toggler.value(1);
+	await toggler.update();
+
+	// THEN
+	t.is(toggler.value(), 0, "value rolled back");
+	t.is(rollbacks.length, 1, "rollback event dispatched");
+	t.is(rollbacks[0].reason, "declined");
+	t.is(rollbacks[0].value, 1, "rolled back value provided");
+	t.is(rollbacks[0].restoredValue, 0, "restored value provided");
+	t.is(rollbacks[0].instruction?.id, 12345, "instruction provided");
+	t.deepEqual(
+		rollbacks[0].instruction?.resultParameters,
+		{ message: "Device offline" },
+		"decline reason available"
+	);
+	t.deepEqual(
+		values,
+		[
+			[0, 1],
+			[1, 0],
+		],
+		"value changed optimistically then rolled back"
+	);
+});
+
+test.serial("optimistic:failed", async (t) => {
+	// GIVEN
+	updateIntercepts(t.context.agent, 0);
+	t.context.agent
+		.get("http://localhost")
+		.intercept({
+			path: "/solaruser/api/v1/sec/instr/add/SetControlParameter",
+			method: "POST",
+		})
+		.reply(500, { success: false, message: "Whoops" });
+	const toggler = optimisticToggler(t);
+	await toggler.update();
+	const rollback = new Promise<ControlRollbackEvent>((resolve) => {
+		toggler.addEventListener("rollback", resolve, { once: true });
+	});
+
+	// WHEN
+	await t.throwsAsync(toggler.value(1));
+	const event = await rollback;
+
+	// THEN
+	t.is(event.reason, "failed");
+	t.is(event.error?.message, "Whoops", "error provided");
+	t.is(toggler.value(), 0, "value rolled back");
+	t.false(toggler.hasPendingStateChange, "no change pending");
+});
+
+test.serial("optimistic:timeout", async (t) => {
+	// GIVEN
+	updateIntercepts(t.context.agent, 0);
+	queueInstructionIntercept(t.context.agent);
+	const toggler = optimisticToggler(t);
+	toggler.optimisticTimeoutMs = 50;
+	await toggler.update();
+	const rollback = new Promise<ControlRollbackEvent>((resolve) => {
+		toggler.addEventListener("rollback", resolve, { once: true });
+	});
+
+	// WHEN
+	await toggler.value(1);
+	t.is(toggler.value(), 1, "optimistic value reported");
+	const event = await rollback;
+
+	// THEN
+	t.is(event.reason, "timeout");
+	t.is(event.instruction?.id, 12345, "instruction provided");
+	t.is(toggler.value(), 0, "value rolled back");
+});
+
+test.serial("status:lifecycle", async (t) => {
+	// GIVEN
+	updateIntercepts(t.context.agent, 0);
+	queueInstructionIntercept(t.context.agent);
+	updateIntercepts(t.context.agent, 0, "Executing");
+	updateIntercepts(t.context.agent, 0, "Completed");
+	updateIntercepts(t.context.agent, 1);
+	const toggler = createToggler(t.context.api, t.context.auth);
+	const statuses: ControlStatus[] = [];
+	toggler.addEventListener("statuschange", (event) => {
+		statuses.push(event.status);
+	});
+	t.is(toggler.status, ControlStatus.Unknown, "status unknown at start");
+
+	// WHEN
+	await toggler.update();
+	const result = toggler.value(1);
+	t.is(toggler.status, ControlStatus.Queuing, "queuing while request made");
+	await result;
+	await toggler.update();
+	await toggler.update();
+	await toggler.update();
+
+	// THEN
+	t.deepEqual(statuses, [
+		ControlStatus.Idle,
+		ControlStatus.Queuing,
+		ControlStatus.Pending,
+		ControlStatus.Executing,
+		ControlStatus.Confirming,
+		ControlStatus.Idle,
+	]);
+	const history = toggler.statusHistory;
+	t.deepEqual(
+		history.map((h) => [h.previousStatus, h.status]),
+		[
+			[ControlStatus.Unknown, ControlStatus.Idle],
+			[ControlStatus.Idle, ControlStatus.Queuing],
+			[ControlStatus.Queuing, ControlStatus.Pending],
+			[ControlStatus.Pending, ControlStatus.Executing],
+			[ControlStatus.Executing, ControlStatus.Confirming],
+			[ControlStatus.Confirming, ControlStatus.Idle],
+		],
+		"transitions recorded"
+	);
+	t.is(history[2].instructionId, 12345, "instruction ID recorded");
+	t.true(history[0].date instanceof Date, "transition date recorded");
+
+	toggler.statusHistoryLimit = 2;
+	t.deepEqual(
+		toggler.statusHistory.map((h) => h.status),
+		[ControlStatus.Confirming, ControlStatus.Idle],
+		"history trimmed to limit"
+	);
+});
+
+test.serial("status:confirming:unconfirmed", async (t) => {
+	// GIVEN
+	updateIntercepts(t.context.agent, 0);
+	queueInstructionIntercept(t.context.agent);
+	updateIntercepts(t.context.agent, 0, "Completed");
+	updateIntercepts(t.context.agent, 0);
+	const toggler = createToggler(t.context.api, t.context.auth);
+	await toggler.update();
+	await toggler.value(1);
+
+	// WHEN
+	await toggler.update();
+
+	// THEN
+	t.is(toggler.status, ControlStatus.Confirming, "confirming once completed");
+
+	// WHEN
+	await toggler.update();
+
+	// THEN
+	t.is(
+		toggler.status,
+		ControlStatus.Idle,
+		"idle after datum refreshed without new value"
+	);
+	t.deepEqual(
+		toggler.statusHistory.slice(-2).map((h) => h.status),
+		[ControlStatus.Confirming, ControlStatus.Idle]
+	);
+});
+
+test.serial("status:offline", async (t) => {
+	// GIVEN
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		circuitBreakerThreshold: 2,
+	});
+	const statuses: ControlStatus[] = [];
+	toggler.addEventListener("statuschange", (event) => {
+		statuses.push(event.status);
+	});
+
+	// WHEN
+	await toggler.update();
+	await toggler.update();
+	updateIntercepts(t.context.agent, 1);
+	await toggler.update();
+
+	// THEN
+	t.deepEqual(statuses, [
+		ControlStatus.Error,
+		ControlStatus.Offline,
+		ControlStatus.Idle,
+	]);
+	t.truthy(toggler.statusHistory[0].error, "error message recorded");
+});
+
+function conflictIntercepts(agent: MockAgent) {
+	const http = agent.get("http://localhost");
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: {
+			results: [
+				{
+					created: "2017-07-26 05:57:49.608Z",
+					nodeId: 123,
+					sourceId: "test-control",
+					val: 0,
+				},
+			],
+		},
+	});
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: [
+			{
+				id: 12345,
+				created: "2017-07-26 05:57:49.608Z",
+				topic: "SetControlParameter",
+				state: "Queued",
+				parameters: [{ name: "test-control", value: "1" }],
+			},
+			{
+				id: 23456,
+				created: "2017-07-26 05:58:00.000Z",
+				topic: "SetControlParameter",
+				state: "Queued",
+				parameters: [{ name: "test-control", value: "0" }],
+			},
+		],
+	});
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/view?id=12345",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: {
+			id: 12345,
+			created: "2017-07-26 05:57:49.608Z",
+			topic: "SetControlParameter",
+			state: "Queued",
+			parameters: [{ name: "test-control", value: "1" }],
+		},
+	});
+}
+
+test.serial("conflict", async (t) => {
+	// GIVEN
+	queueInstructionIntercept(t.context.agent);
+	conflictIntercepts(t.context.agent);
+	conflictIntercepts(t.context.agent);
+	const toggler = createToggler(t.context.api, t.context.auth);
+	const conflicts: ControlConflictEvent[] = [];
+	toggler.addEventListener("conflict", (event) => {
+		conflicts.push(event);
+	});
+	const instructionEvents: ControlInstructionStateChangeEvent[] = [];
+	toggler.addEventListener("instructionstatechange", (event) => {
+		instructionEvents.push(event);
+	});
+
+	// WHEN
+	await toggler.value(1);
+	await toggler.update();
+	await toggler.update();
+
+	// THEN
+	t.true(toggler.isOwnInstruction(12345), "queued instruction is own");
+	t.false(toggler.isOwnInstruction(23456), "other instruction is external");
+	t.is(conflicts.length, 1, "conflict reported once");
+	t.is(conflicts[0].instruction.id, 12345);
+	t.is(conflicts[0].conflictingInstruction.id, 23456);
+	t.is(conflicts[0].value, "1");
+	t.is(conflicts[0].conflictingValue, "0");
+	t.deepEqual(
+		instructionEvents.map((e) => [e.instruction.id, e.external]),
+		[[12345, false]],
+		"own instruction still tracked, not flagged as external"
+	);
+});
+
+test.serial("valuechange:external", async (t) => {
+	// GIVEN
+	updateIntercepts(t.context.agent, 1);
+	updateIntercepts(t.context.agent, 0);
+	queueInstructionIntercept(t.context.agent);
+	updateIntercepts(t.context.agent, 1, "Completed");
+	const toggler = createToggler(t.context.api, t.context.auth);
+	const changes: [any, boolean][] = [];
+	toggler.addEventListener("valuechange", (event) => {
+		changes.push([event.newValue, event.external]);
+	});
+
+	// WHEN
+	await toggler.update();
+	await toggler.update();
+	await toggler.value(1);
+	await toggler.update();
+
+	// THEN
+	t.deepEqual(
+		changes,
+		[
+			[1, false],
+			[0, true],
+			["1", false],
+		],
+		"initial value not external, unexplained change external, own change local"
+	);
+});
+
+function queueInstructionIntercept(
+	agent: MockAgent,
+	state: string = "Queued",
+	value: string = "1"
+) {
+	agent
+		.get("http://localhost")
+		.intercept({
+			path: "/solaruser/api/v1/sec/instr/add/SetControlParameter",
+			method: "POST",
+		})
+		.reply(200, {
+			success: true,
+			data: {
+				id: 12345,
+				created: "2017-07-26 05:57:49.608Z",
+				topic: "SetControlParameter",
+				state: state,
+				parameters: [{ name: "test-control", value: value }],
+			},
+		});
+}
+
+function updateIntercepts(
+	agent: MockAgent,
+	datumValue: ControlValueType,
+	instructionState?: string,
+	resultParameters?: Record<string, any>
+) {
+	const http = agent.get("http://localhost");
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: {
+			results: [
+				{
+					created: "2017-07-26 05:57:49.608Z",
+					nodeId: 123,
+					sourceId: "test-control",
+					val: datumValue,
+				},
+			],
+		},
+	});
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: [],
+	});
+	if (instructionState) {
+		http.intercept({
+			path: "/solaruser/api/v1/sec/instr/view?id=12345",
+			method: "GET",
+		}).reply(200, {
+			success: true,
+			data: {
+				id: 12345,
+				created: "2017-07-26 05:58:00.000Z",
+				topic: "SetControlParameter",
+				state: instructionState,
+				parameters: [{ name: "test-control", value: "1" }],
+				resultParameters: resultParameters,
+			},
+		});
+	}
+}
+
+test.serial("setAndConfirm:completed", async (t) => {
+	// GIVEN
+	queueInstructionIntercept(t.context.agent);
+	updateIntercepts(t.context.agent, 0, "Completed");
+
+	// WHEN
+	const toggler = createToggler(t.context.api, t.context.auth);
+	toggler.pendingRefreshMs = 10;
+	const result = await toggler.setAndConfirm(1);
+
+	// THEN
+	t.is(result.value, "1", "value from completed instruction");
+	t.false(result.pending, "no pending change");
+	t.is(result.instruction?.state, "Completed", "instruction completed");
+});
+
+test.serial("setAndConfirm:confirmDatum", async (t) => {
+	// GIVEN
+	queueInstructionIntercept(t.context.agent);
+	updateIntercepts(t.context.agent, 0, "Completed");
+	updateIntercepts(t.context.agent, 1);
+
+	// WHEN
+	const toggler = createToggler(t.context.api, t.context.auth);
+	toggler.pendingRefreshMs = 10;
+	let updateCount = 0;
+	toggler.addEventListener("change", () => {
+		updateCount += 1;
+	});
+	const result = await toggler.setAndConfirm(1, { confirmDatum: true });
+
+	// THEN
+	t.is(result.value, "1", "value confirmed");
+	t.is(updateCount, 2, "waited for datum after instruction completed");
+});
+
+test.serial("setAndConfirm:declined", async (t) => {
+	// GIVEN
+	queueInstructionIntercept(t.context.agent);
+	updateIntercepts(t.context.agent, 0, "Declined");
+
+	// WHEN
+	const toggler = createToggler(t.context.api, t.context.auth);
+	toggler.pendingRefreshMs = 10;
+	const error = await t.throwsAsync(toggler.setAndConfirm(1));
+
+	// THEN
+	t.is(error.message, "Instruction 12345 declined");
+	t.is(toggler.value(), 0, "value from datum");
+});
+
+test.serial("setAndConfirm:declined:reason", async (t) => {
+	// GIVEN
+	queueInstructionIntercept(t.context.agent);
+	updateIntercepts(t.context.agent, 0, "Declined", {
+		message: "Device offline",
+		code: "E01",
+	});
+
+	// WHEN
+	const toggler = createToggler(t.context.api, t.context.auth);
+	toggler.pendingRefreshMs = 10;
+	const messages: (string | undefined)[] = [];
+	toggler.addEventListener("instructionstatechange", (event) => {
+		messages.push(event.resultMessage);
+	});
+	const snapshots: ControlTogglerSnapshot[] = [];
+	toggler.addEventListener("change", (event) => {
+		snapshots.push(event.snapshot);
+	});
+	const error = await t.throwsAsync(toggler.setAndConfirm(1), {
+		instanceOf: InstructionDeclinedError,
+	});
+
+	// THEN
+	t.is(error.message, "Instruction 12345 declined: Device offline (E01)");
+	t.is(error.reason, "Device offline (E01)", "reason from result parameters");
+	t.is(error.instruction.id, 12345, "error provides instruction");
+	t.deepEqual(
+		toggler.instruction?.resultParameters,
+		{ message: "Device offline", code: "E01" },
+		"result parameters available from accessor"
+	);
+	t.is(toggler.instruction?.state, "Declined");
+	t.deepEqual(
+		messages,
+		[undefined, "Device offline (E01)"],
+		"reason included in instruction state change events"
+	);
+	t.is(
+		snapshots[snapshots.length - 1].resultMessage,
+		"Device offline (E01)",
+		"reason included in snapshot"
+	);
+});
+
+test.serial("setAndConfirm:timeout", async (t) => {
+	// GIVEN
+	queueInstructionIntercept(t.context.agent);
+
+	// WHEN
+	const toggler = createToggler(t.context.api, t.context.auth);
+	toggler.pendingRefreshMs = 1000;
+	const error = await t.throwsAsync(
+		toggler.setAndConfirm(1, { timeoutMs: 50 })
+	);
+
+	// THEN
+	t.true(error instanceof ControlTimeoutError, "timeout error thrown");
+	t.is(error.name, "TimeoutError");
+	t.true(toggler.hasPendingStateChange, "change still pending");
+});
+
+test.serial("setAndConfirm:timeout:queuing", async (t) => {
+	// GIVEN
+	t.context.agent
+		.get("http://localhost")
+		.intercept({
+			path: "/solaruser/api/v1/sec/instr/add/SetControlParameter",
+			method: "POST",
+		})
+		.reply(200, {
+			success: true,
+			data: {
+				id: 12345,
+				created: "2017-07-26 05:57:49.608Z",
+				topic: "SetControlParameter",
+				state: "Queued",
+				parameters: [{ name: "test-control", value: "1" }],
+			},
+		})
+		.delay(300);
+
+	// WHEN
+	const toggler = createToggler(t.context.api, t.context.auth);
+	toggler.pendingRefreshMs = 1000;
+	const start = Date.now();
+	const error = await t.throwsAsync(
+		toggler.setAndConfirm(1, { timeoutMs: 100 })
+	);
+
+	// THEN
+	t.true(error instanceof ControlTimeoutError, "timeout error thrown");
+	t.true(
+		Date.now() - start < 300,
+		"deadline started before instruction queued"
+	);
+});
+
+test("setAndConfirm:timeout:invalid", async (t) => {
+	const toggler = createToggler(t.context.api, t.context.auth);
+	for (const timeoutMs of [0, -1, NaN]) {
+		await t.throwsAsync(toggler.setAndConfirm(1, { timeoutMs }), {
+			instanceOf: RangeError,
+			message: `The timeoutMs value must be a positive number, but was ${timeoutMs}.`,
+		});
+	}
+	t.false(toggler.hasPendingStateChange, "no change requested");
+});
+
+test.serial("setValue:abort", async (t) => {
+	// GIVEN
+	const ctrl = new AbortController();
+	ctrl.abort();
+
+	// WHEN
+	const toggler = createToggler(t.context.api, t.context.auth);
+	const error = await t.throwsAsync(
+		toggler.value(1, { signal: ctrl.signal })
+	);
+
+	// THEN
+	t.true(error instanceof ControlAbortError, "abort error thrown");
+	t.is(error.name, "AbortError");
+	t.false(toggler.hasPendingStateChange, "no change pending");
+});
+
+test.serial("update:abort", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+	})
+		.reply(200, { success: true, data: { results: [] } })
+		.delay(1000);
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	}).reply(200, { success: true, data: [] });
+
+	const ctrl = new AbortController();
+	const toggler = createToggler(t.context.api, t.context.auth);
+	let errorCount = 0;
+	toggler.addEventListener("error", () => {
+		errorCount += 1;
+	});
+
+	// WHEN
+	const result = toggler.update({ signal: ctrl.signal });
+	setTimeout(() => ctrl.abort(), 10);
+	const error = await t.throwsAsync(result);
+
+	// THEN
+	t.true(error instanceof ControlAbortError, "abort error thrown");
+	t.is(errorCount, 0, "abort not reported as error");
+});
+
+test.serial("update:requestTimeout", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+	})
+		.reply(200, { success: true, data: { results: [] } })
+		.delay(1000);
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	}).reply(200, { success: true, data: [] });
+
+	const toggler = createToggler(t.context.api, t.context.auth);
+	toggler.requestTimeoutMs = 20;
+	const errors: Error[] = [];
+	toggler.addEventListener("error", (event) => {
+		errors.push(event.error);
+	});
+
+	// WHEN
+	await toggler.update();
+
+	// THEN
+	t.is(errors.length, 1, "timeout reported as error");
+	t.true(errors[0] instanceof ControlTimeoutError, "timeout error");
+	t.is(errors[0].message, "Request timed out after 20ms");
+});
+
+test.serial("setAndConfirm:abort", async (t) => {
+	// GIVEN
+	queueInstructionIntercept(t.context.agent);
+	const ctrl = new AbortController();
+
+	// WHEN
+	const toggler = createToggler(t.context.api, t.context.auth);
+	toggler.pendingRefreshMs = 1000;
+	const result = toggler.setAndConfirm(1, { signal: ctrl.signal });
+	setTimeout(() => ctrl.abort(), 50);
+	const error = await t.throwsAsync(result);
+
+	// THEN
+	t.true(error instanceof ControlAbortError, "abort error thrown");
+	t.true(toggler.hasPendingStateChange, "change still pending");
+});
+
+test.serial("valueCodec:boolean", async (t) => {
+	// GIVEN
+	updateIntercepts(t.context.agent, "1");
+	queueInstructionIntercept(t.context.agent, "Queued", "false");
+
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		valueCodec: new BooleanValueCodec(),
+	});
+
+	// WHEN
+	await toggler.update();
+	const current = toggler.value();
+	const unchanged = await toggler.value("true");
+	const invalid = await t.throwsAsync(toggler.value("maybe"));
+	const info = await toggler.value(false);
+
+	// THEN
+	t.is(current, true, "datum value normalized");
+	t.falsy(unchanged, "no instruction queued for same value");
+	t.true(invalid instanceof TypeError, "invalid value rejected");
+	t.is(
+		invalid.message,
+		"Invalid boolean value for control test-control: maybe"
+	);
+	t.is(info.id, 12345, "instruction queued for different value");
+	t.true(toggler.hasPendingStateChange, "change pending");
+});
+
+test.serial("valueCodec:float", async (t) => {
+	// GIVEN
+	updateIntercepts(t.context.agent, 20.004);
+
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		valueCodec: new FloatValueCodec(0.01),
+	});
+
+	// WHEN
+	await toggler.update();
+	const info = await toggler.value("20");
+
+	// THEN
+	t.is(toggler.value(), 20.004, "datum value");
+	t.falsy(info, "no instruction queued for value within tolerance");
+});
+
+function datumIntercepts(agent: MockAgent, datum: Record<string, any>) {
+	const http = agent.get("http://localhost");
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: {
+			results: [
+				{
+					created: "2017-07-26 05:57:49.608Z",
+					nodeId: 123,
+					sourceId: "test-control",
+					...datum,
+				},
+			],
+		},
+	});
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: [],
+	});
+}
+
+test.serial("valueProperty", async (t) => {
+	// GIVEN
+	datumIntercepts(t.context.agent, { status: 1, mode: "auto", fault: 0 });
+
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		valueProperty: "status",
+	});
+	const snapshots: ControlTogglerSnapshot[] = [];
+	toggler.addEventListener("change", (event) => {
+		snapshots.push(event.snapshot);
+	});
+
+	// WHEN
+	await toggler.update();
+
+	// THEN
+	t.is(toggler.value(), 1, "value from configured property");
+	t.is(toggler.datum?.val, 1, "datum val from configured property");
+	t.is(toggler.datum?.mode, "auto", "other datum properties available");
+	t.is(toggler.datum?.fault, 0, "other datum properties available");
+	t.is(snapshots.length, 1, "change event dispatched");
+	t.is(snapshots[0].datum, toggler.datum, "datum provided in snapshot");
+});
+
+test.serial("valueProperty:extractor", async (t) => {
+	// GIVEN
+	datumIntercepts(t.context.agent, { setpoint: { value: 21.5 } });
+
+	const toggler = new ControlTogger({
+		api: t.context.api,
+		auth: t.context.auth,
+		nodeId: TEST_NODE_ID,
+		controlId: TEST_CONTROL_ID,
+		valueProperty: (datum) => datum.setpoint?.value,
+	});
+
+	// WHEN
+	await toggler.update();
+
+	// THEN
+	t.is(toggler.value(), 21.5, "value from extractor");
+});
+
+test("valueProperty:invalid", (t) => {
+	t.throws(
+		() =>
+			new ControlTogger({
+				api: t.context.api,
+				auth: t.context.auth,
+				nodeId: TEST_NODE_ID,
+				controlId: TEST_CONTROL_ID,
+				valueProperty: "",
+			}),
+		{
+			instanceOf: TypeError,
+			message: "The value property must not be empty.",
+		}
+	);
+});
+
+test.serial("update:pending:multiParameter", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: { results: [] },
+	});
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: [
+			{
+				id: 12345,
+				created: "2017-07-26 05:57:49.608Z",
+				topic: "SetControlParameter",
+				state: "Queued",
+				parameters: [
+					{ name: "other-control", value: "0" },
+					{ name: "test-control", value: "1" },
+				],
+			},
+		],
+	});
+
+	// WHEN
+	const toggler = createToggler(t.context.api, t.context.auth);
+	const instructionIds: number[] = [];
+	toggler.addEventListener("instructionstatechange", (event) => {
+		instructionIds.push(event.instruction.id);
+	});
+	await toggler.update();
+
+	// THEN
+	t.true(toggler.hasPendingStateChange, "instruction found by any parameter");
+	t.deepEqual(instructionIds, [12345], "instruction tracked");
+});
+
+test("trackInstruction:otherControl", (t) => {
+	const toggler = createToggler(t.context.api, t.context.auth);
+	t.throws(
+		() =>
+			toggler.trackInstruction({
+				id: 1,
+				created: "2017-07-26 05:57:49.608Z",
+				topic: "SetControlParameter",
+				state: "Queued",
+				parameters: [{ name: "other-control", value: "1" }],
+			} as any),
+		{
+			instanceOf: TypeError,
+			message: "Instruction 1 does not set control test-control.",
+		}
+	);
+});
@@ -0,0 +1,209 @@
+import anyTest, { TestFn } from "ava";
+import { MockAgent, setGlobalDispatcher } from "undici";
+
+import { Logger as log, LogLevel } from "solarnetwork-api-core/lib/util";
+import {
+	AuthorizationV2Builder,
+	SolarQueryApi,
+	SolarUserApi,
+} from "solarnetwork-api-core/lib/net";
+
+import { type ControlValueType } from "../main/controlToggler.js";
+import ControlTogglerGroup from "../main/controlTogglerGroup.js";
+
+const test = anyTest as TestFn<{
+	agent: MockAgent;
+	api: SolarUserApi;
+	queryApi: SolarQueryApi;
+	auth: AuthorizationV2Builder;
+}>;
+
+log.level = LogLevel.DEBUG;
+
+const TEST_CONTROL_ID_1 = "test-control-1";
+const TEST_CONTROL_ID_2 = "test-control-2";
+const TEST_TOKEN_ID = "test-token";
+const TEST_TOKEN_SECRET = "secret";
+const TEST_NODE_ID = 123;
+
+const AUTH_GET_REGEX =
+	/^SNWS2 Credential=test-token,SignedHeaders=host;x-sn-date,Signature=/;
+
+test.beforeEach((t) => {
+	const agent = new MockAgent();
+	agent.disableNetConnect();
+	setGlobalDispatcher(agent);
+	const api = new SolarUserApi({ protocol: "http", host: "localhost" });
+	t.context = {
+		agent: agent,
+		api: api,
+		queryApi: new SolarQueryApi(api.environment),
+		auth: new AuthorizationV2Builder(TEST_TOKEN_ID).saveSigningKey(
+			TEST_TOKEN_SECRET
+		),
+	};
+});
+
+function createGroup(
+	api: SolarUserApi,
+	auth: AuthorizationV2Builder
+): ControlTogglerGroup {
+	return new ControlTogglerGroup(api, auth, TEST_NODE_ID);
+}
+
+test("construct", (t) => {
+	const group = createGroup(t.context.api, t.context.auth);
+	t.truthy(group);
+	t.is(group.nodeId, TEST_NODE_ID, "node ID assigned");
+	t.deepEqual(group.controlIds, [], "no controls");
+});
+
+test("add", (t) => {
+	const group = createGroup(t.context.api, t.context.auth);
+	const toggler1 = group.add(TEST_CONTROL_ID_1);
+	const toggler2 = group.add(TEST_CONTROL_ID_2);
+
+	t.is(toggler1.nodeId, TEST_NODE_ID, "toggler node ID from group");
+	t.is(toggler1.controlId, TEST_CONTROL_ID_1, "toggler control ID");
+	t.is(group.add(TEST_CONTROL_ID_1), toggler1, "existing toggler returned");
+	t.is(group.toggler(TEST_CONTROL_ID_2), toggler2, "toggler returned");
+	t.deepEqual(group.controlIds, [TEST_CONTROL_ID_1, TEST_CONTROL_ID_2]);
+});
+
+test("remove", (t) => {
+	const group = createGroup(t.context.api, t.context.auth);
+	group.add(TEST_CONTROL_ID_1);
+
+	t.true(group.remove(TEST_CONTROL_ID_1), "control removed");
+	t.false(group.remove(TEST_CONTROL_ID_1), "control not present");
+	t.is(group.toggler(TEST_CONTROL_ID_1), undefined, "toggler removed");
+});
+
+test.serial("update", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	const results = [
+		{
+			totalResults: 2,
+			startingOffset: 0,
+			returnedResultCount: 2,
+			results: [
+				{
+					created: "2017-07-26 05:57:49.608Z",
+					nodeId: 123,
+					sourceId: "test-control-1",
+					val: 1,
+				},
+				{
+					created: "2017-07-26 05:57:49.608Z",
+					nodeId: 123,
+					sourceId: "test-control-2",
+					val: 0,
+				},
+			],
+		},
+		[
+			{
+				id: 12345,
+				created: "2017-07-26 05:57:49.608Z",
+				topic: "SetControlParameter",
+				state: "Queued",
+				parameters: [{ name: "test-control-2", value: "1" }],
+			},
+		],
+	];
+
+	// one query for most-recent value of all controls
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceIds=test-control-1,test-control-2",
+		method: "GET",
+		headers: {
+			accept: "application/json",
+			authorization: AUTH_GET_REGEX,
+		},
+	}).reply(200, {
+		success: true,
+		data: results[0],
+	});
+
+	// one query for pending instructions
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+		headers: {
+			accept: "application/json",
+			authorization: AUTH_GET_REGEX,
+		},
+	}).reply(200, {
+		success: true,
+		data: results[1],
+	});
+
+	const callbackValues: Record<
+		string,
+		Array<ControlValueType | undefined>
+	> = {};
+
+	// WHEN
+	const group = createGroup(t.context.api, t.context.auth);
+	for (const controlId of [TEST_CONTROL_ID_1, TEST_CONTROL_ID_2]) {
+		group.add(controlId).callback = function (error) {
+			t.falsy(error, "no error reported");
+			(callbackValues[this.controlId] ??= []).push(this.value());
+		};
+	}
+	await group.update();
+
+	// THEN
+	const toggler1 = group.toggler(TEST_CONTROL_ID_1)!;
+	const toggler2 = group.toggler(TEST_CONTROL_ID_2)!;
+	t.false(toggler1.hasPendingStateChange, "control 1 no pending change");
+	t.is(toggler1.value(), 1, "control 1 value from most recent response");
+	t.true(toggler2.hasPendingStateChange, "control 2 has pending change");
+	t.is(toggler2.value(), 0, "control 2 value from most recent response");
+	t.true(group.hasPendingStateChange, "group has pending change");
+	t.deepEqual(
+		callbackValues,
+		{
+			[TEST_CONTROL_ID_1]: [1],
+			[TEST_CONTROL_ID_2]: [0],
+		},
+		"callback invoked for each control"
+	);
+});
+
+test.serial("update:error", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceIds=test-control-1,test-control-2",
+		method: "GET",
+	}).reply(500);
+
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: [],
+	});
+
+	const errors: Record<string, Error | undefined> = {};
+
+	// WHEN
+	const group = createGroup(t.context.api, t.context.auth);
+	for (const controlId of [TEST_CONTROL_ID_1, TEST_CONTROL_ID_2]) {
+		group.add(controlId).callback = function (error) {
+			errors[this.controlId] = error;
+		};
+	}
+	await group.update();
+
+	// THEN
+	t.deepEqual(
+		Object.keys(errors),
+		[TEST_CONTROL_ID_1, TEST_CONTROL_ID_2],
+		"error reported to each control"
+	);
+	t.regex(errors[TEST_CONTROL_ID_1]!.message, /^HTTP 500/);
+});
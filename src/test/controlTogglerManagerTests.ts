@@ -0,0 +1,619 @@
+import anyTest, { TestFn } from "ava";
+import { MockAgent, setGlobalDispatcher } from "undici";
+
+import { Logger as log, LogLevel } from "solarnetwork-api-core/lib/util";
+import {
+	AuthorizationV2Builder,
+	SolarUserApi,
+} from "solarnetwork-api-core/lib/net";
+
+import ControlTogglerManager from "../main/controlTogglerManager.js";
+
+const test = anyTest as TestFn<{
+	agent: MockAgent;
+	api: SolarUserApi;
+	auth: AuthorizationV2Builder;
+}>;
+
+log.level = LogLevel.DEBUG;
+
+const TEST_CONTROL_ID = "test-control";
+const TEST_TOKEN_ID = "test-token";
+const TEST_TOKEN_SECRET = "secret";
+const TEST_NODE_ID_1 = 123;
+const TEST_NODE_ID_2 = 234;
+
+const AUTH_GET_REGEX =
+	/^SNWS2 Credential=test-token,SignedHeaders=host;x-sn-date,Signature=/;
+
+test.beforeEach((t) => {
+	const agent = new MockAgent();
+	agent.disableNetConnect();
+	setGlobalDispatcher(agent);
+	const api = new SolarUserApi({ protocol: "http", host: "localhost" });
+	t.context = {
+		agent: agent,
+		api: api,
+		auth: new AuthorizationV2Builder(TEST_TOKEN_ID).saveSigningKey(
+			TEST_TOKEN_SECRET
+		),
+	};
+});
+
+function createManager(
+	api: SolarUserApi,
+	auth: AuthorizationV2Builder
+): ControlTogglerManager {
+	return new ControlTogglerManager(api, auth);
+}
+
+function instructionInfo(id: number, nodeId: number, state: string) {
+	return {
+		id: id,
+		nodeId: nodeId,
+		created: "2017-07-26 05:57:49.608Z",
+		topic: "SetControlParameter",
+		state: state,
+		parameters: [{ name: "test-control", value: "1" }],
+	};
+}
+
+test("construct", (t) => {
+	const manager = createManager(t.context.api, t.context.auth);
+	t.truthy(manager);
+	t.deepEqual(manager.nodeIds, [], "no nodes");
+	t.deepEqual(manager.togglers(), [], "no togglers");
+	t.is(manager.requestBudget, 0, "no request budget by default");
+});
+
+test("add", (t) => {
+	const manager = createManager(t.context.api, t.context.auth);
+	const toggler1 = manager.add(TEST_NODE_ID_1, TEST_CONTROL_ID);
+	const toggler2 = manager.add(TEST_NODE_ID_2, TEST_CONTROL_ID);
+
+	t.is(toggler1.nodeId, TEST_NODE_ID_1, "toggler 1 node ID");
+	t.is(toggler2.nodeId, TEST_NODE_ID_2, "toggler 2 node ID");
+	t.is(
+		manager.add(TEST_NODE_ID_1, TEST_CONTROL_ID),
+		toggler1,
+		"existing toggler returned"
+	);
+	t.is(manager.toggler(TEST_NODE_ID_2, TEST_CONTROL_ID), toggler2);
+	t.deepEqual(manager.nodeIds, [TEST_NODE_ID_1, TEST_NODE_ID_2]);
+	t.deepEqual(manager.togglers(), [toggler1, toggler2], "all togglers");
+	t.deepEqual(manager.togglers(TEST_NODE_ID_2), [toggler2], "node togglers");
+});
+
+test("remove", (t) => {
+	const manager = createManager(t.context.api, t.context.auth);
+	manager.add(TEST_NODE_ID_1, TEST_CONTROL_ID);
+
+	t.true(manager.remove(TEST_NODE_ID_1, TEST_CONTROL_ID), "removed");
+	t.false(manager.remove(TEST_NODE_ID_1, TEST_CONTROL_ID), "not present");
+	t.deepEqual(manager.nodeIds, [], "node removed with last control");
+});
+
+test.serial("update", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+
+	// one query for most-recent value of all controls on all nodes
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeIds=123,234&sourceId=test-control",
+		method: "GET",
+		headers: {
+			accept: "application/json",
+			authorization: AUTH_GET_REGEX,
+		},
+	}).reply(200, {
+		success: true,
+		data: {
+			results: [
+				{
+					created: "2017-07-26 05:57:49.608Z",
+					nodeId: 123,
+					sourceId: "test-control",
+					val: 1,
+				},
+				{
+					created: "2017-07-26 05:57:49.608Z",
+					nodeId: 234,
+					sourceId: "test-control",
+					val: 0,
+				},
+			],
+		},
+	});
+
+	// one query for pending instructions of all nodes
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeIds=123,234",
+		method: "GET",
+		headers: {
+			accept: "application/json",
+			authorization: AUTH_GET_REGEX,
+		},
+	}).reply(200, {
+		success: true,
+		data: [instructionInfo(1, 234, "Queued")],
+	});
+
+	// WHEN
+	const manager = createManager(t.context.api, t.context.auth);
+	const toggler1 = manager.add(TEST_NODE_ID_1, TEST_CONTROL_ID);
+	const toggler2 = manager.add(TEST_NODE_ID_2, TEST_CONTROL_ID);
+	await manager.update();
+
+	// THEN
+	t.is(toggler1.value(), 1, "node 1 value from most recent response");
+	t.false(toggler1.hasPendingStateChange, "node 1 no pending change");
+	t.is(toggler2.value(), 0, "node 2 value from most recent response");
+	t.true(toggler2.hasPendingStateChange, "node 2 pending instruction");
+	t.true(manager.hasPendingStateChange, "manager has pending change");
+});
+
+test.serial("start:restart", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	let datumRequestCount = 0;
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+	})
+		.reply(200, () => {
+			datumRequestCount += 1;
+			return { success: true, data: { results: [] } };
+		})
+		.delay(50)
+		.persist();
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	})
+		.reply(200, { success: true, data: [] })
+		.persist();
+	const manager = createManager(t.context.api, t.context.auth);
+	manager.refreshMs = 200;
+	manager.add(TEST_NODE_ID_1, TEST_CONTROL_ID);
+	t.teardown(() => manager.stop());
+
+	// WHEN
+	manager.start(1);
+	await new Promise((resolve) => setTimeout(resolve, 20));
+	manager.stop().start(1); // restart while the first update is in progress
+	await new Promise((resolve) => setTimeout(resolve, 1000));
+	manager.stop();
+
+	// THEN
+	t.true(
+		datumRequestCount <= 5,
+		`single polling loop after restart (${datumRequestCount} requests)`
+	);
+});
+
+test("refreshMs:invalid", (t) => {
+	const manager = createManager(t.context.api, t.context.auth);
+	t.throws(
+		() => {
+			manager.refreshMs = 0;
+		},
+		{ instanceOf: RangeError }
+	);
+	t.throws(
+		() => {
+			manager.pendingRefreshMs = -1;
+		},
+		{ instanceOf: RangeError }
+	);
+});
+
+test("requestBudget:invalid", (t) => {
+	const manager = createManager(t.context.api, t.context.auth);
+	for (const budget of [-1, 1.5, NaN]) {
+		t.throws(
+			() => {
+				manager.requestBudget = budget;
+			},
+			{ instanceOf: RangeError },
+			`budget ${budget} rejected`
+		);
+	}
+	for (const ms of [-1, NaN, Infinity]) {
+		t.throws(
+			() => {
+				manager.requestTimeoutMs = ms;
+			},
+			{ instanceOf: RangeError },
+			`timeout ${ms} rejected`
+		);
+	}
+	manager.requestBudget = 0;
+	manager.requestTimeoutMs = 0;
+	t.is(manager.requestBudget, 0, "no budget allowed");
+	t.is(manager.requestTimeoutMs, 0, "no timeout allowed");
+});
+
+test.serial("update:transport", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+		headers: {
+			authorization: AUTH_GET_REGEX,
+			"x-test": "test",
+		},
+	}).reply(200, {
+		success: true,
+		data: {
+			results: [
+				{
+					created: "2017-07-26 05:57:49.608Z",
+					nodeId: 123,
+					sourceId: "test-control",
+					val: 1,
+				},
+			],
+		},
+	});
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+		headers: {
+			authorization: AUTH_GET_REGEX,
+			"x-test": "test",
+		},
+	}).reply(200, {
+		success: true,
+		data: [],
+	});
+
+	let fetchCount = 0;
+
+	// WHEN
+	const manager = new ControlTogglerManager(
+		t.context.api,
+		t.context.auth,
+		undefined,
+		{
+			fetch: (input, init) => {
+				fetchCount += 1;
+				return fetch(input, init);
+			},
+			headers: { "X-Test": "test" },
+		}
+	);
+	const toggler = manager.add(TEST_NODE_ID_1, TEST_CONTROL_ID);
+	await manager.update();
+
+	// THEN
+	t.is(toggler.value(), 1, "value from most recent response");
+	t.is(fetchCount, 2, "custom fetch used for shared requests");
+});
+
+test.serial("update:abort", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+	})
+		.reply(200, {
+			success: true,
+			data: { results: [] },
+		})
+		.delay(200);
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	})
+		.reply(200, {
+			success: true,
+			data: [],
+		})
+		.delay(200);
+
+	const fetchSignals: AbortSignal[] = [];
+	const manager = new ControlTogglerManager(
+		t.context.api,
+		t.context.auth,
+		undefined,
+		{
+			fetch: (input, init) => {
+				if (init?.signal) {
+					fetchSignals.push(init.signal);
+				}
+				return fetch(input, init);
+			},
+		}
+	);
+	manager.add(TEST_NODE_ID_1, TEST_CONTROL_ID);
+
+	// WHEN
+	const controller = new AbortController();
+	const result = manager.update({ signal: controller.signal });
+	setTimeout(() => controller.abort(), 20);
+
+	// THEN
+	await t.throwsAsync(result, { name: "AbortError" });
+	t.is(fetchSignals.length, 2, "signal passed to shared requests");
+	t.true(
+		fetchSignals.every((s) => s.aborted),
+		"shared requests aborted"
+	);
+});
+
+test.serial("update:abort:shared", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceId=test-control",
+		method: "GET",
+	})
+		.reply(200, {
+			success: true,
+			data: {
+				results: [
+					{
+						created: "2017-07-26 05:57:49.608Z",
+						nodeId: 123,
+						sourceId: "test-control",
+						val: 1,
+					},
+				],
+			},
+		})
+		.delay(50);
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	})
+		.reply(200, {
+			success: true,
+			data: [],
+		})
+		.delay(50);
+
+	const manager = createManager(t.context.api, t.context.auth);
+	const toggler = manager.add(TEST_NODE_ID_1, TEST_CONTROL_ID);
+
+	// WHEN
+	const controller = new AbortController();
+	const aborted = manager.update({ signal: controller.signal });
+	const updated = toggler.update();
+	controller.abort();
+
+	// THEN
+	await t.throwsAsync(aborted, { name: "AbortError" });
+	await updated;
+	t.is(toggler.value(), 1, "shared requests not aborted for other callers");
+});
+
+test.serial("update:requestBudget", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+
+	const mostRecentResult = {
+		success: true,
+		data: {
+			results: [],
+		},
+	};
+	const pendingIntercepts = () => {
+		http.intercept({
+			path: "/solaruser/api/v1/sec/instr/viewPending?nodeIds=123,234",
+			method: "GET",
+		}).reply(200, {
+			success: true,
+			data: [
+				instructionInfo(1, 123, "Received"),
+				instructionInfo(2, 234, "Received"),
+			],
+		});
+	};
+
+	// UPDATE 1: find pending instructions
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeIds=123,234&sourceId=test-control",
+		method: "GET",
+	}).reply(200, mostRecentResult);
+	pendingIntercepts();
+
+	// UPDATE 2: instruction budget allows only 1 instruction view
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeIds=123,234&sourceId=test-control",
+		method: "GET",
+	}).reply(200, mostRecentResult);
+	pendingIntercepts();
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/view?id=1",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: instructionInfo(1, 123, "Executing"),
+	});
+
+	// UPDATE 3: deferred instruction requested first
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeIds=123,234&sourceId=test-control",
+		method: "GET",
+	}).reply(200, mostRecentResult);
+	pendingIntercepts();
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/view?id=2",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: instructionInfo(2, 234, "Executing"),
+	});
+
+	// WHEN
+	const manager = createManager(t.context.api, t.context.auth);
+	manager.requestBudget = 1;
+	const toggler1 = manager.add(TEST_NODE_ID_1, TEST_CONTROL_ID);
+	const toggler2 = manager.add(TEST_NODE_ID_2, TEST_CONTROL_ID);
+	const errors: Error[] = [];
+	toggler1.callback = toggler2.callback = (error) => {
+		if (error) {
+			errors.push(error);
+		}
+	};
+	await manager.update();
+	await manager.update();
+	await manager.update();
+
+	// THEN
+	t.deepEqual(errors, [], "no unexpected requests made");
+	t.true(toggler1.hasPendingStateChange, "node 1 pending instruction");
+	t.true(toggler2.hasPendingStateChange, "node 2 pending instruction");
+});
+
+test.serial("requestBudget:expired", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	for (const [id, controlId] of [
+		[1, TEST_CONTROL_ID],
+		[2, "other-control"],
+	] as [number, string][]) {
+		http.intercept({
+			path: `/solaruser/api/v1/sec/instr/view?id=${id}`,
+			method: "GET",
+		}).reply(200, {
+			success: true,
+			data: {
+				...instructionInfo(id, TEST_NODE_ID_1, "Queued"),
+				parameters: [{ name: controlId, value: "1" }],
+			},
+		});
+		http.intercept({
+			path: "/solaruser/api/v1/sec/instr/updateState",
+			method: "POST",
+			body: `id=${id}&state=Declined`,
+		}).reply(200, {
+			success: true,
+		});
+	}
+	const manager = createManager(t.context.api, t.context.auth);
+	manager.requestBudget = 1;
+	const expired: number[] = [];
+	const allExpired = new Promise<void>((resolve) => {
+		for (const [id, controlId] of [
+			[1, TEST_CONTROL_ID],
+			[2, "other-control"],
+		] as [number, string][]) {
+			const toggler = manager.add(TEST_NODE_ID_1, controlId);
+			toggler.instructionMaxAgeMs = 50;
+			toggler.addEventListener("instructionexpired", (event) => {
+				expired.push(event.instruction.id);
+				if (expired.length === 2) {
+					resolve();
+				}
+			});
+			toggler.trackInstruction({
+				...instructionInfo(id, TEST_NODE_ID_1, "Queued"),
+				parameters: [{ name: controlId, value: "1" }],
+			} as any);
+		}
+	});
+
+	// WHEN
+	await Promise.race([
+		allExpired,
+		new Promise((resolve) => setTimeout(resolve, 500)),
+	]);
+
+	// THEN
+	t.deepEqual(
+		expired.sort(),
+		[1, 2],
+		"instructions over request budget still expired"
+	);
+});
+
+test.serial("values", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	const parameters = [
+		{ name: "test-control-1", value: "1" },
+		{ name: "test-control-2", value: "0" },
+	];
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/add/SetControlParameter",
+		method: "POST",
+		body: "nodeId=123&parameters%5B0%5D.name=test-control-1&parameters%5B0%5D.value=1&parameters%5B1%5D.name=test-control-2&parameters%5B1%5D.value=0",
+	}).reply(200, {
+		success: true,
+		data: { ...instructionInfo(1, 123, "Queued"), parameters: parameters },
+	});
+	http.intercept({
+		path: "/solarquery/api/v1/sec/datum/mostRecent?nodeId=123&sourceIds=test-control-1,test-control-2",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: {
+			results: [
+				{
+					created: "2017-07-26 05:00:00.000Z",
+					nodeId: 123,
+					sourceId: "test-control-1",
+					val: 0,
+				},
+				{
+					created: "2017-07-26 05:00:00.000Z",
+					nodeId: 123,
+					sourceId: "test-control-2",
+					val: 1,
+				},
+			],
+		},
+	});
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/viewPending?nodeId=123",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: [],
+	});
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/view?id=1",
+		method: "GET",
+	}).reply(200, {
+		success: true,
+		data: {
+			...instructionInfo(1, 123, "Completed"),
+			parameters: parameters,
+		},
+	});
+
+	const manager = createManager(t.context.api, t.context.auth);
+	const toggler1 = manager.add(TEST_NODE_ID_1, "test-control-1");
+	const toggler2 = manager.add(TEST_NODE_ID_1, "test-control-2");
+
+	// WHEN
+	const instruction = await manager.values(TEST_NODE_ID_1, {
+		"test-control-1": 1,
+		"test-control-2": 0,
+	});
+
+	// THEN
+	t.is(instruction.id, 1, "one instruction queued");
+	t.true(toggler1.hasPendingStateChange, "control 1 tracks instruction");
+	t.true(toggler2.hasPendingStateChange, "control 2 tracks instruction");
+
+	// WHEN
+	await manager.update();
+
+	// THEN
+	t.false(manager.hasPendingStateChange, "instruction completed");
+	t.is(toggler1.value(), "1", "control 1 value from instruction");
+	t.is(toggler2.value(), "0", "control 2 value from instruction");
+});
+
+test("values:notManaged", async (t) => {
+	const manager = createManager(t.context.api, t.context.auth);
+	manager.add(TEST_NODE_ID_1, TEST_CONTROL_ID);
+	const error = await t.throwsAsync(
+		manager.values(TEST_NODE_ID_1, { [TEST_CONTROL_ID]: 1, other: 1 })
+	);
+	t.is(error.message, "Control other on node 123 is not managed.");
+});
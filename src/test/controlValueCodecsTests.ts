@@ -0,0 +1,75 @@
+import test from "ava";
+
+import {
+	BooleanValueCodec,
+	EnumValueCodec,
+	FloatValueCodec,
+	IntegerValueCodec,
+	LooseValueCodec,
+	StringValueCodec,
+} from "../main/controlValueCodecs.js";
+
+test("loose", (t) => {
+	const codec = new LooseValueCodec();
+	t.is(codec.decode("1"), "1", "value preserved");
+	t.is(codec.decode(null), undefined, "null is undefined");
+	t.is(codec.encode(1), "1");
+	t.true(codec.equals(1, "1"), "loose equality");
+});
+
+test("boolean", (t) => {
+	const codec = new BooleanValueCodec();
+	for (const v of [true, 1, "1", "true", " TRUE ", "yes", "on"]) {
+		t.true(codec.decode(v), `${v} decoded as true`);
+	}
+	for (const v of [false, 0, "0", "false", "no", "off"]) {
+		t.false(codec.decode(v), `${v} decoded as false`);
+	}
+	for (const v of [2, "", "maybe", null, undefined, {}]) {
+		t.is(codec.decode(v), undefined, `${v} not decoded`);
+	}
+	t.is(codec.encode(true), "true");
+	t.true(codec.equals(true, true));
+	t.false(codec.equals(true, 1));
+});
+
+test("integer", (t) => {
+	const codec = new IntegerValueCodec();
+	t.is(codec.decode(1), 1);
+	t.is(codec.decode(" 42 "), 42, "string parsed");
+	t.is(codec.decode(true), 1, "boolean converted");
+	t.is(codec.decode(1.5), undefined, "fraction rejected");
+	t.is(codec.decode("abc"), undefined, "non-number rejected");
+	t.is(codec.decode(""), undefined, "empty string rejected");
+	t.is(codec.encode(42), "42");
+	t.false(codec.equals(1, "1"), "strict equality");
+});
+
+test("float", (t) => {
+	const codec = new FloatValueCodec(0.01);
+	t.is(codec.decode("1.5"), 1.5, "string parsed");
+	t.is(codec.decode("NaN"), undefined, "NaN rejected");
+	t.is(codec.decode(Infinity), undefined, "Infinity rejected");
+	t.true(codec.equals(1.5, 1.505), "equal within tolerance");
+	t.false(codec.equals(1.5, 1.52), "not equal outside tolerance");
+	t.false(codec.equals(1.5, undefined), "not equal to missing value");
+	t.true(codec.equals(undefined, undefined), "missing values equal");
+	t.throws(() => new FloatValueCodec(-1), { instanceOf: RangeError });
+});
+
+test("string", (t) => {
+	const codec = new StringValueCodec();
+	t.is(codec.decode(1), "1", "number converted");
+	t.is(codec.decode(true), "true", "boolean converted");
+	t.is(codec.decode({}), undefined, "object rejected");
+	t.is(codec.encode("foo"), "foo");
+});
+
+test("enum", (t) => {
+	const codec = new EnumValueCodec(["off", "low", "high", 3]);
+	t.is(codec.type, "enum (off, low, high, 3)");
+	t.is(codec.decode("low"), "low");
+	t.is(codec.decode("3"), 3, "normalized to allowed value");
+	t.is(codec.decode("medium"), undefined, "value not allowed");
+	t.throws(() => new EnumValueCodec([]), { instanceOf: RangeError });
+});
@@ -0,0 +1,127 @@
+import test from "ava";
+
+import CronExpression from "../main/cronExpression.js";
+
+test("construct", (t) => {
+	const cron = new CronExpression(
+		" 0  18 * *   MON-FRI ",
+		"Pacific/Auckland"
+	);
+	t.is(cron.expression, "0 18 * * MON-FRI", "expression normalized");
+	t.is(cron.timeZone, "Pacific/Auckland");
+	t.is(cron.toString(), "0 18 * * MON-FRI");
+});
+
+test("construct:invalid", (t) => {
+	t.throws(() => new CronExpression("* * * *"), {
+		instanceOf: TypeError,
+		message: 'Invalid cron expression "* * * *": 5 fields are required.',
+	});
+	t.throws(() => new CronExpression("60 * * * *"), {
+		instanceOf: RangeError,
+		message:
+			'Invalid cron expression "60 * * * *": minute value 60 must be between 0 and 59.',
+	});
+	t.throws(() => new CronExpression("* * * FOO *"), {
+		instanceOf: TypeError,
+	});
+	t.throws(() => new CronExpression("*/0 * * * *"), {
+		instanceOf: TypeError,
+	});
+	t.throws(() => new CronExpression("* 5-2 * * *"), {
+		instanceOf: RangeError,
+	});
+	t.throws(() => new CronExpression("* * * * *", "Not/A_Zone"), {
+		instanceOf: RangeError,
+	});
+});
+
+test("next:everyMinute", (t) => {
+	const cron = new CronExpression("* * * * *", "UTC");
+	t.deepEqual(
+		cron.next(new Date("2024-06-01T10:15:30.000Z")),
+		new Date("2024-06-01T10:16:00.000Z")
+	);
+	t.deepEqual(
+		cron.next(new Date("2024-06-01T10:16:00.000Z")),
+		new Date("2024-06-01T10:17:00.000Z"),
+		"strictly after the given date"
+	);
+});
+
+test("next:steps", (t) => {
+	const cron = new CronExpression("*/15 9-17/4 * * *", "UTC");
+	const results: string[] = [];
+	let date: Date | undefined = new Date("2024-06-01T12:50:00.000Z");
+	for (let i = 0; i < 6 && date; i += 1) {
+		date = cron.next(date);
+		results.push(date!.toISOString());
+	}
+	t.deepEqual(results, [
+		"2024-06-01T13:00:00.000Z",
+		"2024-06-01T13:15:00.000Z",
+		"2024-06-01T13:30:00.000Z",
+		"2024-06-01T13:45:00.000Z",
+		"2024-06-01T17:00:00.000Z",
+		"2024-06-01T17:15:00.000Z",
+	]);
+});
+
+test("next:weekdays", (t) => {
+	// 2024-06-01 is a Saturday
+	const cron = new CronExpression("30 9 * * MON-FRI", "UTC");
+	t.deepEqual(
+		cron.next(new Date("2024-06-01T00:00:00.000Z")),
+		new Date("2024-06-03T09:30:00.000Z")
+	);
+});
+
+test("next:dayOfMonthOrWeek", (t) => {
+	// 2024-09-06 is a Friday
+	const cron = new CronExpression("0 0 13 * 5", "UTC");
+	t.deepEqual(
+		cron.next(new Date("2024-09-01T00:00:00.000Z")),
+		new Date("2024-09-06T00:00:00.000Z"),
+		"Friday matched"
+	);
+	t.deepEqual(
+		cron.next(new Date("2024-09-07T00:00:00.000Z")),
+		new Date("2024-09-13T00:00:00.000Z"),
+		"13th matched"
+	);
+});
+
+test("next:timeZone", (t) => {
+	// NZDT is UTC+13
+	const cron = new CronExpression("0 18 * * *", "Pacific/Auckland");
+	t.deepEqual(
+		cron.next(new Date("2024-01-01T00:00:00.000Z")),
+		new Date("2024-01-01T05:00:00.000Z")
+	);
+});
+
+test("next:daylightSavingGap", (t) => {
+	// 2:30am does not exist on 2024-03-10 in New York
+	const cron = new CronExpression("30 2 * * *", "America/New_York");
+	t.deepEqual(
+		cron.next(new Date("2024-03-10T00:00:00.000Z")),
+		new Date("2024-03-11T06:30:00.000Z")
+	);
+});
+
+test("next:daylightSavingOverlap", (t) => {
+	// 1:30am occurs twice on 2024-11-03 in New York
+	const cron = new CronExpression("30 1 * * *", "America/New_York");
+	const first = cron.next(new Date("2024-11-03T04:00:00.000Z"));
+	t.deepEqual(first, new Date("2024-11-03T05:30:00.000Z"));
+	t.deepEqual(
+		cron.next(first!),
+		new Date("2024-11-04T06:30:00.000Z"),
+		"repeated time matched once"
+	);
+});
+
+test("next:never", (t) => {
+	const cron = new CronExpression("0 0 30 FEB *", "UTC");
+	t.is(cron.next(new Date("2024-01-01T00:00:00.000Z")), undefined);
+});
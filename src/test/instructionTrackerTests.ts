@@ -0,0 +1,242 @@
+import anyTest, { TestFn } from "ava";
+import { MockAgent, setGlobalDispatcher } from "undici";
+
+import { InstructionStates } from "solarnetwork-api-core/lib/domain";
+import { Logger as log, LogLevel } from "solarnetwork-api-core/lib/util";
+import {
+	AuthorizationV2Builder,
+	SolarUserApi,
+} from "solarnetwork-api-core/lib/net";
+
+import InstructionTracker from "../main/instructionTracker.js";
+
+const test = anyTest as TestFn<{
+	agent: MockAgent;
+	api: SolarUserApi;
+	auth: AuthorizationV2Builder;
+}>;
+
+log.level = LogLevel.DEBUG;
+
+const TEST_TOKEN_ID = "test-token";
+const TEST_TOKEN_SECRET = "secret";
+const TEST_NODE_ID = 123;
+
+const AUTH_POST_REGEX =
+	/^SNWS2 Credential=test-token,SignedHeaders=content-type;host;x-sn-date,Signature=/;
+
+test.beforeEach((t) => {
+	const agent = new MockAgent();
+	agent.disableNetConnect();
+	setGlobalDispatcher(agent);
+	t.context = {
+		agent: agent,
+		api: new SolarUserApi({ protocol: "http", host: "localhost" }),
+		auth: new AuthorizationV2Builder(TEST_TOKEN_ID).saveSigningKey(
+			TEST_TOKEN_SECRET
+		),
+	};
+});
+
+function instructionInfo(state: string) {
+	return {
+		id: 1,
+		nodeId: TEST_NODE_ID,
+		created: "2017-07-26 05:57:49.608Z",
+		topic: "Signal",
+		state: state,
+		parameters: [{ name: "/test/control", value: "identify" }],
+	};
+}
+
+function viewIntercept(agent: MockAgent, state: string) {
+	agent
+		.get("http://localhost")
+		.intercept({
+			path: "/solaruser/api/v1/sec/instr/view?id=1",
+			method: "GET",
+		})
+		.reply(200, {
+			success: true,
+			data: instructionInfo(state),
+		});
+}
+
+test.serial("queue", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/add/Signal",
+		method: "POST",
+		body: "nodeId=123&parameters%5B0%5D.name=%2Ftest%2Fcontrol&parameters%5B0%5D.value=identify",
+		headers: {
+			accept: "application/json",
+			authorization: AUTH_POST_REGEX,
+		},
+	}).reply(200, {
+		success: true,
+		data: instructionInfo("Queued"),
+	});
+	viewIntercept(t.context.agent, "Executing");
+	viewIntercept(t.context.agent, "Completed");
+
+	const tracker = new InstructionTracker(t.context.api, t.context.auth, {
+		pollMs: 10,
+	});
+	const transitions: string[] = [];
+	tracker.addEventListener("instructionstatechange", (event) => {
+		transitions.push(
+			`${event.previousState?.name} -> ${event.instruction.state}`
+		);
+	});
+
+	// WHEN
+	const queued = await tracker.queue(TEST_NODE_ID, "Signal", [
+		{ name: "/test/control", value: "identify" },
+	]);
+	const executing = await tracker.whenState(InstructionStates.Executing);
+	const done = await tracker.done();
+
+	// THEN
+	t.is(queued.state, "Queued", "queued instruction returned");
+	t.is(executing.state, "Executing", "executing state reached");
+	t.is(done.state, "Completed", "completed state reached");
+	t.true(tracker.finished, "instruction finished");
+	t.deepEqual(transitions, [
+		"undefined -> Queued",
+		"Queued -> Executing",
+		"Executing -> Completed",
+	]);
+});
+
+test.serial("whenState:declined", async (t) => {
+	// GIVEN
+	viewIntercept(t.context.agent, "Declined");
+
+	const tracker = new InstructionTracker(t.context.api, t.context.auth, {
+		pollMs: 10,
+	});
+
+	// WHEN
+	tracker.track(instructionInfo("Queued") as any);
+	const error = await t.throwsAsync(
+		tracker.whenState(InstructionStates.Completed)
+	);
+
+	// THEN
+	t.is(error.message, "Instruction 1 declined");
+	t.is(
+		(await tracker.done()).state,
+		"Declined",
+		"done resolves with declined instruction"
+	);
+});
+
+test.serial("whenState:skipped", async (t) => {
+	// GIVEN
+	viewIntercept(t.context.agent, "Completed");
+
+	const tracker = new InstructionTracker(t.context.api, t.context.auth, {
+		pollMs: 10,
+	});
+
+	// WHEN
+	tracker.track(instructionInfo("Queued") as any);
+	const result = await tracker.whenState(InstructionStates.Executing);
+
+	// THEN
+	t.is(result.state, "Completed", "resolved when state passed");
+});
+
+test.serial("update:error", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/view?id=1",
+		method: "GET",
+	}).reply(500);
+	viewIntercept(t.context.agent, "Completed");
+
+	const tracker = new InstructionTracker(t.context.api, t.context.auth, {
+		pollMs: 10,
+	});
+	const errors: Error[] = [];
+	tracker.addEventListener("error", (event) => {
+		errors.push(event.error);
+	});
+
+	// WHEN
+	tracker.track(instructionInfo("Received") as any);
+	const result = await tracker.done();
+
+	// THEN
+	t.is(errors.length, 1, "error reported");
+	t.is(result.state, "Completed", "polling continued after error");
+});
+
+test.serial("cancel", async (t) => {
+	// GIVEN
+	const http = t.context.agent.get("http://localhost");
+	http.intercept({
+		path: "/solaruser/api/v1/sec/instr/updateState",
+		method: "POST",
+		body: "id=1&state=Declined",
+	}).reply(200, {
+		success: true,
+	});
+
+	const tracker = new InstructionTracker(t.context.api, t.context.auth, {
+		pollMs: 1000,
+	});
+
+	// WHEN
+	tracker.track(instructionInfo("Queued") as any);
+	const result = await tracker.cancel();
+
+	// THEN
+	t.is(result.state, "Declined", "instruction declined");
+	t.true(tracker.finished, "instruction finished");
+	t.deepEqual(
+		tracker.info,
+		{ ...instructionInfo("Queued"), state: "Declined" },
+		"declined instruction data available"
+	);
+});
+
+test.serial("autoUpdate:false", async (t) => {
+	// GIVEN
+	viewIntercept(t.context.agent, "Completed");
+	const tracker = new InstructionTracker(t.context.api, t.context.auth, {
+		pollMs: 10,
+		autoUpdate: false,
+	});
+	tracker.track(instructionInfo("Queued") as any);
+
+	// WHEN
+	await new Promise((resolve) => setTimeout(resolve, 50));
+	const before = tracker.state;
+	const result = await tracker.update();
+
+	// THEN
+	t.is(before, InstructionStates.Queued, "state not refreshed automatically");
+	t.is(result?.state, "Completed", "state refreshed by update()");
+	t.deepEqual(tracker.info, instructionInfo("Completed"));
+});
+
+test("cancel:notQueued", async (t) => {
+	const tracker = new InstructionTracker(t.context.api, t.context.auth);
+	tracker.track(instructionInfo("Completed") as any);
+	const error = await t.throwsAsync(tracker.cancel());
+	t.is(
+		error.message,
+		"Instruction 1 cannot be cancelled in state Completed."
+	);
+});
+
+test("track:twice", (t) => {
+	const tracker = new InstructionTracker(t.context.api, t.context.auth);
+	tracker.track(instructionInfo("Completed") as any);
+	t.throws(() => tracker.track(instructionInfo("Completed") as any), {
+		message: "An instruction has already been tracked.",
+	});
+});